@@ -0,0 +1,162 @@
+/**
+ * LoL Coach App - Champion Performance Table
+ * Sortable per-champion table (games, win rate, KDA, CS/min, damage, kill participation)
+ * from GET /api/summoner/:puuid/champions. Without a PUUID, or when the backend is
+ * unreachable, it is aggregated from the matches in the summoner response instead.
+ */
+
+const CHAMPION_COLUMNS = [
+    { key: 'championName', label: 'Champion' },
+    { key: 'games', label: 'Games' },
+    { key: 'winRate', label: 'Win Rate' },
+    { key: 'kda', label: 'KDA' },
+    { key: 'csPerMinute', label: 'CS/min' },
+    { key: 'avgDamage', label: 'Damage' },
+    { key: 'killParticipation', label: 'Kill P.' }
+];
+
+class ChampionTable {
+    constructor(options = {}) {
+        this.apiBase = options.apiBase || 'http://localhost:3000';
+        this.table = document.getElementById('championTable');
+        this.body = document.getElementById('championTableBody');
+        this.empty = document.getElementById('noChampions');
+        this.champions = [];
+        this.sortKey = 'games';
+        this.sortDirection = 'desc';
+
+        const headerRow = document.createElement('tr');
+        CHAMPION_COLUMNS.forEach(column => {
+            const header = document.createElement('th');
+            header.textContent = column.label;
+            header.dataset.sort = column.key;
+            header.addEventListener('click', () => this.sortBy(column.key));
+            headerRow.appendChild(header);
+        });
+        this.table.querySelector('thead').appendChild(headerRow);
+    }
+
+    // Same numbers as the backend aggregate, from canonical match summaries
+    static aggregateMatches(matches) {
+        const byChampion = new Map();
+        (matches || []).filter(match => !match.invalid && match.championName).forEach(match => {
+            if (!byChampion.has(match.championName)) byChampion.set(match.championName, []);
+            byChampion.get(match.championName).push(match);
+        });
+
+        const average = (games, field) => {
+            const values = games.map(game => game[field]).filter(Number.isFinite);
+            return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        };
+        const total = (games, field) => games.reduce((sum, game) => sum + (game[field] || 0), 0);
+
+        return [...byChampion.entries()].map(([championName, games]) => {
+            const wins = games.filter(game => game.win).length;
+            const hasKda = games.some(game => Number.isFinite(game.kills));
+            return {
+                championName,
+                games: games.length,
+                wins,
+                losses: games.length - wins,
+                winRate: wins / games.length,
+                avgKills: average(games, 'kills'),
+                avgDeaths: average(games, 'deaths'),
+                avgAssists: average(games, 'assists'),
+                kda: hasKda ? (total(games, 'kills') + total(games, 'assists')) / Math.max(total(games, 'deaths'), 1) : null,
+                csPerMinute: average(games, 'csPerMinute'),
+                avgDamage: average(games, 'damageDealt'),
+                killParticipation: average(games, 'killParticipation'),
+                lastPlayed: Math.max(...games.map(game => game.gameCreation || 0)) || null
+            };
+        });
+    }
+
+    // Missing values sort last in both directions
+    static sortChampions(champions, key, direction) {
+        const factor = direction === 'asc' ? 1 : -1;
+        return [...champions].sort((a, b) => {
+            const left = a[key];
+            const right = b[key];
+            if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+            if (right === null || right === undefined) return -1;
+            if (typeof left === 'string') return factor * left.localeCompare(right);
+            return factor * (left - right) || b.games - a.games;
+        });
+    }
+
+    async load(data) {
+        this.champions = ChampionTable.aggregateMatches(data.matches);
+
+        const puuid = data.summoner?.puuid;
+        if (puuid) {
+            try {
+                const response = await fetch(`${this.apiBase}/api/summoner/${encodeURIComponent(puuid)}/champions`);
+                if (response.ok) {
+                    const result = await response.json();
+                    if (result.champions.length > 0) this.champions = result.champions;
+                }
+            } catch (error) {
+                console.warn('Could not load champion stats:', error.message);
+            }
+        }
+        this.render();
+    }
+
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            // Names read best A→Z, numbers best-first
+            this.sortDirection = key === 'championName' ? 'asc' : 'desc';
+        }
+        this.render();
+    }
+
+    render() {
+        this.table.querySelectorAll('th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted', header.dataset.sort === this.sortKey);
+            header.dataset.direction = header.dataset.sort === this.sortKey ? this.sortDirection : '';
+        });
+
+        this.body.innerHTML = '';
+        this.empty.style.display = this.champions.length === 0 ? 'block' : 'none';
+        this.table.style.display = this.champions.length === 0 ? 'none' : 'table';
+
+        const format = (value, digits = 1) => Number.isFinite(value) ? value.toFixed(digits) : '-';
+        const percent = value => Number.isFinite(value) ? `${Math.round(value * 100)}%` : '-';
+
+        ChampionTable.sortChampions(this.champions, this.sortKey, this.sortDirection).forEach(champion => {
+            const row = document.createElement('tr');
+            const cells = [
+                champion.championName,
+                `${champion.games} (${champion.wins}W ${champion.losses}L)`,
+                percent(champion.winRate),
+                Number.isFinite(champion.kda)
+                    ? `${format(champion.kda, 2)} (${format(champion.avgKills)} / ${format(champion.avgDeaths)} / ${format(champion.avgAssists)})`
+                    : '-',
+                format(champion.csPerMinute),
+                Number.isFinite(champion.avgDamage) ? Math.round(champion.avgDamage).toLocaleString() : '-',
+                percent(champion.killParticipation)
+            ];
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 2 && Number.isFinite(champion.winRate)) {
+                    cell.className = champion.winRate >= 0.5 ? 'positive' : 'negative';
+                }
+                row.appendChild(cell);
+            });
+            this.body.appendChild(row);
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ChampionTable = ChampionTable;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionTable;
+}
@@ -0,0 +1,297 @@
+/**
+ * LoL Coach App - Match History Panel
+ * Renders the Detailed Match History section: match cards filtered by queue, paginated,
+ * summary numbers for the filtered games, and a detail modal with the full per-match stats.
+ * Pages come from GET /api/summoner/:puuid/history, which filters and counts server-side and
+ * carries the extra stats (gold, vision, damage, multi-kills) stored for Riot API matches.
+ * Without a PUUID, when the backend is unreachable, or when it has fewer of the filtered
+ * matches than the summoner response (scraped matches without a stable id are not stored),
+ * the matches from the response are filtered and paginated locally instead.
+ */
+
+const QUEUE_NAMES = {
+    400: 'Normal Draft',
+    420: 'Ranked Solo',
+    430: 'Normal Blind',
+    440: 'Ranked Flex',
+    450: 'ARAM',
+    490: 'Quickplay',
+    700: 'Clash',
+    900: 'URF',
+    1700: 'Arena'
+};
+
+const ROLE_LABELS = { TOP: 'Top', JUNGLE: 'Jungle', MIDDLE: 'Mid', BOTTOM: 'Bot', UTILITY: 'Support' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+class MatchHistoryPanel {
+    constructor(options = {}) {
+        this.apiBase = options.apiBase || 'http://localhost:3000';
+        this.pageSize = options.pageSize || 10;
+        this.elements = {
+            container: document.getElementById('matchHistoryContainer'),
+            loading: document.getElementById('matchLoading'),
+            empty: document.getElementById('noMatches'),
+            queueFilter: document.getElementById('queueFilter'),
+            paginationInfo: document.getElementById('paginationInfo'),
+            prevPage: document.getElementById('prevPage'),
+            nextPage: document.getElementById('nextPage'),
+            totalWins: document.getElementById('totalWins'),
+            totalLosses: document.getElementById('totalLosses'),
+            avgKDA: document.getElementById('avgKDA'),
+            avgCS: document.getElementById('avgCS'),
+            modal: document.getElementById('matchDetailModal'),
+            modalTitle: document.getElementById('matchDetailTitle'),
+            modalBody: document.getElementById('matchDetailBody'),
+            modalClose: document.getElementById('matchDetailClose')
+        };
+        this.puuid = null;
+        this.localMatches = [];
+        this.queue = 'all';
+        this.page = 0;
+        this.pageCount = 0;
+
+        this.elements.queueFilter.addEventListener('change', () => {
+            this.queue = this.elements.queueFilter.value;
+            this.page = 0;
+            this.refresh();
+        });
+        this.elements.prevPage.addEventListener('click', () => this.goToPage(this.page - 1));
+        this.elements.nextPage.addEventListener('click', () => this.goToPage(this.page + 1));
+        this.elements.modalClose.addEventListener('click', () => this.closeDetail());
+        this.elements.modal.addEventListener('click', (event) => {
+            if (event.target === this.elements.modal) this.closeDetail();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.closeDetail();
+        });
+    }
+
+    static queueName(queueId) {
+        if (queueId === null || queueId === undefined) return 'Unknown Queue';
+        return QUEUE_NAMES[queueId] || `Queue ${queueId}`;
+    }
+
+    // /history row (snake_case columns) → canonical match fields plus the stored extras
+    static fromHistoryRow(row) {
+        return {
+            matchId: row.match_id,
+            gameCreation: row.game_creation,
+            gameDuration: row.game_duration,
+            queueId: row.queue_id,
+            championName: row.champion_name,
+            role: row.role,
+            win: Boolean(row.win),
+            kills: row.kills,
+            deaths: row.deaths,
+            assists: row.assists,
+            kdaRatio: row.kda_ratio,
+            csPerMinute: row.cs_per_minute,
+            totalMinionsKilled: row.total_minions_killed,
+            goldEarned: row.gold_earned,
+            visionScore: row.vision_score,
+            damageDealt: row.damage_dealt,
+            damageTaken: row.damage_taken,
+            killParticipation: row.kill_participation,
+            firstBlood: Boolean(row.first_blood),
+            firstTower: Boolean(row.first_tower),
+            doubleKills: row.double_kills,
+            tripleKills: row.triple_kills,
+            quadraKills: row.quadra_kills,
+            pentaKills: row.penta_kills,
+            largestKillingSpree: row.largest_killing_spree
+        };
+    }
+
+    static summarize(matches) {
+        const wins = matches.filter(match => match.win).length;
+        const average = field => {
+            const values = matches.map(match => match[field]).filter(Number.isFinite);
+            return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        };
+        return { wins, losses: matches.length - wins, avgKDA: average('kdaRatio'), avgCS: average('csPerMinute') };
+    }
+
+    load(data) {
+        this.localMatches = (data.matches || []).filter(match => !match.invalid);
+        this.puuid = data.summoner?.puuid || null;
+        this.page = 0;
+        return this.refresh();
+    }
+
+    async refresh() {
+        this.showLoading();
+        const local = this.localPage();
+        const stored = this.puuid ? await this.fetchPage() : null;
+        const result = stored && stored.total >= local.total ? stored : local;
+        this.pageCount = Math.ceil(result.total / this.pageSize);
+        this.render(result);
+    }
+
+    // One page from the backend, or null when it can't be loaded
+    async fetchPage() {
+        const params = new URLSearchParams({ page: this.page + 1, limit: this.pageSize });
+        if (this.queue !== 'all') params.set('queue', this.queue);
+        try {
+            const response = await fetch(`${this.apiBase}/api/summoner/${encodeURIComponent(this.puuid)}/history?${params}`);
+            if (!response.ok) return null;
+            const history = await response.json();
+            return {
+                matches: history.matches.map(MatchHistoryPanel.fromHistoryRow),
+                total: history.pagination.total,
+                summary: history.summary
+            };
+        } catch (error) {
+            console.warn('Could not load stored match history:', error.message);
+            return null;
+        }
+    }
+
+    localPage() {
+        const matches = this.queue === 'all'
+            ? this.localMatches
+            : this.localMatches.filter(match => String(match.queueId) === this.queue);
+        const start = this.page * this.pageSize;
+        return {
+            matches: matches.slice(start, start + this.pageSize),
+            total: matches.length,
+            summary: MatchHistoryPanel.summarize(matches)
+        };
+    }
+
+    goToPage(page) {
+        if (page < 0 || page >= this.pageCount) return;
+        this.page = page;
+        this.refresh();
+    }
+
+    showLoading() {
+        this.elements.container.querySelectorAll('.match-card').forEach(card => card.remove());
+        this.elements.loading.style.display = 'flex';
+        this.elements.empty.style.display = 'none';
+    }
+
+    render({ matches = [], total = 0, summary = MatchHistoryPanel.summarize([]) } = {}) {
+        const { container, loading, empty, paginationInfo, prevPage, nextPage } = this.elements;
+        const start = this.page * this.pageSize;
+        const format = value => Number.isFinite(value) ? value.toFixed(1) : '-';
+
+        this.elements.totalWins.textContent = summary.wins;
+        this.elements.totalLosses.textContent = summary.losses;
+        this.elements.avgKDA.textContent = format(summary.avgKDA);
+        this.elements.avgCS.textContent = format(summary.avgCS);
+
+        loading.style.display = 'none';
+        container.querySelectorAll('.match-card').forEach(card => card.remove());
+        empty.style.display = total === 0 ? 'block' : 'none';
+        matches.forEach(match => container.appendChild(this.renderCard(match)));
+
+        paginationInfo.textContent = total === 0
+            ? 'No matches'
+            : `Showing ${start + 1}-${start + matches.length} of ${total} matches`;
+        prevPage.disabled = this.page === 0;
+        nextPage.disabled = start + this.pageSize >= total;
+    }
+
+    renderCard(match) {
+        const card = document.createElement('div');
+        card.className = `match-card ${match.win ? 'win' : 'loss'}`;
+
+        const kdaClass = match.kdaRatio >= 3 ? 'good' : match.kdaRatio >= 2 ? 'average' : 'bad';
+        const hasKda = match.kills !== null && match.kills !== undefined;
+        const champion = match.championName || 'Unknown';
+        card.innerHTML = `
+            <div class="champion-info">
+                <div class="champion-icon">${escapeHtml(champion.slice(0, 2).toUpperCase())}</div>
+                <div class="champion-details">
+                    <span class="champion-name">${escapeHtml(champion)}</span>
+                    <span class="match-type">${escapeHtml(MatchHistoryPanel.queueName(match.queueId))}${match.role ? ' · ' + escapeHtml(ROLE_LABELS[match.role] || match.role) : ''}</span>
+                </div>
+            </div>
+            <div class="match-stats">
+                <span class="kda ${kdaClass}">${hasKda ? `${match.kills} / ${match.deaths} / ${match.assists}` : '- / - / -'}</span>
+                <span class="match-details">${Number.isFinite(match.kdaRatio) ? match.kdaRatio.toFixed(2) + ' KDA' : ''}</span>
+            </div>
+            <div class="match-details">
+                <span>${Number.isFinite(match.csPerMinute) ? match.csPerMinute.toFixed(1) + ' CS/min' : ''}</span>
+                <span>${match.gameCreation ? new Date(match.gameCreation).toLocaleDateString() : ''}</span>
+            </div>
+            <div class="match-result">
+                <span class="result-badge ${match.win ? 'win' : 'loss'}">${match.win ? 'Victory' : 'Defeat'}</span>
+                <span class="match-duration">${MatchHistoryPanel.formatDuration(match.gameDuration)}</span>
+            </div>
+        `;
+        card.addEventListener('click', () => this.openDetail(match));
+        return card;
+    }
+
+    static formatDuration(seconds) {
+        if (!Number.isFinite(seconds)) return '';
+        return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+    }
+
+    // [label, value] pairs for the stats a match actually has
+    static detailStats(match) {
+        const number = value => Number.isFinite(value) ? value.toLocaleString() : null;
+        const multiKills = [
+            ['Double', match.doubleKills], ['Triple', match.tripleKills],
+            ['Quadra', match.quadraKills], ['Penta', match.pentaKills]
+        ].filter(([, count]) => count > 0).map(([name, count]) => `${count} ${name}`).join(', ');
+
+        return [
+            ['Result', match.win ? 'Victory' : 'Defeat'],
+            ['Queue', MatchHistoryPanel.queueName(match.queueId)],
+            ['Role', ROLE_LABELS[match.role] || null],
+            ['Duration', MatchHistoryPanel.formatDuration(match.gameDuration) || null],
+            ['K / D / A', match.kills !== null && match.kills !== undefined ? `${match.kills} / ${match.deaths} / ${match.assists}` : null],
+            ['KDA Ratio', Number.isFinite(match.kdaRatio) ? match.kdaRatio.toFixed(2) : null],
+            ['CS', number(match.totalMinionsKilled)],
+            ['CS/min', Number.isFinite(match.csPerMinute) ? match.csPerMinute.toFixed(1) : null],
+            ['Kill Participation', Number.isFinite(match.killParticipation) ? `${Math.round(match.killParticipation * 100)}%` : null],
+            ['Gold Earned', number(match.goldEarned)],
+            ['Damage to Champions', number(match.damageDealt)],
+            ['Damage Taken', number(match.damageTaken)],
+            ['Vision Score', number(match.visionScore)],
+            ['Largest Killing Spree', number(match.largestKillingSpree)],
+            ['Multi-kills', multiKills || null],
+            ['First Blood', match.firstBlood ? 'Yes' : null],
+            ['First Tower', match.firstTower ? 'Yes' : null]
+        ].filter(([, value]) => value !== null && value !== undefined);
+    }
+
+    openDetail(match) {
+        const { modal, modalTitle, modalBody } = this.elements;
+        modalTitle.textContent = `${match.championName || 'Unknown'} - ${match.win ? 'Victory' : 'Defeat'}`;
+        const played = match.gameCreation ? new Date(match.gameCreation).toLocaleString() : '';
+        modalBody.innerHTML = `
+            <div class="match-overview">
+                ${MatchHistoryPanel.detailStats(match).map(([label, value]) => `
+                    <div class="overview-card">
+                        <h4>${escapeHtml(label)}</h4>
+                        <div class="overview-value">${escapeHtml(value)}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="match-type">${escapeHtml(match.matchId || '')}${played ? ' · ' + escapeHtml(played) : ''}</p>
+        `;
+        modal.style.display = 'block';
+    }
+
+    closeDetail() {
+        this.elements.modal.style.display = 'none';
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MatchHistoryPanel = MatchHistoryPanel;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchHistoryPanel;
+}
@@ -0,0 +1,350 @@
+/**
+ * LoL Coach App - Performance Chart
+ * Hand-drawn canvas chart for #performanceChart, no chart library so it works offline.
+ * Metrics: LP over time (from the ranked timeline endpoint), rolling win rate, and KDA
+ * and CS/min per game. Hovering a point shows a tooltip with the game or snapshot details.
+ */
+
+const CHART_TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const CHART_DIVISIONS = ['IV', 'III', 'II', 'I'];
+const LP_PER_TIER = 400;
+const APEX_LADDER_BASE = CHART_TIERS.indexOf('MASTER') * LP_PER_TIER;
+
+class PerformanceChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.metric = options.metric || 'winrate';
+        this.rollingWindow = options.rollingWindow || 5;
+        this.data = { matches: [], rankedTimeline: [] };
+        this.layout = [];
+        this.hoverIndex = null;
+
+        this.canvas.addEventListener('mousemove', (event) => this.handleHover(event));
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverIndex = null;
+            this.render();
+        });
+        window.addEventListener('resize', () => this.render());
+    }
+
+    static get METRICS() {
+        return {
+            lp: 'LP',
+            winrate: 'Win Rate',
+            kda: 'KDA',
+            cs: 'CS/min'
+        };
+    }
+
+    setData(data) {
+        this.data = { ...this.data, ...data };
+        this.hoverIndex = null;
+        this.render();
+    }
+
+    setMetric(metric) {
+        if (!PerformanceChart.METRICS[metric]) return;
+        this.metric = metric;
+        this.hoverIndex = null;
+        this.render();
+    }
+
+    // Oldest game first; scraped matches without timestamps arrive newest first
+    static chronologicalMatches(matches) {
+        const games = (matches || []).filter(match => match && !match.invalid);
+        return games.every(match => match.gameCreation)
+            ? [...games].sort((a, b) => a.gameCreation - b.gameCreation)
+            : [...games].reverse();
+    }
+
+    // "GOLD", "II", 45 → "Gold II 45 LP"
+    static formatRank(tier, rank, leaguePoints) {
+        const name = tier ? tier.charAt(0) + tier.slice(1).toLowerCase() : 'Unranked';
+        return `${name}${rank ? ' ' + rank : ''} ${leaguePoints ?? 0} LP`;
+    }
+
+    // Ladder points → short label for the LP axis, e.g. 1400 → "G2", 2950 → "M 150"
+    static formatLadderTick(points) {
+        if (points >= APEX_LADDER_BASE) {
+            return `M ${points - APEX_LADDER_BASE}`;
+        }
+        const tier = CHART_TIERS[Math.floor(points / LP_PER_TIER)] || CHART_TIERS[0];
+        const divisionsClimbed = Math.floor((points % LP_PER_TIER) / 100);
+        return `${tier[0]}${CHART_DIVISIONS.length - divisionsClimbed}`;
+    }
+
+    static matchTooltip(match, index) {
+        const result = match.win ? 'Victory' : 'Defeat';
+        const lines = [`Game ${index + 1}: ${match.championName || 'Unknown'} (${result})`];
+        if (match.kills !== null && match.kills !== undefined) {
+            lines.push(`${match.kills} / ${match.deaths} / ${match.assists}`);
+        }
+        if (match.gameCreation) {
+            lines.push(new Date(match.gameCreation).toLocaleDateString());
+        }
+        return lines;
+    }
+
+    // Points and axis settings for a metric. Pure, so it can be tested without a canvas.
+    static buildSeries(metric, data, rollingWindow = 5) {
+        const matches = PerformanceChart.chronologicalMatches(data.matches);
+
+        if (metric === 'lp') {
+            const queues = data.rankedTimeline || [];
+            const queue = queues.find(entry => entry.queueType === 'RANKED_SOLO_5x5') || queues[0];
+            const snapshots = (queue?.snapshots || []).filter(snapshot => snapshot.ladderPoints !== null);
+            return {
+                points: snapshots.map(snapshot => {
+                    const lines = [PerformanceChart.formatRank(snapshot.tier, snapshot.rank, snapshot.leaguePoints)];
+                    if (snapshot.lpChange !== null) {
+                        lines.push(`${snapshot.lpChange >= 0 ? '+' : ''}${snapshot.lpChange} LP` +
+                            (snapshot.gamesPlayed ? ` over ${snapshot.gamesPlayed} game${snapshot.gamesPlayed === 1 ? '' : 's'}` : ''));
+                    }
+                    if (snapshot.change) lines.push(snapshot.change === 'promotion' ? '⬆ Promoted' : '⬇ Demoted');
+                    if (snapshot.recordedAt) lines.push(new Date(snapshot.recordedAt).toLocaleString());
+                    return { y: snapshot.ladderPoints, tooltip: lines };
+                }),
+                formatTick: PerformanceChart.formatLadderTick,
+                tickStep: 100,
+                padding: 50,
+                emptyMessage: 'No ranked history yet. LP history builds up each time this summoner is refreshed.'
+            };
+        }
+
+        if (metric === 'winrate') {
+            return {
+                points: matches.map((match, index) => {
+                    const recent = matches.slice(Math.max(0, index - rollingWindow + 1), index + 1);
+                    const winRate = recent.filter(game => game.win).length / recent.length * 100;
+                    return {
+                        y: winRate,
+                        win: match.win,
+                        tooltip: [...PerformanceChart.matchTooltip(match, index), `Win rate (last ${recent.length}): ${Math.round(winRate)}%`]
+                    };
+                }),
+                yMin: 0,
+                yMax: 100,
+                referenceLine: 50,
+                formatTick: value => `${Math.round(value)}%`,
+                emptyMessage: 'No recent matches to chart.'
+            };
+        }
+
+        const field = metric === 'kda' ? 'kdaRatio' : 'csPerMinute';
+        const label = PerformanceChart.METRICS[metric];
+        const games = matches
+            .map((match, index) => ({ match, index }))
+            .filter(({ match }) => Number.isFinite(match[field]));
+        return {
+            points: games.map(({ match, index }) => ({
+                y: match[field],
+                win: match.win,
+                tooltip: [...PerformanceChart.matchTooltip(match, index), `${label}: ${match[field].toFixed(2)}`]
+            })),
+            yMin: 0,
+            formatTick: value => value.toFixed(1),
+            emptyMessage: `No ${label} data in recent matches.`
+        };
+    }
+
+    getColor(name, fallback) {
+        const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+        return value || fallback;
+    }
+
+    // Match the backing store to the displayed size so lines stay sharp
+    prepareCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    // Y axis bounds and tick values for the series
+    computeScale(series) {
+        const values = series.points.map(point => point.y);
+        const padding = series.padding ?? 0;
+        let yMin = series.yMin ?? Math.min(...values) - padding;
+        let yMax = series.yMax ?? (padding ? Math.max(...values) + padding : Math.max(...values) * 1.15);
+        if (yMax <= yMin) yMax = yMin + 1;
+
+        let ticks;
+        if (series.tickStep) {
+            // Snap to division boundaries, doubling the step until at most 6 ticks fit
+            let step = series.tickStep;
+            while ((yMax - yMin) / step > 6) step *= 2;
+            yMin = Math.floor(yMin / step) * step;
+            yMax = Math.ceil(yMax / step) * step;
+            ticks = [];
+            for (let value = yMin; value <= yMax; value += step) ticks.push(value);
+        } else {
+            ticks = [0, 1, 2, 3, 4].map(i => yMin + (yMax - yMin) * i / 4);
+        }
+        return { yMin, yMax, ticks };
+    }
+
+    render() {
+        const { width, height } = this.prepareCanvas();
+        const ctx = this.ctx;
+        const colors = {
+            text: this.getColor('--text-secondary', '#D8DEE9'),
+            grid: 'rgba(216, 222, 233, 0.12)',
+            line: this.getColor('--accent-primary', '#88C0D0'),
+            win: this.getColor('--success', '#A3BE8C'),
+            loss: this.getColor('--error', '#BF616A'),
+            tooltip: this.getColor('--bg-primary', '#2E3440')
+        };
+
+        ctx.clearRect(0, 0, width, height);
+        this.layout = [];
+
+        const series = PerformanceChart.buildSeries(this.metric, this.data, this.rollingWindow);
+        ctx.font = '12px Inter, -apple-system, sans-serif';
+
+        if (series.points.length === 0) {
+            ctx.fillStyle = colors.text;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(series.emptyMessage, width / 2, height / 2);
+            return;
+        }
+
+        const plot = { left: 56, right: width - 20, top: 16, bottom: height - 32 };
+        const { yMin, yMax, ticks } = this.computeScale(series);
+        const count = series.points.length;
+        const scaleX = index => count === 1
+            ? (plot.left + plot.right) / 2
+            : plot.left + index / (count - 1) * (plot.right - plot.left);
+        const scaleY = value => plot.bottom - (value - yMin) / (yMax - yMin) * (plot.bottom - plot.top);
+
+        // Grid and Y axis labels
+        ctx.strokeStyle = colors.grid;
+        ctx.fillStyle = colors.text;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ticks.forEach(value => {
+            const y = Math.round(scaleY(value)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.fillText(series.formatTick(value), plot.left - 8, y);
+        });
+
+        if (series.referenceLine !== undefined) {
+            ctx.save();
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = colors.text;
+            ctx.globalAlpha = 0.4;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, scaleY(series.referenceLine));
+            ctx.lineTo(plot.right, scaleY(series.referenceLine));
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // X axis labels: first, last and a few in between
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const labelEvery = Math.max(1, Math.ceil(count / 8));
+        series.points.forEach((point, index) => {
+            if (index % labelEvery === 0 || index === count - 1) {
+                ctx.fillText(this.metric === 'lp' ? `#${index + 1}` : `G${index + 1}`, scaleX(index), plot.bottom + 10);
+            }
+        });
+
+        // Line
+        ctx.strokeStyle = colors.line;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        series.points.forEach((point, index) => {
+            const x = scaleX(index);
+            const y = scaleY(point.y);
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+            this.layout.push({ x, y, point });
+        });
+        ctx.stroke();
+
+        // Points, colored by game result where there is one
+        this.layout.forEach(({ x, y, point }, index) => {
+            ctx.fillStyle = point.win === undefined ? colors.line : (point.win ? colors.win : colors.loss);
+            ctx.beginPath();
+            ctx.arc(x, y, index === this.hoverIndex ? 6 : 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        if (this.hoverIndex !== null && this.layout[this.hoverIndex]) {
+            this.drawTooltip(this.layout[this.hoverIndex], plot, colors);
+        }
+    }
+
+    drawTooltip({ x, y, point }, plot, colors) {
+        const ctx = this.ctx;
+        const lines = point.tooltip;
+        const lineHeight = 16;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const boxHeight = lines.length * lineHeight + 12;
+
+        // Vertical guide
+        ctx.strokeStyle = colors.grid;
+        ctx.beginPath();
+        ctx.moveTo(x, plot.top);
+        ctx.lineTo(x, plot.bottom);
+        ctx.stroke();
+
+        // Keep the box inside the plot: flip left of the point near the right edge
+        let boxX = x + 12;
+        if (boxX + boxWidth > plot.right) boxX = x - 12 - boxWidth;
+        let boxY = y - boxHeight / 2;
+        boxY = Math.min(Math.max(boxY, plot.top), plot.bottom - boxHeight);
+
+        ctx.fillStyle = colors.tooltip;
+        ctx.globalAlpha = 0.95;
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = colors.line;
+        ctx.strokeRect(boxX + 0.5, boxY + 0.5, boxWidth - 1, boxHeight - 1);
+
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => ctx.fillText(line, boxX + 8, boxY + 6 + index * lineHeight));
+    }
+
+    // Highlight the point nearest to the cursor horizontally
+    handleHover(event) {
+        if (this.layout.length === 0) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = event.clientX - rect.left;
+
+        let nearest = null;
+        this.layout.forEach(({ x }, index) => {
+            if (nearest === null || Math.abs(x - mouseX) < Math.abs(this.layout[nearest].x - mouseX)) {
+                nearest = index;
+            }
+        });
+        const hoverIndex = Math.abs(this.layout[nearest].x - mouseX) <= 24 ? nearest : null;
+        if (hoverIndex !== this.hoverIndex) {
+            this.hoverIndex = hoverIndex;
+            this.render();
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PerformanceChart = PerformanceChart;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceChart;
+}
@@ -0,0 +1,119 @@
+/**
+ * LoL Coach App - Rank benchmarks
+ * Percentile tables of per-game stats by tier and role, loaded from config/benchmarks.json
+ * (or BENCHMARKS_FILE), so insights compare a player with their own bracket ("around the
+ * 30th percentile for Gold mid laners") instead of one cutoff for every rank and role.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TIERS, ROLES } = require('./dataModel');
+
+const DEFAULT_BENCHMARKS_FILE = path.join(__dirname, '..', 'config', 'benchmarks.json');
+
+const ROLE_BRACKET_NAMES = {
+    TOP: 'top laners',
+    JUNGLE: 'junglers',
+    MIDDLE: 'mid laners',
+    BOTTOM: 'bot laners',
+    UTILITY: 'supports'
+};
+
+function invalidBenchmarks(message) {
+    const error = new Error(`Invalid benchmark table: ${message}`);
+    error.code = 'INVALID_BENCHMARKS';
+    return error;
+}
+
+// Check the table shape once at load time so lookups can trust it
+function validateBenchmarks(table) {
+    const percentiles = table && table.percentiles;
+    if (!Array.isArray(percentiles) || percentiles.length < 2 || percentiles.some((p, i) => i > 0 && p <= percentiles[i - 1])) {
+        throw invalidBenchmarks('percentiles must be an increasing list');
+    }
+    if (!table.tiers || !table.tiers[table.defaultTier]) {
+        throw invalidBenchmarks('defaultTier must name a tier in the table');
+    }
+    Object.entries(table.tiers).forEach(([tier, roles]) => {
+        if (!TIERS.includes(tier)) throw invalidBenchmarks(`unknown tier ${tier}`);
+        if (!roles.ALL) throw invalidBenchmarks(`${tier} has no ALL entry`);
+        Object.entries(roles).forEach(([role, metrics]) => {
+            if (role !== 'ALL' && !ROLES.includes(role)) throw invalidBenchmarks(`unknown role ${tier}.${role}`);
+            Object.entries(metrics).forEach(([metric, values]) => {
+                const increasing = Array.isArray(values) && values.every((value, i) => Number.isFinite(value) && (i === 0 || value >= values[i - 1]));
+                if (!increasing || values.length !== percentiles.length) {
+                    throw invalidBenchmarks(`${tier}.${role}.${metric} needs ${percentiles.length} increasing values`);
+                }
+            });
+        });
+    });
+    return table;
+}
+
+function loadBenchmarks(filePath = DEFAULT_BENCHMARKS_FILE) {
+    return validateBenchmarks(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+// Benchmark for a player's bracket. Unranked or unknown tiers use the table's default tier,
+// unknown roles the tier's ALL entry.
+function getBenchmark(table, tier, role) {
+    const requestedTier = String(tier || '').toUpperCase();
+    const tableTier = table.tiers[requestedTier] ? requestedTier : table.tierFallbacks?.[requestedTier];
+    const knownRole = ROLES.includes(role) && table.tiers[tableTier || table.defaultTier][role] ? role : null;
+    const tierName = tableTier
+        ? requestedTier.charAt(0) + requestedTier.slice(1).toLowerCase()
+        : null;
+
+    return {
+        tier: tableTier || table.defaultTier,
+        role: knownRole,
+        // "Gold mid laners", "Gold players", "mid laners of all ranks"
+        bracket: tierName
+            ? `${tierName} ${knownRole ? ROLE_BRACKET_NAMES[knownRole] : 'players'}`
+            : `${knownRole ? ROLE_BRACKET_NAMES[knownRole] : 'players'} of all ranks`,
+        percentiles: table.percentiles,
+        metrics: table.tiers[tableTier || table.defaultTier][knownRole || 'ALL']
+    };
+}
+
+// Percentile of a value, interpolated between the table's percentile points and clamped to 1-99
+function estimatePercentile(value, points, percentiles) {
+    const last = points.length - 1;
+    let index = points.findIndex(point => value < point);
+    if (index === -1) index = last;
+    if (index === 0) index = 1;
+
+    const [lowPoint, highPoint] = [points[index - 1], points[index]];
+    const [lowPercentile, highPercentile] = [percentiles[index - 1], percentiles[index]];
+    const percentile = highPoint === lowPoint
+        ? highPercentile
+        : lowPercentile + (value - lowPoint) / (highPoint - lowPoint) * (highPercentile - lowPercentile);
+    return Math.round(Math.min(99, Math.max(1, percentile)));
+}
+
+// { value, percentile, median } for a metric, or null when the bracket has no data for it
+function compareToBenchmark(benchmark, metric, value) {
+    const points = benchmark.metrics[metric];
+    if (!points || !Number.isFinite(value)) return null;
+    return {
+        value,
+        percentile: estimatePercentile(value, points, benchmark.percentiles),
+        median: points[benchmark.percentiles.indexOf(50)] ?? null
+    };
+}
+
+// 1 → "1st", 22 → "22nd", 13 → "13th"
+function ordinal(number) {
+    const suffix = (number % 100 >= 11 && number % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+    return `${number}${suffix}`;
+}
+
+module.exports = {
+    DEFAULT_BENCHMARKS_FILE,
+    validateBenchmarks,
+    loadBenchmarks,
+    getBenchmark,
+    estimatePercentile,
+    compareToBenchmark,
+    ordinal
+};
@@ -0,0 +1,65 @@
+/**
+ * LoL Coach App - Champion performance
+ * Per-champion aggregates over a player's stored matches (match_participants): games,
+ * win rate, KDA, CS/min, damage and kill participation. Accepts the same filters as the
+ * match history endpoint (queue, role, date range) so the table can follow the history view.
+ */
+
+const { buildHistoryFilter } = require('./historyQuery');
+
+function buildChampionStatsQuery(puuid, filters = {}) {
+    const { where, params } = buildHistoryFilter(puuid, filters);
+    return {
+        sql: `
+            SELECT mp.champion_name AS championName,
+                   COUNT(*) AS games,
+                   COALESCE(SUM(CASE WHEN mp.win THEN 1 ELSE 0 END), 0) AS wins,
+                   AVG(mp.kills) AS avgKills,
+                   AVG(mp.deaths) AS avgDeaths,
+                   AVG(mp.assists) AS avgAssists,
+                   SUM(mp.kills) AS totalKills,
+                   SUM(mp.deaths) AS totalDeaths,
+                   SUM(mp.assists) AS totalAssists,
+                   AVG(mp.cs_per_minute) AS csPerMinute,
+                   AVG(mp.damage_dealt) AS avgDamage,
+                   AVG(mp.kill_participation) AS killParticipation,
+                   MAX(m.game_creation) AS lastPlayed
+            FROM match_participants mp JOIN matches m ON mp.match_id = m.match_id
+            WHERE ${where} AND mp.champion_name IS NOT NULL
+            GROUP BY mp.champion_name
+            ORDER BY games DESC, wins DESC, championName
+        `,
+        params
+    };
+}
+
+const round = (value, digits = 2) => value === null || value === undefined
+    ? null
+    : Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Aggregate rows → response entries. KDA is pooled over all games ((K + A) / D), so one
+// deathless game doesn't dominate the average the way a mean of per-game ratios would.
+function toChampionStats(rows) {
+    return rows.map(row => ({
+        championName: row.championName,
+        games: row.games,
+        wins: row.wins,
+        losses: row.games - row.wins,
+        winRate: round(row.wins / row.games, 4),
+        avgKills: round(row.avgKills, 1),
+        avgDeaths: round(row.avgDeaths, 1),
+        avgAssists: round(row.avgAssists, 1),
+        kda: row.totalKills === null
+            ? null
+            : round((row.totalKills + row.totalAssists) / Math.max(row.totalDeaths, 1)),
+        csPerMinute: round(row.csPerMinute),
+        avgDamage: row.avgDamage === null ? null : Math.round(row.avgDamage),
+        killParticipation: round(row.killParticipation, 4),
+        lastPlayed: row.lastPlayed
+    }));
+}
+
+module.exports = {
+    buildChampionStatsQuery,
+    toChampionStats
+};
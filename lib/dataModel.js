@@ -0,0 +1,317 @@
+/**
+ * LoL Coach App - Canonical data model
+ * Every provider payload is converted to these shapes and validated before the API
+ * routes see it, so the frontend and the analytics code only deal with one format.
+ *
+ *   Summoner     { name, tagLine, region, level, profileIconId, puuid }
+ *   RankedEntry  { queueType, tier, rank, leaguePoints, wins, losses }
+ *   MatchSummary { matchId, gameCreation, gameDuration, queueId, championName, role, win,
+ *                  kills, deaths, assists, kdaRatio, csPerMinute, totalMinionsKilled }
+ *   Statistics   { winRate (0-1), avgKDA, avgCS (per minute), totalGames }
+ *
+ * Invalid fields are set to null and reported as issues; ranked entries without a
+ * valid tier are dropped.
+ */
+
+const crypto = require('crypto');
+
+const TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const DIVISIONS = ['I', 'II', 'III', 'IV'];
+const QUEUE_TYPES = ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR', 'RANKED_FLEX_TT', 'RANKED_TFT'];
+// Riot teamPosition values
+const ROLES = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+// Lane labels used by the sites we scrape, lowercased
+const ROLE_ALIASES = {
+    TOP: ['top', 'top lane', 'toplane'],
+    JUNGLE: ['jungle', 'jungler', 'jg', 'jng'],
+    MIDDLE: ['middle', 'mid', 'mid lane', 'midlane'],
+    BOTTOM: ['bottom', 'bot', 'bot lane', 'adc', 'ad carry', 'carry', 'marksman'],
+    UTILITY: ['utility', 'support', 'supp', 'sup']
+};
+
+// Field rules: type, bounds and whether null is acceptable
+const SUMMONER_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 32 },
+    tagLine: { type: 'string', required: true, maxLength: 8 },
+    region: { type: 'string', required: true },
+    level: { type: 'integer', min: 0, max: 5000 },
+    profileIconId: { type: 'integer', min: 0 },
+    puuid: { type: 'string' }
+};
+
+const RANKED_ENTRY_SCHEMA = {
+    queueType: { type: 'string', required: true, enum: QUEUE_TYPES },
+    tier: { type: 'string', required: true, enum: TIERS },
+    rank: { type: 'string', enum: DIVISIONS },
+    leaguePoints: { type: 'integer', min: 0, max: 5000 },
+    wins: { type: 'integer', min: 0 },
+    losses: { type: 'integer', min: 0 }
+};
+
+const MATCH_SUMMARY_SCHEMA = {
+    matchId: { type: 'string' },
+    gameCreation: { type: 'integer', min: Date.UTC(2009, 0, 1) },
+    gameDuration: { type: 'integer', min: 0, max: 3 * 60 * 60 },
+    queueId: { type: 'integer', min: 0 },
+    championName: { type: 'string', required: true, maxLength: 32 },
+    role: { type: 'string', enum: ROLES },
+    win: { type: 'boolean', required: true },
+    kills: { type: 'integer', min: 0, max: 100 },
+    deaths: { type: 'integer', min: 0, max: 100 },
+    assists: { type: 'integer', min: 0, max: 150 },
+    kdaRatio: { type: 'number', min: 0, max: 250 },
+    csPerMinute: { type: 'number', min: 0, max: 20 },
+    totalMinionsKilled: { type: 'integer', min: 0, max: 2000 }
+};
+
+const STATISTICS_SCHEMA = {
+    winRate: { type: 'number', min: 0, max: 1 },
+    avgKDA: { type: 'number', min: 0, max: 250 },
+    avgCS: { type: 'number', min: 0, max: 20 },
+    totalGames: { type: 'integer', min: 0 }
+};
+
+function firstDefined(...values) {
+    return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function toNumberOrNull(value) {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+}
+
+// "9 / 3 / 12" → [9, 3, 12]
+function parseKdaText(text) {
+    const parts = String(text || '').split(/\s*\/\s*/).map(part => parseInt(part));
+    return parts.length === 3 && parts.every(Number.isFinite) ? parts : [null, null, null];
+}
+
+// Riot match-v5 style id ("NA1_4567890123") when the page exposes the game id, so scraped
+// rows line up with Riot API rows. Otherwise a hash of the absolute start time and champion;
+// without either there is nothing stable to key on and the id is null.
+function buildMatchId(gameId, gameCreation, championName, region) {
+    const platform = String(region || '').toUpperCase();
+    if (gameId) {
+        return `${platform}_${gameId}`;
+    }
+    if (gameCreation && championName) {
+        const hash = crypto.createHash('sha1').update(`${platform}|${gameCreation}|${championName}`).digest('hex');
+        return `${platform}_SCRAPED_${hash.slice(0, 16)}`;
+    }
+    return null;
+}
+
+// Riot position or any site's lane label → one of ROLES; null for unknown (e.g. ARAM, where
+// Riot sends an empty teamPosition)
+function normalizeRole(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return null;
+    return ROLES.find(role => ROLE_ALIASES[role].includes(text)) || null;
+}
+
+// KDA of a canonical match: its kdaRatio, else (kills + assists) / deaths with at least one
+// death; null when kills, deaths or assists are unknown
+function matchKDA(match) {
+    if (Number.isFinite(match.kdaRatio)) return match.kdaRatio;
+    const { kills, deaths, assists } = match;
+    return [kills, deaths, assists].every(Number.isFinite) ? (kills + assists) / Math.max(deaths, 1) : null;
+}
+
+// Mean of the finite values (unknown stats are null), or null when there are none
+function average(values) {
+    const finite = values.filter(Number.isFinite);
+    return finite.length > 0 ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+}
+
+// Accepts OP.GG (snake_case), Mobalytics (camelCase, total cs), League of Graphs (kda text)
+// and already canonical matches
+function toCanonicalMatch(match, region) {
+    const championName = firstDefined(match.championName, match.champion_name, match.champion) || null;
+    const gameCreation = toNumberOrNull(firstDefined(match.gameCreation, match.game_creation));
+    const matchId = match.matchId || buildMatchId(firstDefined(match.game_id, match.gameId), gameCreation, championName, region);
+
+    const [kdaKills, kdaDeaths, kdaAssists] = parseKdaText(match.kda);
+    const kills = toNumberOrNull(firstDefined(match.kills, kdaKills));
+    const deaths = toNumberOrNull(firstDefined(match.deaths, kdaDeaths));
+    const assists = toNumberOrNull(firstDefined(match.assists, kdaAssists));
+
+    const gameDuration = toNumberOrNull(firstDefined(match.gameDuration, match.game_duration, match.duration));
+    const gameMinutes = gameDuration ? gameDuration / 60 : null;
+    let csPerMinute = toNumberOrNull(firstDefined(match.csPerMinute, match.cs_per_minute));
+    let totalMinionsKilled = toNumberOrNull(firstDefined(match.totalMinionsKilled, match.total_minions_killed));
+    if (totalMinionsKilled === null && match.cs !== undefined && gameMinutes) {
+        totalMinionsKilled = toNumberOrNull(match.cs);
+    }
+    if (csPerMinute === null && totalMinionsKilled !== null && gameMinutes) {
+        csPerMinute = totalMinionsKilled / gameMinutes;
+    }
+    if (totalMinionsKilled === null && csPerMinute !== null && gameMinutes) {
+        totalMinionsKilled = Math.round(csPerMinute * gameMinutes);
+    }
+
+    return {
+        matchId,
+        gameCreation,
+        gameDuration,
+        queueId: toNumberOrNull(firstDefined(match.queueId, match.queue_id)),
+        championName,
+        role: normalizeRole(firstDefined(match.role, match.teamPosition, match.position)),
+        win: Boolean(match.win),
+        kills,
+        deaths,
+        assists,
+        kdaRatio: matchKDA({ kills, deaths, assists }),
+        csPerMinute,
+        totalMinionsKilled
+    };
+}
+
+function toCanonicalRankedEntry(entry) {
+    const tier = String(entry.tier || '').trim().toUpperCase();
+    const rank = String(firstDefined(entry.rank, entry.division) || '').trim().toUpperCase();
+    return {
+        queueType: entry.queueType || entry.queue || 'RANKED_SOLO_5x5',
+        tier,
+        // Apex tiers have no division
+        rank: APEX_TIERS.includes(tier) ? null : (rank || null),
+        leaguePoints: toNumberOrNull(firstDefined(entry.leaguePoints, entry.lp, entry.league_points)) ?? 0,
+        wins: toNumberOrNull(entry.wins),
+        losses: toNumberOrNull(entry.losses)
+    };
+}
+
+function toCanonicalStatistics(statistics = {}, matches = []) {
+    let winRate = toNumberOrNull(statistics.winRate);
+    // Some sources report the win rate as a percentage
+    if (winRate !== null && winRate > 1 && winRate <= 100) winRate = winRate / 100;
+
+    return {
+        winRate: winRate ?? 0,
+        avgKDA: toNumberOrNull(statistics.avgKDA) ?? 0,
+        avgCS: toNumberOrNull(statistics.avgCS) ?? 0,
+        totalGames: toNumberOrNull(statistics.totalGames) ?? matches.length
+    };
+}
+
+// Statistics over canonical matches, for providers that only return a match list
+function summarizeMatches(matches) {
+    const games = (matches || []).filter(match => !match.invalid);
+    if (games.length === 0) {
+        return { winRate: 0, avgKDA: 0, avgCS: 0, totalGames: 0 };
+    }
+    const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    return {
+        winRate: games.filter(match => match.win).length / games.length,
+        avgKDA: average(games.map(match => match.kdaRatio).filter(Number.isFinite)),
+        avgCS: average(games.map(match => match.csPerMinute).filter(Number.isFinite)),
+        totalGames: games.length
+    };
+}
+
+// Convert a provider payload into the canonical shape (no validation)
+function toCanonical(raw) {
+    const summoner = raw.summoner || {};
+    const region = summoner.region;
+    const matches = (raw.matches || []).map(match => toCanonicalMatch(match, region));
+
+    return {
+        summoner: {
+            name: summoner.name,
+            tagLine: summoner.tagLine,
+            region: region,
+            level: toNumberOrNull(summoner.level) ?? 0,
+            profileIconId: toNumberOrNull(summoner.profileIconId),
+            puuid: summoner.puuid || null
+        },
+        ranked: (raw.ranked || []).map(toCanonicalRankedEntry),
+        matches,
+        statistics: toCanonicalStatistics(raw.statistics, matches),
+        sourceUrl: raw.sourceUrl || null
+    };
+}
+
+function checkField(value, rule) {
+    if (value === null || value === undefined) {
+        return rule.required ? 'is required' : null;
+    }
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || (rule.required && value.trim() === '')) return 'must be a non-empty string';
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'must be a boolean';
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+            if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+            break;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(', ')}`;
+    }
+    return null;
+}
+
+// Validate an object against a schema. Invalid optional fields are nulled; returns false
+// when a required field is invalid so the caller can drop the whole object.
+function validateObject(object, schema, path, issues) {
+    let valid = true;
+    Object.entries(schema).forEach(([field, rule]) => {
+        const message = checkField(object[field], rule);
+        if (message) {
+            issues.push({ path: `${path}.${field}`, message, value: object[field] ?? null });
+            if (rule.required) {
+                valid = false;
+            } else {
+                object[field] = null;
+            }
+        }
+    });
+    return valid;
+}
+
+// Validate canonical data in place; returns { data, issues }
+function validateCanonical(data) {
+    const issues = [];
+
+    validateObject(data.summoner, SUMMONER_SCHEMA, 'summoner', issues);
+
+    data.ranked = data.ranked.filter((entry, index) => validateObject(entry, RANKED_ENTRY_SCHEMA, `ranked[${index}]`, issues));
+
+    // Matches with an invalid required field are kept but flagged, the rest of the row is still useful
+    data.matches.forEach((match, index) => {
+        if (!validateObject(match, MATCH_SUMMARY_SCHEMA, `matches[${index}]`, issues)) {
+            match.invalid = true;
+        }
+    });
+
+    validateObject(data.statistics, STATISTICS_SCHEMA, 'statistics', issues);
+
+    return { data, issues };
+}
+
+// Convert and validate a provider payload
+function normalizeProviderData(raw) {
+    return validateCanonical(toCanonical(raw));
+}
+
+module.exports = {
+    TIERS,
+    DIVISIONS,
+    QUEUE_TYPES,
+    ROLES,
+    normalizeRole,
+    matchKDA,
+    average,
+    buildMatchId,
+    toCanonicalMatch,
+    summarizeMatches,
+    toCanonical,
+    validateCanonical,
+    normalizeProviderData
+};
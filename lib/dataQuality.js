@@ -0,0 +1,76 @@
+/**
+ * LoL Coach App - Data quality scoring
+ * Scores how complete a scraped payload is, so a page that loaded but matched no
+ * selectors can be treated as a failed source instead of a successful one.
+ */
+
+// Plausible ranges for per-game averages; anything outside points at a selector picking up the wrong text
+const PLAUSIBLE_RANGES = {
+    winRate: [0, 1],
+    avgKDA: [0, 50],
+    avgCS: [0, 15]
+};
+
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function hasRank(data) {
+    return (data.ranked || []).some(entry => entry.tier && String(entry.tier).toUpperCase() !== 'UNRANKED');
+}
+
+function hasMatches(data) {
+    return Array.isArray(data.matches) && data.matches.length > 0;
+}
+
+function hasLevel(data) {
+    return toNumber(data.summoner?.level) > 0;
+}
+
+// All reported averages are numbers within range, and at least one is non-zero
+function hasPlausibleStatistics(data) {
+    const statistics = data.statistics || {};
+    const values = Object.keys(PLAUSIBLE_RANGES).map(field => {
+        let value = toNumber(statistics[field] ?? 0);
+        // Win rate may be reported as a percentage
+        if (field === 'winRate' && value > 1 && value <= 100) value = value / 100;
+        return { field, value };
+    });
+
+    const inRange = values.every(({ field, value }) => {
+        const [min, max] = PLAUSIBLE_RANGES[field];
+        return value !== null && value >= min && value <= max;
+    });
+    return inRange && values.some(({ value }) => value > 0);
+}
+
+const QUALITY_CHECKS = [
+    { id: 'rank', weight: 0.3, test: hasRank },
+    { id: 'matches', weight: 0.3, test: hasMatches },
+    { id: 'level', weight: 0.2, test: hasLevel },
+    { id: 'statistics', weight: 0.2, test: hasPlausibleStatistics }
+];
+
+// Returns { score: 0..1, checks: { rank: true, ... }, missing: ['level', ...] }
+function scoreDataQuality(data) {
+    const checks = {};
+    let score = 0;
+
+    QUALITY_CHECKS.forEach(check => {
+        const passed = Boolean(data && check.test(data));
+        checks[check.id] = passed;
+        if (passed) score += check.weight;
+    });
+
+    return {
+        score: Math.round(score * 100) / 100,
+        checks,
+        missing: QUALITY_CHECKS.filter(check => !checks[check.id]).map(check => check.id)
+    };
+}
+
+module.exports = {
+    QUALITY_CHECKS,
+    scoreDataQuality
+};
@@ -0,0 +1,109 @@
+/**
+ * LoL Coach App - Data Source Provider Registry
+ * Holds every summoner data provider behind one interface so the API routes can
+ * walk them in a configurable order instead of hard-coding a fallback cascade.
+ *
+ * A provider is a plain object:
+ *   {
+ *     id: 'opgg',                      // stable identifier used in logs, env and requests
+ *     label: 'OP.GG',                  // human readable name
+ *     fetch: async (summonerName, tagLine, region) => data,
+ *     enabled: true,                   // optional, defaults to true
+ *     staticOnly: false,               // optional, true for sources without player data
+ *     savesMatches: false              // optional, true when fetch() already stored full match rows
+ *   }
+ */
+
+class DataSourceRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.defaultOrder = [];
+    }
+
+    // Register a provider; registration order is the default priority order
+    register(provider) {
+        if (!provider || !provider.id) {
+            throw new Error('Data source provider must have an id');
+        }
+        if (typeof provider.fetch !== 'function') {
+            throw new Error(`Data source provider "${provider.id}" must implement fetch()`);
+        }
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Data source provider "${provider.id}" is already registered`);
+        }
+
+        this.providers.set(provider.id, {
+            label: provider.id,
+            enabled: true,
+            staticOnly: false,
+            savesMatches: false,
+            ...provider
+        });
+        this.defaultOrder.push(provider.id);
+        return this;
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    list() {
+        return this.defaultOrder.map(id => this.providers.get(id));
+    }
+
+    setEnabled(id, enabled) {
+        const provider = this.get(id);
+        if (!provider) {
+            throw new Error(`Unknown data source: ${id}`);
+        }
+        provider.enabled = Boolean(enabled);
+        return this;
+    }
+
+    // Replace the default priority order; providers left out keep their relative order at the end
+    setDefaultOrder(order) {
+        const ids = this.validateIds(order);
+        const remaining = this.defaultOrder.filter(id => !ids.includes(id));
+        this.defaultOrder = [...ids, ...remaining];
+        return this;
+    }
+
+    // Throws on unknown ids and returns the de-duplicated list
+    validateIds(ids) {
+        const unknown = ids.filter(id => !this.providers.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown data source(s): ${unknown.join(', ')}`);
+        }
+        return [...new Set(ids)];
+    }
+
+    // Resolve the providers to try for a single lookup.
+    // options.order   - explicit order; only these providers are tried
+    // options.disable - ids to skip for this lookup only
+    resolve(options = {}) {
+        const order = options.order && options.order.length > 0
+            ? this.validateIds(options.order)
+            : this.defaultOrder;
+        const disabled = this.validateIds(options.disable || []);
+
+        return order
+            .map(id => this.providers.get(id))
+            .filter(provider => provider.enabled && !disabled.includes(provider.id));
+    }
+}
+
+// Parse a comma separated env value like "opgg, mobalytics" into ids
+function parseSourceList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(id => String(id).trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+    DataSourceRegistry,
+    parseSourceList
+};
@@ -0,0 +1,84 @@
+/**
+ * LoL Coach App - SQLite helpers
+ * Promise wrappers for the sqlite3 callback API, shared by the server and the modules that
+ * take a `db` connection (migrations, identity, the refresh job queue).
+ *
+ * The server shares one connection, and a statement issued while a transaction is open on it
+ * runs inside that transaction (and is rolled back with it). So transactions and the writes
+ * that may overlap them queue on a per-connection lock: withLock for a write, transaction()
+ * for BEGIN ... COMMIT. Work inside the lock uses run/get/all directly; taking the lock again
+ * from inside would wait forever.
+ */
+
+// Connection → promise settling when the last queued locked work is done
+const locks = new WeakMap();
+
+// Resolves the statement (lastID, changes)
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+// Resolves the first row, or null
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+// Several statements, no parameters
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, err => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+// Run work() once everything queued before it on this connection has settled
+function withLock(db, work) {
+    const result = (locks.get(db) || Promise.resolve()).then(() => work());
+    locks.set(db, result.catch(() => {}));
+    return result;
+}
+
+// work() inside BEGIN IMMEDIATE ... COMMIT, rolled back if it throws
+function transaction(db, work) {
+    return withLock(db, async () => {
+        await run(db, 'BEGIN IMMEDIATE');
+        try {
+            const result = await work();
+            await run(db, 'COMMIT');
+            return result;
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    run,
+    get,
+    all,
+    exec,
+    withLock,
+    transaction
+};
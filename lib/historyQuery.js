@@ -0,0 +1,208 @@
+/**
+ * LoL Coach App - Match history queries
+ * Parses the filters and paging options of GET /api/summoner/:puuid/history and builds
+ * the SQL for one page plus the totals of the filtered set. Pages are addressed by number,
+ * or by an opaque cursor (the last match's game_creation and match_id) so a client that
+ * keeps loading older games doesn't skip or repeat any when new games are saved meanwhile.
+ */
+
+const { ROLES } = require('./dataModel');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Epoch milliseconds or anything Date.parse understands
+function parseDate(value) {
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+// A match without a game_creation is written as ":<match_id>" and decodes to gameCreation null
+function encodeCursor(row) {
+    return Buffer.from(`${row.game_creation ?? ''}:${row.match_id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const decoded = Buffer.from(String(cursor), 'base64url').toString();
+    const separator = decoded.indexOf(':');
+    const creation = decoded.slice(0, separator);
+    const gameCreation = creation === '' ? null : Number(creation);
+    const matchId = decoded.slice(separator + 1);
+    if (separator === -1 || (gameCreation !== null && !Number.isInteger(gameCreation)) || !matchId) return null;
+    return { gameCreation, matchId };
+}
+
+const invalid = (field, message) => ({ field, location: 'query', message });
+
+// Query string → { options, errors }; errors lists every invalid parameter as
+// { field, location, message } (see lib/validation)
+function parseHistoryQuery(query = {}) {
+    const errors = [];
+    const filters = {};
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+        if (!/^\d+$/.test(query.limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push(invalid('limit', `limit must be between 1 and ${MAX_PAGE_SIZE}`));
+        }
+    }
+
+    let page = 1;
+    if (query.page !== undefined) {
+        page = parseInt(query.page);
+        if (!/^\d+$/.test(query.page) || page < 1) errors.push(invalid('page', 'page must be a positive integer'));
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) errors.push(invalid('cursor', 'cursor is invalid'));
+    }
+
+    if (query.queue !== undefined) {
+        filters.queueId = parseInt(query.queue);
+        if (!/^\d+$/.test(query.queue)) errors.push(invalid('queue', 'queue must be a queue ID, e.g. 420'));
+    }
+
+    if (query.champion !== undefined) {
+        filters.champion = String(query.champion).trim();
+        if (!filters.champion) errors.push(invalid('champion', 'champion must not be empty'));
+    }
+
+    if (query.role !== undefined) {
+        filters.role = String(query.role).toUpperCase();
+        if (!ROLES.includes(filters.role)) errors.push(invalid('role', `role must be one of: ${ROLES.join(', ')}`));
+    }
+
+    if (query.win !== undefined) {
+        const win = String(query.win).toLowerCase();
+        if (['true', '1', 'win'].includes(win)) filters.win = true;
+        else if (['false', '0', 'loss'].includes(win)) filters.win = false;
+        else errors.push(invalid('win', 'win must be true or false'));
+    }
+
+    for (const field of ['from', 'to']) {
+        if (query[field] === undefined) continue;
+        filters[field] = parseDate(query[field]);
+        if (filters[field] === null) errors.push(invalid(field, `${field} must be a date or epoch milliseconds`));
+    }
+
+    return { options: { page, limit, cursor, filters }, errors };
+}
+
+// WHERE clause over match_participants mp JOIN matches m for one player and the parsed filters
+function buildHistoryFilter(puuid, filters = {}) {
+    const conditions = ['mp.summoner_puuid = ?'];
+    const params = [puuid];
+
+    if (filters.queueId !== undefined) {
+        conditions.push('m.queue_id = ?');
+        params.push(filters.queueId);
+    }
+    if (filters.champion !== undefined) {
+        conditions.push('lower(mp.champion_name) = lower(?)');
+        params.push(filters.champion);
+    }
+    if (filters.role !== undefined) {
+        conditions.push('mp.role = ?');
+        params.push(filters.role);
+    }
+    if (filters.win !== undefined) {
+        conditions.push('mp.win = ?');
+        params.push(filters.win ? 1 : 0);
+    }
+    if (filters.from !== undefined) {
+        conditions.push('m.game_creation >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to !== undefined) {
+        conditions.push('m.game_creation <= ?');
+        params.push(filters.to);
+    }
+    return { where: conditions.join(' AND '), params };
+}
+
+// SQL for the totals of the filtered set and for the requested page. The page query
+// fetches one extra row so the caller can tell whether another page follows.
+function buildHistoryQueries(puuid, { page = 1, limit = DEFAULT_PAGE_SIZE, cursor = null, filters = {} } = {}) {
+    const { where, params } = buildHistoryFilter(puuid, filters);
+    const from = 'FROM match_participants mp JOIN matches m ON mp.match_id = m.match_id';
+
+    const totals = {
+        sql: `
+            SELECT COUNT(*) AS total,
+                   COALESCE(SUM(CASE WHEN mp.win THEN 1 ELSE 0 END), 0) AS wins,
+                   AVG(mp.kda_ratio) AS avgKDA,
+                   AVG(mp.cs_per_minute) AS avgCS
+            ${from} WHERE ${where}
+        `,
+        params
+    };
+
+    // Walks idx_matches_game_creation newest first (CROSS JOIN keeps matches as the outer
+    // loop) and stops after the page, instead of sorting all of the player's matches. The
+    // sort is on the bare indexed columns; under DESC, a NULL game_creation comes last.
+    const pageParams = [...params];
+    let pageWhere = where;
+    if (cursor && cursor.gameCreation === null) {
+        pageWhere += ' AND m.game_creation IS NULL AND m.match_id < ?';
+        pageParams.push(cursor.matchId);
+    } else if (cursor) {
+        pageWhere += ' AND (m.game_creation < ? OR m.game_creation IS NULL OR (m.game_creation = ? AND m.match_id < ?))';
+        pageParams.push(cursor.gameCreation, cursor.gameCreation, cursor.matchId);
+    }
+    pageParams.push(limit + 1, cursor ? 0 : (page - 1) * limit);
+
+    return {
+        totals,
+        page: {
+            sql: `
+                SELECT mp.*, m.game_creation, m.game_duration, m.queue_id
+                FROM matches m CROSS JOIN match_participants mp ON mp.match_id = m.match_id
+                WHERE ${pageWhere}
+                ORDER BY m.game_creation DESC, m.match_id DESC
+                LIMIT ? OFFSET ?
+            `,
+            params: pageParams
+        }
+    };
+}
+
+// Page rows (with the extra look-ahead row) and totals → response body
+function buildHistoryResponse(puuid, options, rows, totals) {
+    const hasMore = rows.length > options.limit;
+    const matches = rows.slice(0, options.limit);
+    const total = totals.total;
+
+    return {
+        puuid,
+        matches,
+        pagination: {
+            page: options.cursor ? null : options.page,
+            limit: options.limit,
+            total,
+            totalPages: Math.ceil(total / options.limit),
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(matches[matches.length - 1]) : null
+        },
+        summary: {
+            wins: totals.wins,
+            losses: total - totals.wins,
+            avgKDA: totals.avgKDA,
+            avgCS: totals.avgCS
+        },
+        filters: options.filters
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parseHistoryQuery,
+    buildHistoryFilter,
+    buildHistoryQueries,
+    buildHistoryResponse
+};
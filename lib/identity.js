@@ -0,0 +1,134 @@
+/**
+ * LoL Coach App - Player identity
+ * One `summoners` row per player. A player is keyed by their real Riot PUUID when any
+ * provider exposes it (the Riot API, or a scraped page's embedded state); otherwise by a
+ * pseudo-PUUID derived from Riot ID + region alone, so OP.GG and Mobalytics lookups land
+ * on the same row. When the real PUUID turns up later, the pseudo record is merged into it
+ * and kept as an alias so old links still resolve. summoner_names keeps every Riot ID a
+ * player has been seen under, so renames keep their history.
+ */
+
+const crypto = require('crypto');
+const { run, all, transaction } = require('./db');
+
+// Pseudo-PUUIDs: "pseudo_<hash>" now, "<source>_<name>_<tag>_<region>" before the identity layer
+const PSEUDO_PUUID_PATTERN = /^(pseudo|opgg|mobalytics|league_of_graphs|riot_api|data_dragon)_/;
+
+// Riot IDs are case-insensitive: "Vrael#NA1" on na1 → "vrael#na1@na1"
+function riotIdKey(gameName, tagLine, region) {
+    const clean = value => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${clean(gameName)}#${clean(tagLine)}@${clean(region)}`;
+}
+
+function pseudoPuuid(gameName, tagLine, region) {
+    const hash = crypto.createHash('sha256').update(riotIdKey(gameName, tagLine, region)).digest('hex');
+    return `pseudo_${hash.slice(0, 32)}`;
+}
+
+function isPseudoPuuid(puuid) {
+    return PSEUDO_PUUID_PATTERN.test(String(puuid || ''));
+}
+
+// Canonical PUUID for a possibly merged-away one
+async function resolveAlias(db, puuid) {
+    const [alias] = await all(db, 'SELECT puuid FROM summoner_aliases WHERE alias_puuid = ?', [puuid]);
+    return alias ? alias.puuid : puuid;
+}
+
+// Remember a Riot ID for a player; first_seen_at stays, last_seen_at moves
+function recordName(db, puuid, gameName, tagLine, region) {
+    const now = new Date().toISOString();
+    return run(db, `
+        INSERT INTO summoner_names (puuid, game_name, tag_line, region, riot_id_key, first_seen_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (puuid, riot_id_key) DO UPDATE SET
+            game_name = excluded.game_name,
+            tag_line = excluded.tag_line,
+            last_seen_at = excluded.last_seen_at
+    `, [puuid, gameName, tagLine, region, riotIdKey(gameName, tagLine, region), now, now]);
+}
+
+// Move everything stored under fromPuuid to toPuuid and leave an alias behind. Runs inside
+// the caller's transaction.
+async function mergePlayers(db, fromPuuid, toPuuid) {
+    // Unique per player: rows the target already has win, the rest move over
+    await run(db, 'UPDATE OR IGNORE match_participants SET summoner_puuid = ? WHERE summoner_puuid = ?', [toPuuid, fromPuuid]);
+    await run(db, 'DELETE FROM match_participants WHERE summoner_puuid = ?', [fromPuuid]);
+    await run(db, 'UPDATE OR IGNORE summoner_names SET puuid = ? WHERE puuid = ?', [toPuuid, fromPuuid]);
+    await run(db, 'DELETE FROM summoner_names WHERE puuid = ?', [fromPuuid]);
+    await run(db, 'UPDATE matches SET summoner_puuid = ? WHERE summoner_puuid = ?', [toPuuid, fromPuuid]);
+    await run(db, 'UPDATE ranked_stats SET summoner_puuid = ? WHERE summoner_puuid = ?', [toPuuid, fromPuuid]);
+    // Regenerated on the next lookup
+    await run(db, 'DELETE FROM insights WHERE summoner_puuid = ?', [fromPuuid]);
+
+    const [target] = await all(db, 'SELECT id FROM summoners WHERE puuid = ?', [toPuuid]);
+    if (target) {
+        await run(db, `UPDATE summoners SET watched = MAX(COALESCE(watched, 0),
+            (SELECT COALESCE(watched, 0) FROM summoners WHERE puuid = ?)) WHERE puuid = ?`, [fromPuuid, toPuuid]);
+        await run(db, 'DELETE FROM summoners WHERE puuid = ?', [fromPuuid]);
+    } else {
+        await run(db, 'UPDATE summoners SET puuid = ? WHERE puuid = ?', [toPuuid, fromPuuid]);
+    }
+
+    await run(db, 'UPDATE summoner_aliases SET puuid = ? WHERE puuid = ?', [toPuuid, fromPuuid]);
+    await run(db, 'INSERT OR REPLACE INTO summoner_aliases (alias_puuid, puuid, merged_at) VALUES (?, ?, ?)',
+        [fromPuuid, toPuuid, new Date().toISOString()]);
+}
+
+// Which stored record a lookup belongs to. Real PUUIDs win over pseudo ones; two different
+// real PUUIDs are different players (a Riot ID can change hands) and are never merged.
+function pickCanonical(candidates, realPuuid) {
+    if (realPuuid) return realPuuid;
+    return candidates.find(puuid => !isPseudoPuuid(puuid)) || candidates[0] || null;
+}
+
+/**
+ * Canonical PUUID for a lookup, merging pseudo records of the same Riot ID into it.
+ * @param {object} player  { puuid (real one from the provider, if any), gameName, tagLine, region }
+ * @returns {Promise<{ puuid, merged: string[] }>}
+ */
+async function resolvePlayer(db, { puuid, gameName, tagLine, region }) {
+    const realPuuid = puuid && !isPseudoPuuid(puuid) ? await resolveAlias(db, puuid) : null;
+    const rows = await all(db, 'SELECT puuid FROM summoners WHERE riot_id_key = ? ORDER BY last_updated DESC',
+        [riotIdKey(gameName, tagLine, region)]);
+    const candidates = rows.map(row => row.puuid);
+    const canonical = pickCanonical(candidates, realPuuid) || pseudoPuuid(gameName, tagLine, region);
+    const merged = candidates.filter(candidate => candidate !== canonical && isPseudoPuuid(candidate));
+
+    if (merged.length > 0) {
+        await transaction(db, async () => {
+            for (const fromPuuid of merged) await mergePlayers(db, fromPuuid, canonical);
+        });
+    }
+    return { puuid: canonical, merged };
+}
+
+// Merge every group of rows sharing a Riot ID; used when adopting an existing database
+async function mergeDuplicatePlayers(db) {
+    const groups = await all(db, `
+        SELECT riot_id_key FROM summoners WHERE riot_id_key IS NOT NULL
+        GROUP BY riot_id_key HAVING COUNT(*) > 1
+    `);
+    let merged = 0;
+    for (const { riot_id_key: key } of groups) {
+        const rows = await all(db, 'SELECT puuid FROM summoners WHERE riot_id_key = ? ORDER BY last_updated DESC', [key]);
+        const candidates = rows.map(row => row.puuid);
+        const canonical = pickCanonical(candidates, null);
+        for (const fromPuuid of candidates.filter(candidate => candidate !== canonical && isPseudoPuuid(candidate))) {
+            await mergePlayers(db, fromPuuid, canonical);
+            merged++;
+        }
+    }
+    return merged;
+}
+
+module.exports = {
+    riotIdKey,
+    pseudoPuuid,
+    isPseudoPuuid,
+    resolveAlias,
+    recordName,
+    mergePlayers,
+    resolvePlayer,
+    mergeDuplicatePlayers
+};
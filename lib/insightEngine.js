@@ -0,0 +1,142 @@
+/**
+ * LoL Coach App - Insight rules engine
+ * Coaching insights are declarative rules loaded from config/insightRules.json (or
+ * INSIGHT_RULES_FILE), evaluated against the stats from lib/insightStats:
+ *
+ *   { id, category, priority, group?, when, title, description }
+ *
+ * `when` is a condition tree: { all: [...] }, { any: [...] }, { not: {...} } or a comparison
+ * { stat: 'kda.percentile', op: '<', value: 25 }. Missing stats never match a comparison;
+ * use op 'exists' to test for them. Rules sharing a `group` are alternatives: only the
+ * first match in file order fires. Templates fill in {{stat.path}} or {{stat.path|filter}}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ordinal } = require('./benchmarks');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'insightRules.json');
+
+const OPERATORS = {
+    '<': (left, right) => left < right,
+    '<=': (left, right) => left <= right,
+    '>': (left, right) => left > right,
+    '>=': (left, right) => left >= right,
+    '==': (left, right) => left === right,
+    '!=': (left, right) => left !== right
+};
+
+const FILTERS = {
+    decimal: value => Number(value).toFixed(1),
+    round: value => String(Math.round(value)),
+    percent: value => `${Math.round(value * 100)}%`,
+    ordinal: value => ordinal(Math.round(value))
+};
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+function invalidRules(message) {
+    const error = new Error(`Invalid insight rules: ${message}`);
+    error.code = 'INVALID_INSIGHT_RULES';
+    return error;
+}
+
+// 'kda.percentile' → stats.kda.percentile, undefined when any step is missing
+function resolveStat(stats, statPath) {
+    return statPath.split('.').reduce((value, key) => value === null || value === undefined ? undefined : value[key], stats);
+}
+
+function evaluateCondition(condition, stats) {
+    if (condition.all) return condition.all.every(child => evaluateCondition(child, stats));
+    if (condition.any) return condition.any.some(child => evaluateCondition(child, stats));
+    if (condition.not) return !evaluateCondition(condition.not, stats);
+
+    const value = resolveStat(stats, condition.stat);
+    if (condition.op === 'exists') return (value !== null && value !== undefined) === (condition.value !== false);
+    if (value === null || value === undefined) return false;
+    return OPERATORS[condition.op](value, condition.value);
+}
+
+function renderTemplate(template, stats) {
+    return template.replace(TEMPLATE_PATTERN, (match, statPath, filter) => {
+        const value = resolveStat(stats, statPath);
+        if (value === null || value === undefined) return '';
+        return filter ? FILTERS[filter](value) : String(value);
+    });
+}
+
+function validateCondition(condition, where) {
+    if (!condition || typeof condition !== 'object') throw invalidRules(`${where} must be an object`);
+    if (condition.all || condition.any) {
+        const children = condition.all || condition.any;
+        if (!Array.isArray(children) || children.length === 0) throw invalidRules(`${where} needs a non-empty list`);
+        children.forEach((child, index) => validateCondition(child, `${where}[${index}]`));
+        return;
+    }
+    if (condition.not) {
+        validateCondition(condition.not, `${where}.not`);
+        return;
+    }
+    if (typeof condition.stat !== 'string') throw invalidRules(`${where} needs a stat`);
+    if (condition.op !== 'exists' && !OPERATORS[condition.op]) throw invalidRules(`${where} has unknown operator ${condition.op}`);
+    if (condition.op !== 'exists' && condition.value === undefined) throw invalidRules(`${where} needs a value`);
+}
+
+function validateTemplate(template, where) {
+    if (typeof template !== 'string' || template.length === 0) throw invalidRules(`${where} must be a non-empty string`);
+    for (const [, , filter] of template.matchAll(TEMPLATE_PATTERN)) {
+        if (filter && !FILTERS[filter]) throw invalidRules(`${where} uses unknown filter ${filter}`);
+    }
+}
+
+// Check every rule once at load time so evaluation can trust them
+function validateRules(config) {
+    const rules = config && config.rules;
+    if (!Array.isArray(rules)) throw invalidRules('rules must be a list');
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const where = rule && rule.id ? rule.id : `rules[${index}]`;
+        if (!rule || typeof rule.id !== 'string') throw invalidRules(`${where} needs an id`);
+        if (ids.has(rule.id)) throw invalidRules(`duplicate rule id ${rule.id}`);
+        ids.add(rule.id);
+        if (typeof rule.category !== 'string') throw invalidRules(`${where} needs a category`);
+        if (!Number.isInteger(rule.priority) || rule.priority < 1) throw invalidRules(`${where} priority must be a positive integer`);
+        validateCondition(rule.when, `${where}.when`);
+        validateTemplate(rule.title, `${where}.title`);
+        validateTemplate(rule.description, `${where}.description`);
+    });
+    return config;
+}
+
+function loadInsightRules(filePath = DEFAULT_RULES_FILE) {
+    return validateRules(JSON.parse(fs.readFileSync(filePath, 'utf8'))).rules;
+}
+
+// Matching rules → [{ type, title, description, priority, ruleId }], most important first
+function evaluateRules(rules, stats) {
+    const firedGroups = new Set();
+    const insights = [];
+    rules.forEach(rule => {
+        if (rule.group && firedGroups.has(rule.group)) return;
+        if (!evaluateCondition(rule.when, stats)) return;
+        if (rule.group) firedGroups.add(rule.group);
+        insights.push({
+            type: rule.category,
+            title: renderTemplate(rule.title, stats),
+            description: renderTemplate(rule.description, stats),
+            priority: rule.priority,
+            ruleId: rule.id
+        });
+    });
+    return insights.sort((a, b) => a.priority - b.priority);
+}
+
+module.exports = {
+    DEFAULT_RULES_FILE,
+    validateRules,
+    loadInsightRules,
+    evaluateCondition,
+    renderTemplate,
+    evaluateRules
+};
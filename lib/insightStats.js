@@ -0,0 +1,67 @@
+/**
+ * LoL Coach App - Insight stats
+ * The numbers the insight rules (config/insightRules.json) are written against, computed
+ * once per lookup from canonical data. Every provider goes through here, so Riot API and
+ * scraped lookups get the same coaching. Stats that can't be computed are null.
+ */
+
+const { normalizeRole, matchKDA, average } = require('./dataModel');
+const { summarizeByRole, primaryRole, findOffRoleGap } = require('./roleStats');
+const { getBenchmark, compareToBenchmark } = require('./benchmarks');
+const { analyzeStreaks } = require('./streaks');
+
+// Games the insights look back over
+const RECENT_GAMES = 20;
+
+/**
+ * @param {object} data        { matches, ranked, statistics } in the canonical model
+ * @param {object} benchmarks  table from lib/benchmarks loadBenchmarks()
+ * @param {object} [sources]   { label, official } describing where the data came from
+ */
+function buildInsightStats({ matches, ranked, statistics } = {}, benchmarks, sources = null) {
+    const recentMatches = (matches || []).filter(match => !match.invalid).slice(0, RECENT_GAMES);
+    const games = recentMatches.length;
+
+    // KDA and CS are compared with players of the same tier and main role, over the games in that role
+    const roleStats = summarizeByRole(recentMatches);
+    const mainRole = roleStats.find(stats => stats.role === primaryRole(roleStats)) || null;
+    const roleMatches = mainRole ? recentMatches.filter(match => normalizeRole(match.role) === mainRole.role) : recentMatches;
+    const soloQueue = (ranked || []).find(entry => entry.queueType === 'RANKED_SOLO_5x5') || (ranked || [])[0];
+    const benchmark = getBenchmark(benchmarks, soloQueue?.tier, mainRole?.role);
+    const avgKDA = average(roleMatches.map(matchKDA));
+    const avgCS = average(roleMatches.map(match => match.csPerMinute));
+
+    const { streaks, afterLosses, decliningSession } = analyzeStreaks(recentMatches);
+    const current = streaks.current;
+
+    return {
+        games,
+        // Without match rows, fall back to the provider's overall win rate
+        winRate: games > 0
+            ? recentMatches.filter(match => match.win).length / games
+            : (statistics?.winRate > 0 ? statistics.winRate : null),
+        avgKDA,
+        avgCS,
+        tier: soloQueue?.tier || null,
+        mainRole: mainRole ? { role: mainRole.role, label: mainRole.label } : null,
+        bracket: benchmark.bracket,
+        kda: compareToBenchmark(benchmark, 'kda', avgKDA),
+        cs: compareToBenchmark(benchmark, 'csPerMinute', avgCS),
+        offRole: findOffRoleGap(roleStats),
+        winStreak: current && current.result === 'win' ? current.length : 0,
+        lossStreak: current && current.result === 'loss' ? current.length : 0,
+        afterLosses: afterLosses && {
+            ...afterLosses,
+            winRateDrop: afterLosses.baselineWinRate - afterLosses.winRate,
+            kdaDrop: afterLosses.baselineKDA > 0 ? 1 - afterLosses.avgKDA / afterLosses.baselineKDA : 0
+        },
+        decliningSession,
+        uniqueChampions: new Set(recentMatches.map(match => match.championName).filter(Boolean)).size,
+        sources
+    };
+}
+
+module.exports = {
+    RECENT_GAMES,
+    buildInsightStats
+};
@@ -0,0 +1,278 @@
+/**
+ * LoL Coach App - Background refresh jobs
+ * Summoner refreshes run outside the request path. Jobs live in the refresh_jobs table
+ * so they survive restarts; a poll loop claims due jobs up to `concurrency` at a time,
+ * failed jobs are retried with exponential backoff until maxAttempts is reached.
+ *
+ * Job states: queued → running → succeeded | failed (queued again while retries remain)
+ */
+
+const { run, get, all, withLock } = require('./db');
+
+const REFRESH_JOBS_TABLE = `CREATE TABLE IF NOT EXISTS refresh_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    summoner_name TEXT NOT NULL,
+    tag_line TEXT NOT NULL,
+    region TEXT NOT NULL,
+    mode TEXT,
+    trigger TEXT NOT NULL DEFAULT 'manual',
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_run_at INTEGER NOT NULL,
+    last_error TEXT,
+    result TEXT,
+    created_at DATETIME NOT NULL,
+    started_at DATETIME,
+    finished_at DATETIME
+)`;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+function toJob(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        summonerName: row.summoner_name,
+        tagLine: row.tag_line,
+        region: row.region,
+        mode: row.mode,
+        trigger: row.trigger,
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        nextRunAt: new Date(row.next_run_at).toISOString(),
+        lastError: row.last_error,
+        result: row.result ? JSON.parse(row.result) : null,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+// Limits how many tasks run at once per key (e.g. per data source)
+class ConcurrencyLimiter {
+    constructor(limits = {}, defaultLimit = 1) {
+        this.limits = limits;
+        this.defaultLimit = defaultLimit;
+        this.active = new Map();
+        this.waiting = new Map();
+    }
+
+    limitFor(key) {
+        return this.limits[key] ?? this.defaultLimit;
+    }
+
+    async run(key, task) {
+        if ((this.active.get(key) || 0) >= this.limitFor(key)) {
+            // The finishing task hands its slot straight to us, active stays the same
+            await new Promise(resolve => {
+                if (!this.waiting.has(key)) this.waiting.set(key, []);
+                this.waiting.get(key).push(resolve);
+            });
+        } else {
+            this.active.set(key, (this.active.get(key) || 0) + 1);
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = (this.waiting.get(key) || []).shift();
+            if (next) {
+                next();
+            } else {
+                this.active.set(key, this.active.get(key) - 1);
+            }
+        }
+    }
+
+    getStatus() {
+        return Object.fromEntries([...this.active.entries()].map(([key, active]) => [key, {
+            active,
+            waiting: (this.waiting.get(key) || []).length,
+            limit: this.limitFor(key)
+        }]));
+    }
+}
+
+// "opgg:2,mobalytics:1" → { opgg: 2, mobalytics: 1 }
+function parseConcurrencyLimits(value) {
+    if (!value) return {};
+    return Object.fromEntries(String(value).split(',')
+        .map(part => part.trim().split(':'))
+        .filter(([key, limit]) => key && parseInt(limit) > 0)
+        .map(([key, limit]) => [key.toLowerCase(), parseInt(limit)]));
+}
+
+class RefreshJobQueue {
+    // handler(job) resolves a JSON-serializable result or throws to fail the attempt
+    constructor(options = {}) {
+        this.db = options.db;
+        this.handler = options.handler;
+        this.concurrency = options.concurrency ?? 2;
+        this.maxAttempts = options.maxAttempts ?? 3;
+        this.baseDelayMs = options.baseDelayMs ?? 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+        this.now = options.now || Date.now;
+        this.running = new Map();
+        // Settles when the last tick has claimed its jobs
+        this.ticking = Promise.resolve();
+        this.timer = null;
+    }
+
+    // Queue a refresh; an already queued or running job for the same Riot ID is returned instead
+    async enqueue({ summonerName, tagLine, region, mode = null, trigger = 'manual' }) {
+        const pending = await this.findPending(summonerName, tagLine, region);
+        if (pending) {
+            return { job: pending, created: false };
+        }
+
+        const result = await this.write(`
+            INSERT INTO refresh_jobs
+            (summoner_name, tag_line, region, mode, trigger, status, max_attempts, next_run_at, created_at)
+            VALUES (?, ?, ?, ?, ?, 'queued', ?, ?, ?)
+        `, [summonerName, tagLine, region, mode, trigger, this.maxAttempts, this.now(), new Date(this.now()).toISOString()]);
+
+        return { job: await this.getJob(result.lastID), created: true };
+    }
+
+    // Writes share the connection's lock with transactions (see lib/db)
+    write(sql, params) {
+        return withLock(this.db, () => run(this.db, sql, params));
+    }
+
+    async findPending(summonerName, tagLine, region) {
+        return toJob(await get(this.db, `
+            SELECT * FROM refresh_jobs
+            WHERE lower(summoner_name) = lower(?) AND lower(tag_line) = lower(?) AND lower(region) = lower(?)
+              AND status IN ('queued', 'running')
+            ORDER BY id LIMIT 1
+        `, [summonerName, tagLine, region]));
+    }
+
+    async getJob(id) {
+        return toJob(await get(this.db, 'SELECT * FROM refresh_jobs WHERE id = ?', [id]));
+    }
+
+    async listJobs({ status = null, limit = 50 } = {}) {
+        const rows = status
+            ? await all(this.db, 'SELECT * FROM refresh_jobs WHERE status = ? ORDER BY id DESC LIMIT ?', [status, limit])
+            : await all(this.db, 'SELECT * FROM refresh_jobs ORDER BY id DESC LIMIT ?', [limit]);
+        return rows.map(toJob);
+    }
+
+    // Jobs left 'running' by a previous process were interrupted; run them again
+    async recoverInterrupted() {
+        const result = await this.write(`
+            UPDATE refresh_jobs SET status = 'queued', next_run_at = ? WHERE status = 'running'
+        `, [this.now()]);
+        return result.changes;
+    }
+
+    // Claim due jobs up to the concurrency limit and start them; resolves once they are claimed.
+    // Ticks run one after another, since each works out the free slots before its awaited claims.
+    tick() {
+        const claimed = this.ticking.then(() => this.claimDue());
+        this.ticking = claimed.catch(() => {});
+        return claimed;
+    }
+
+    async claimDue() {
+        const available = this.concurrency - this.running.size;
+        if (available <= 0) return [];
+
+        const due = await all(this.db, `
+            SELECT id FROM refresh_jobs WHERE status = 'queued' AND next_run_at <= ?
+            ORDER BY next_run_at, id LIMIT ?
+        `, [this.now(), available]);
+
+        const started = [];
+        for (const { id } of due) {
+            // The status check makes the claim safe if another tick got here first
+            const claim = await this.write(`
+                UPDATE refresh_jobs SET status = 'running', attempts = attempts + 1, started_at = ?
+                WHERE id = ? AND status = 'queued'
+            `, [new Date(this.now()).toISOString(), id]);
+            if (claim.changes === 0) continue;
+
+            const job = await this.getJob(id);
+            this.running.set(id, this.execute(job));
+            started.push(job);
+        }
+        return started;
+    }
+
+    async execute(job) {
+        try {
+            const result = await this.handler(job);
+            const updated = await this.updateJob(job, `
+                UPDATE refresh_jobs SET status = 'succeeded', result = ?, last_error = NULL, finished_at = ?
+                WHERE id = ?
+            `, [JSON.stringify(result ?? null), new Date(this.now()).toISOString(), job.id]);
+            if (updated) console.log(`🔄 Refresh job ${job.id} (${job.summonerName}#${job.tagLine}) succeeded`);
+        } catch (error) {
+            if (job.attempts < job.maxAttempts) {
+                const retryDelay = this.baseDelayMs * Math.pow(2, job.attempts - 1);
+                await this.updateJob(job, `
+                    UPDATE refresh_jobs SET status = 'queued', last_error = ?, next_run_at = ? WHERE id = ?
+                `, [error.message, this.now() + retryDelay, job.id]);
+                console.log(`🔄 Refresh job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${retryDelay / 1000}s:`, error.message);
+            } else {
+                await this.updateJob(job, `
+                    UPDATE refresh_jobs SET status = 'failed', last_error = ?, finished_at = ? WHERE id = ?
+                `, [error.message, new Date(this.now()).toISOString(), job.id]);
+                console.log(`❌ Refresh job ${job.id} failed after ${job.attempts} attempts:`, error.message);
+            }
+        } finally {
+            this.running.delete(job.id);
+        }
+    }
+
+    // Status updates after a run log their errors instead of throwing: nothing awaits
+    // execute() until drain(), so a rejection there would go unhandled.
+    async updateJob(job, sql, params) {
+        try {
+            await this.write(sql, params);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to update refresh job ${job.id}:`, error.message);
+            return false;
+        }
+    }
+
+    // Wait for every job started so far (tests, shutdown)
+    async drain() {
+        while (this.running.size > 0) {
+            await Promise.all([...this.running.values()]);
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Refresh job poll failed:', error.message));
+        }, this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getStatus() {
+        return {
+            polling: Boolean(this.timer),
+            concurrency: this.concurrency,
+            running: this.running.size
+        };
+    }
+}
+
+module.exports = {
+    REFRESH_JOBS_TABLE,
+    JOB_STATUSES,
+    ConcurrencyLimiter,
+    parseConcurrencyLimits,
+    RefreshJobQueue
+};
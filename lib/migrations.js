@@ -0,0 +1,271 @@
+/**
+ * LoL Coach App - Schema migrations
+ * Numbered migrations for lol_coach.db. The schema_version table records which have run;
+ * runMigrations applies the missing ones in order, each in its own transaction, so a failed
+ * migration leaves the database at the previous version. The server waits for it before
+ * accepting requests.
+ *
+ * To change the schema, append a migration with the next version number. Never edit one
+ * that has shipped: databases that already ran it won't run it again. A step is either an
+ * SQL string or an async function (db) => {} for changes SQL alone can't express.
+ */
+
+const { run, all, transaction } = require('./db');
+const { REFRESH_JOBS_TABLE } = require('./jobQueue');
+const { riotIdKey, mergeDuplicatePlayers } = require('./identity');
+
+const SCHEMA_VERSION_TABLE = `CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME NOT NULL
+)`;
+
+// Riot ID keys and a first name history entry for players stored before the identity layer
+async function backfillPlayerIdentity(db) {
+    const players = await all(db, 'SELECT puuid, summoner_name, tag_line, region, created_at, last_updated FROM summoners');
+    for (const player of players) {
+        const key = riotIdKey(player.summoner_name, player.tag_line, player.region);
+        await run(db, 'UPDATE summoners SET riot_id_key = ? WHERE puuid = ?', [key, player.puuid]);
+        await run(db, `INSERT OR IGNORE INTO summoner_names
+            (puuid, game_name, tag_line, region, riot_id_key, first_seen_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [player.puuid, player.summoner_name, player.tag_line, player.region, key,
+                player.created_at || player.last_updated, player.last_updated || player.created_at]);
+    }
+}
+
+// ALTER TABLE ADD COLUMN fails when the column exists, so check first
+function addColumn(table, column, definition) {
+    return async (db) => {
+        const columns = await all(db, `PRAGMA table_info(${table})`);
+        if (!columns.some(existing => existing.name === column)) {
+            await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    };
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline schema',
+        // Databases from before the migration runner have part of this already, so every
+        // step only adds what is missing
+        steps: [
+            `CREATE TABLE IF NOT EXISTS summoners (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                puuid TEXT UNIQUE NOT NULL,
+                summoner_name TEXT NOT NULL,
+                tag_line TEXT NOT NULL,
+                summoner_level INTEGER,
+                profile_icon_id INTEGER,
+                region TEXT NOT NULL,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS ranked_stats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                summoner_puuid TEXT NOT NULL,
+                queue_type TEXT NOT NULL,
+                tier TEXT,
+                rank_division TEXT,
+                league_points INTEGER,
+                wins INTEGER,
+                losses INTEGER,
+                hot_streak BOOLEAN,
+                veteran BOOLEAN,
+                fresh_blood BOOLEAN,
+                inactive BOOLEAN,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
+            )`,
+            `CREATE TABLE IF NOT EXISTS matches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                match_id TEXT UNIQUE NOT NULL,
+                summoner_puuid TEXT NOT NULL,
+                game_creation BIGINT,
+                game_duration INTEGER,
+                game_mode TEXT,
+                game_type TEXT,
+                game_version TEXT,
+                map_id INTEGER,
+                queue_id INTEGER,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
+            )`,
+            `CREATE TABLE IF NOT EXISTS match_participants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                match_id TEXT NOT NULL,
+                summoner_puuid TEXT NOT NULL,
+                champion_id INTEGER,
+                champion_name TEXT,
+                team_id INTEGER,
+                win BOOLEAN,
+                kills INTEGER,
+                deaths INTEGER,
+                assists INTEGER,
+                gold_earned INTEGER,
+                total_minions_killed INTEGER,
+                vision_score INTEGER,
+                damage_dealt INTEGER,
+                damage_taken INTEGER,
+                kda_ratio REAL,
+                cs_per_minute REAL,
+                kill_participation REAL,
+                first_blood BOOLEAN DEFAULT FALSE,
+                first_tower BOOLEAN DEFAULT FALSE,
+                double_kills INTEGER DEFAULT 0,
+                triple_kills INTEGER DEFAULT 0,
+                quadra_kills INTEGER DEFAULT 0,
+                penta_kills INTEGER DEFAULT 0,
+                largest_killing_spree INTEGER DEFAULT 0,
+                FOREIGN KEY (match_id) REFERENCES matches (match_id),
+                FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
+            )`,
+            `CREATE TABLE IF NOT EXISTS insights (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                summoner_puuid TEXT NOT NULL,
+                insight_type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                description TEXT NOT NULL,
+                priority INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
+            )`,
+            `CREATE TABLE IF NOT EXISTS error_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp DATETIME NOT NULL,
+                source TEXT NOT NULL,
+                operation TEXT NOT NULL,
+                error_message TEXT NOT NULL,
+                status_code INTEGER,
+                additional_data TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS data_source_fallbacks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                summoner_name TEXT NOT NULL,
+                tag_line TEXT NOT NULL,
+                region TEXT NOT NULL,
+                successful_source TEXT NOT NULL,
+                failed_sources TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            REFRESH_JOBS_TABLE,
+            addColumn('data_source_fallbacks', 'quality_score', 'REAL'),
+            addColumn('data_source_fallbacks', 'quality_scores', 'TEXT'),
+            // Summoners picked for background refreshes when REFRESH_SCOPE=watched
+            addColumn('summoners', 'watched', 'BOOLEAN DEFAULT 0'),
+            // ranked_stats is a snapshot history: last_updated is when a snapshot was recorded,
+            // last_seen_at the last refresh that still saw it
+            addColumn('ranked_stats', 'last_seen_at', 'DATETIME'),
+            // Role played (TOP, JUNGLE, MIDDLE, BOTTOM, UTILITY) from Riot teamPosition or the scraped lane
+            addColumn('match_participants', 'role', 'TEXT'),
+            // One participant row per player per match, so re-saving a match replaces it
+            `DELETE FROM match_participants WHERE id NOT IN (
+                SELECT MIN(id) FROM match_participants GROUP BY match_id, summoner_puuid
+            )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_match_participants_match_player ON match_participants (match_id, summoner_puuid)',
+            'CREATE INDEX IF NOT EXISTS idx_refresh_jobs_status ON refresh_jobs (status, next_run_at)',
+            'CREATE INDEX IF NOT EXISTS idx_ranked_stats_history ON ranked_stats (summoner_puuid, queue_type, last_updated)'
+        ]
+    },
+    {
+        version: 2,
+        name: 'index player lookups by summoner_puuid',
+        steps: [
+            'CREATE INDEX IF NOT EXISTS idx_matches_summoner ON matches (summoner_puuid)',
+            'CREATE INDEX IF NOT EXISTS idx_match_participants_summoner ON match_participants (summoner_puuid)',
+            'CREATE INDEX IF NOT EXISTS idx_insights_summoner ON insights (summoner_puuid, priority)'
+        ]
+    },
+    {
+        version: 3,
+        name: 'index matches by game_creation',
+        // Match history pages are ordered newest first
+        steps: [
+            'CREATE INDEX IF NOT EXISTS idx_matches_game_creation ON matches (game_creation DESC, match_id DESC)'
+        ]
+    },
+    {
+        version: 4,
+        name: 'player identity',
+        // One row per player (lib/identity): Riot ID lookup key, merged-away PUUIDs, name history
+        steps: [
+            'ALTER TABLE summoners ADD COLUMN riot_id_key TEXT',
+            'CREATE INDEX idx_summoners_riot_id ON summoners (riot_id_key)',
+            `CREATE TABLE summoner_aliases (
+                alias_puuid TEXT PRIMARY KEY,
+                puuid TEXT NOT NULL,
+                merged_at DATETIME NOT NULL
+            )`,
+            `CREATE TABLE summoner_names (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                puuid TEXT NOT NULL,
+                game_name TEXT NOT NULL,
+                tag_line TEXT NOT NULL,
+                region TEXT NOT NULL,
+                riot_id_key TEXT NOT NULL,
+                first_seen_at DATETIME,
+                last_seen_at DATETIME,
+                UNIQUE (puuid, riot_id_key)
+            )`,
+            'CREATE INDEX idx_summoner_names_riot_id ON summoner_names (riot_id_key)',
+            backfillPlayerIdentity,
+            // OP.GG and Mobalytics lookups of one player used to get separate pseudo-PUUID rows
+            mergeDuplicatePlayers
+        ]
+    }
+];
+
+function checkMigrations(migrations) {
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Migration "${migration.name}" has version ${migration.version}, expected ${index + 1}`);
+        }
+    });
+}
+
+async function getSchemaVersion(db) {
+    await run(db, SCHEMA_VERSION_TABLE);
+    const [row] = await all(db, 'SELECT MAX(version) AS version FROM schema_version');
+    return row.version || 0;
+}
+
+// Apply pending migrations in order → { from, to, applied: [version, ...] }
+async function runMigrations(db, migrations = MIGRATIONS, { log = () => {} } = {}) {
+    checkMigrations(migrations);
+    const from = await getSchemaVersion(db);
+    const latest = migrations.length;
+    if (from > latest) {
+        const error = new Error(`Database schema v${from} is newer than this server (v${latest})`);
+        error.code = 'SCHEMA_TOO_NEW';
+        throw error;
+    }
+
+    const applied = [];
+    for (const migration of migrations.slice(from)) {
+        try {
+            await transaction(db, async () => {
+                for (const step of migration.steps) {
+                    if (typeof step === 'function') await step(db);
+                    else await run(db, step);
+                }
+                await run(db, 'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date().toISOString()]);
+            });
+        } catch (error) {
+            error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+            error.migration = migration.version;
+            throw error;
+        }
+        applied.push(migration.version);
+        log(`Applied migration ${migration.version}: ${migration.name}`);
+    }
+    return { from, to: from + applied.length, applied };
+}
+
+module.exports = {
+    MIGRATIONS,
+    addColumn,
+    getSchemaVersion,
+    runMigrations
+};
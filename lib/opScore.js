@@ -0,0 +1,84 @@
+/**
+ * LoL Coach App - OP Score
+ * The one OP Score formula, returning the total together with the points each component
+ * contributed so the dashboard can explain the number. OP_SCORE_VERSION changes whenever
+ * the weights or components do, so scores from different formulas are never compared.
+ */
+
+const { matchKDA, average } = require('./dataModel');
+
+const OP_SCORE_VERSION = 2;
+const BASE_POINTS = 50;
+// Games the KDA and CS components average over
+const RECENT_GAMES = 10;
+
+const RANK_BONUS = {
+    CHALLENGER: 25, GRANDMASTER: 23, MASTER: 20,
+    DIAMOND: 15, EMERALD: 12, PLATINUM: 10, GOLD: 5, SILVER: 2, BRONZE: 0, IRON: -5
+};
+
+// weight: points per unit of the input; max: cap on the component's points
+const OP_SCORE_COMPONENTS = [
+    { id: 'winRate', label: 'Ranked win rate', weight: 30, max: 30 },
+    { id: 'rank', label: 'Rank bonus', weight: 1, max: RANK_BONUS.CHALLENGER },
+    { id: 'kda', label: 'Recent KDA', weight: 8, max: 25 },
+    { id: 'cs', label: 'Recent CS/min', weight: 2, max: 15 }
+];
+
+const round = value => Math.round(value * 10) / 10;
+
+// Input value and a readable description per component; null input means no data
+function componentInputs(matches, ranked) {
+    const soloQueue = (ranked || []).find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+    const rankedGames = soloQueue ? (soloQueue.wins || 0) + (soloQueue.losses || 0) : 0;
+    const recentMatches = (matches || []).filter(match => !match.invalid).slice(0, RECENT_GAMES);
+    // Games with an unknown KDA or CS/min are left out of that average
+    const kdas = recentMatches.map(matchKDA).filter(Number.isFinite);
+    const csPerMinute = recentMatches.map(match => match.csPerMinute).filter(Number.isFinite);
+    const avgKDA = average(kdas);
+    const avgCS = average(csPerMinute);
+
+    return {
+        winRate: rankedGames > 0
+            ? { value: soloQueue.wins / rankedGames, detail: `${Math.round(soloQueue.wins / rankedGames * 100)}% over ${rankedGames} solo queue games` }
+            : null,
+        rank: soloQueue && soloQueue.tier in RANK_BONUS
+            ? { value: RANK_BONUS[soloQueue.tier], detail: soloQueue.tier.charAt(0) + soloQueue.tier.slice(1).toLowerCase() }
+            : null,
+        kda: avgKDA !== null ? { value: avgKDA, detail: `${avgKDA.toFixed(2)} over ${kdas.length} games` } : null,
+        cs: avgCS !== null ? { value: avgCS, detail: `${avgCS.toFixed(1)} CS/min over ${csPerMinute.length} games` } : null
+    };
+}
+
+/**
+ * @returns {{ version, score, rawScore, base, components: Array<{ id, label, value, weight,
+ *            max, points, detail }> }} score is rawScore clamped to 0-100
+ */
+function calculateOPScore(matches, ranked) {
+    const inputs = componentInputs(matches, ranked);
+    const components = OP_SCORE_COMPONENTS.map(component => {
+        const input = inputs[component.id];
+        return {
+            ...component,
+            value: input ? Math.round(input.value * 100) / 100 : null,
+            points: input ? round(Math.min(input.value * component.weight, component.max)) : 0,
+            detail: input ? input.detail : 'No data'
+        };
+    });
+    const rawScore = BASE_POINTS + components.reduce((sum, component) => sum + component.points, 0);
+
+    return {
+        version: OP_SCORE_VERSION,
+        score: Math.min(Math.max(Math.round(rawScore), 0), 100),
+        rawScore: round(rawScore),
+        base: BASE_POINTS,
+        components
+    };
+}
+
+module.exports = {
+    OP_SCORE_VERSION,
+    OP_SCORE_COMPONENTS,
+    RANK_BONUS,
+    calculateOPScore
+};
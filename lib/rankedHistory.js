@@ -0,0 +1,105 @@
+/**
+ * LoL Coach App - Ranked LP history
+ * ranked_stats keeps one row per change of tier, division, LP or record, so the rows for
+ * a queue form a rank timeline. LP gained or lost between snapshots is measured on one
+ * ladder scale (100 LP per division) so promotions and demotions count correctly.
+ */
+
+const { TIERS, DIVISIONS } = require('./dataModel');
+
+const POINTS_PER_DIVISION = 100;
+const POINTS_PER_TIER = DIVISIONS.length * POINTS_PER_DIVISION;
+// Master, Grandmaster and Challenger share one LP ladder on top of Diamond I
+const APEX_BASE = TIERS.indexOf('MASTER') * POINTS_PER_TIER;
+
+// Absolute ladder position: Iron IV 0 LP = 0, Iron III 0 LP = 100, ... Master 0 LP = 2800
+function ladderPoints(tier, rank, leaguePoints) {
+    const tierIndex = TIERS.indexOf(String(tier || '').toUpperCase());
+    if (tierIndex === -1) return null;
+
+    const lp = Number(leaguePoints) || 0;
+    if (tierIndex >= TIERS.indexOf('MASTER')) {
+        return APEX_BASE + lp;
+    }
+    // DIVISIONS runs I → IV, IV is the bottom of the tier
+    const divisionIndex = DIVISIONS.indexOf(String(rank || '').toUpperCase());
+    const divisionsClimbed = divisionIndex === -1 ? 0 : DIVISIONS.length - 1 - divisionIndex;
+    return tierIndex * POINTS_PER_TIER + divisionsClimbed * POINTS_PER_DIVISION + lp;
+}
+
+// Whether a stored ranked_stats row already describes a canonical ranked entry
+function isSameRankedSnapshot(row, entry) {
+    return row.tier === entry.tier &&
+        (row.rank_division || null) === (entry.rank || null) &&
+        row.league_points === entry.leaguePoints &&
+        row.wins === entry.wins &&
+        row.losses === entry.losses;
+}
+
+// SQLite CURRENT_TIMESTAMP ("2026-10-01 20:15:00", UTC) → ISO string
+function sqliteTimestampToIso(value) {
+    if (!value) return null;
+    const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ranked_stats rows (any order) → [{ queueType, current, netLpChange, snapshots }] with
+// per-snapshot LP and games played since the previous snapshot
+function buildRankedTimeline(rows) {
+    const byQueue = new Map();
+    [...rows]
+        .sort((a, b) => String(a.last_updated).localeCompare(String(b.last_updated)) || a.id - b.id)
+        .forEach(row => {
+            if (!byQueue.has(row.queue_type)) byQueue.set(row.queue_type, []);
+            byQueue.get(row.queue_type).push(row);
+        });
+
+    return [...byQueue.entries()].map(([queueType, queueRows]) => {
+        let previous = null;
+        const snapshots = queueRows.map(row => {
+            const points = ladderPoints(row.tier, row.rank_division, row.league_points);
+            const snapshot = {
+                recordedAt: sqliteTimestampToIso(row.last_updated),
+                lastSeenAt: sqliteTimestampToIso(row.last_seen_at || row.last_updated),
+                tier: row.tier,
+                rank: row.rank_division,
+                leaguePoints: row.league_points,
+                wins: row.wins,
+                losses: row.losses,
+                ladderPoints: points,
+                lpChange: null,
+                gamesPlayed: null,
+                change: null
+            };
+            if (previous) {
+                snapshot.lpChange = points !== null && previous.ladderPoints !== null ? points - previous.ladderPoints : null;
+                const records = [row.wins, row.losses, previous.wins, previous.losses];
+                const games = (row.wins + row.losses) - (previous.wins + previous.losses);
+                snapshot.gamesPlayed = records.every(Number.isInteger) && games >= 0 ? games : null;
+                if (snapshot.lpChange !== null && (previous.tier !== row.tier || previous.rank !== row.rank_division)) {
+                    snapshot.change = snapshot.lpChange >= 0 ? 'promotion' : 'demotion';
+                }
+            }
+            previous = snapshot;
+            return snapshot;
+        });
+
+        const first = snapshots[0];
+        const current = snapshots[snapshots.length - 1];
+        return {
+            queueType,
+            current,
+            netLpChange: first.ladderPoints !== null && current.ladderPoints !== null
+                ? current.ladderPoints - first.ladderPoints
+                : null,
+            snapshots
+        };
+    });
+}
+
+module.exports = {
+    ladderPoints,
+    isSameRankedSnapshot,
+    sqliteTimestampToIso,
+    buildRankedTimeline
+};
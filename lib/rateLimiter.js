@@ -0,0 +1,98 @@
+/**
+ * LoL Coach App - Token bucket rate limiter
+ * One set of buckets per key (e.g. a Riot routing cluster), one bucket per limit.
+ * A bucket holds `limit` tokens and is refilled in full once its interval has passed
+ * since the first request of the current window. That mirrors how Riot counts its
+ * windows, so a full bucket never lets more than `limit` requests into one window.
+ */
+
+// Riot development key limits: 20 requests every 1 second, 100 requests every 2 minutes
+const RIOT_DEV_KEY_LIMITS = [
+    { limit: 20, intervalMs: 1000 },
+    { limit: 100, intervalMs: 120 * 1000 }
+];
+
+// Parse "20:1,100:120" (requests:seconds) into limit definitions
+function parseRateLimits(value) {
+    if (!value) return null;
+    const limits = String(value).split(',').map(part => {
+        const [limit, seconds] = part.split(':').map(Number);
+        return { limit, intervalMs: seconds * 1000 };
+    });
+    const valid = limits.every(({ limit, intervalMs }) => Number.isInteger(limit) && limit > 0 && intervalMs > 0);
+    return valid ? limits : null;
+}
+
+class TokenBucketRateLimiter {
+    constructor(limits = RIOT_DEV_KEY_LIMITS, options = {}) {
+        this.limits = limits;
+        // Extra wait after a window closes, to absorb clock differences with the server
+        this.marginMs = options.marginMs ?? 50;
+        this.now = options.now || Date.now;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.buckets = new Map();
+    }
+
+    getBuckets(key) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, this.limits.map(({ limit, intervalMs }) => ({
+                limit,
+                intervalMs,
+                tokens: limit,
+                windowStart: null
+            })));
+        }
+        return this.buckets.get(key);
+    }
+
+    refill(bucket, now) {
+        if (bucket.windowStart !== null && now - bucket.windowStart >= bucket.intervalMs + this.marginMs) {
+            bucket.tokens = bucket.limit;
+            bucket.windowStart = null;
+        }
+    }
+
+    // Take a token from every bucket for `key`; returns 0 on success or the ms to wait
+    tryAcquire(key) {
+        const now = this.now();
+        const buckets = this.getBuckets(key);
+        buckets.forEach(bucket => this.refill(bucket, now));
+
+        const empty = buckets.filter(bucket => bucket.tokens < 1);
+        if (empty.length > 0) {
+            return Math.max(...empty.map(bucket => bucket.windowStart + bucket.intervalMs + this.marginMs - now), 1);
+        }
+
+        buckets.forEach(bucket => {
+            if (bucket.windowStart === null) bucket.windowStart = now;
+            bucket.tokens -= 1;
+        });
+        return 0;
+    }
+
+    // Wait until a request for `key` fits in every window
+    async acquire(key) {
+        let waitMs = this.tryAcquire(key);
+        while (waitMs > 0) {
+            await this.sleep(waitMs);
+            waitMs = this.tryAcquire(key);
+        }
+    }
+
+    // Remaining tokens per bucket, for health reporting
+    getStatus() {
+        const now = this.now();
+        const status = {};
+        this.buckets.forEach((buckets, key) => {
+            buckets.forEach(bucket => this.refill(bucket, now));
+            status[key] = buckets.map(({ limit, intervalMs, tokens }) => ({ limit, intervalMs, remaining: tokens }));
+        });
+        return status;
+    }
+}
+
+module.exports = {
+    RIOT_DEV_KEY_LIMITS,
+    parseRateLimits,
+    TokenBucketRateLimiter
+};
@@ -0,0 +1,76 @@
+/**
+ * LoL Coach App - Regions
+ * The one list of regions the app serves. Requests and the database use Riot platform IDs
+ * (na1, euw1, kr, ...); each profile site wants its own slug in URLs, and the Riot API routes
+ * account and match requests through a regional cluster. GET /api/regions serves this list
+ * to the frontend, which also loads this file directly for when the API can't be reached.
+ */
+
+// cluster: Riot routing value for account-v1; matchCluster: for match-v5, which differs for
+// Oceania (its matches live on sea, its accounts on americas)
+// slugs: region segment in each provider's profile URLs, keyed by data source id
+const REGIONS = [
+    { id: 'na1', label: 'North America', cluster: 'americas', matchCluster: 'americas', slugs: { opgg: 'na', mobalytics: 'na', league_of_graphs: 'na' } },
+    { id: 'euw1', label: 'Europe West', cluster: 'europe', matchCluster: 'europe', slugs: { opgg: 'euw', mobalytics: 'euw', league_of_graphs: 'euw' } },
+    { id: 'eun1', label: 'Europe Nordic & East', cluster: 'europe', matchCluster: 'europe', slugs: { opgg: 'eune', mobalytics: 'eune', league_of_graphs: 'eune' } },
+    { id: 'kr', label: 'Korea', cluster: 'asia', matchCluster: 'asia', slugs: { opgg: 'kr', mobalytics: 'kr', league_of_graphs: 'kr' } },
+    { id: 'jp1', label: 'Japan', cluster: 'asia', matchCluster: 'asia', slugs: { opgg: 'jp', mobalytics: 'jp', league_of_graphs: 'jp' } },
+    { id: 'br1', label: 'Brazil', cluster: 'americas', matchCluster: 'americas', slugs: { opgg: 'br', mobalytics: 'br', league_of_graphs: 'br' } },
+    { id: 'la1', label: 'Latin America North', cluster: 'americas', matchCluster: 'americas', slugs: { opgg: 'lan', mobalytics: 'lan', league_of_graphs: 'lan' } },
+    { id: 'la2', label: 'Latin America South', cluster: 'americas', matchCluster: 'americas', slugs: { opgg: 'las', mobalytics: 'las', league_of_graphs: 'las' } },
+    { id: 'oc1', label: 'Oceania', cluster: 'americas', matchCluster: 'sea', slugs: { opgg: 'oce', mobalytics: 'oce', league_of_graphs: 'oce' } },
+    { id: 'tr1', label: 'Turkey', cluster: 'europe', matchCluster: 'europe', slugs: { opgg: 'tr', mobalytics: 'tr', league_of_graphs: 'tr' } },
+    { id: 'ru', label: 'Russia', cluster: 'europe', matchCluster: 'europe', slugs: { opgg: 'ru', mobalytics: 'ru', league_of_graphs: 'ru' } }
+];
+
+const REGION_IDS = REGIONS.map(region => region.id);
+
+// Platform ID or any provider's slug ("NA1", "na", "lan") → region, or null
+function getRegion(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return null;
+    return REGIONS.find(region => region.id === key)
+        || REGIONS.find(region => Object.values(region.slugs).includes(key))
+        || null;
+}
+
+function normalizeRegion(value) {
+    const region = getRegion(value);
+    return region ? region.id : null;
+}
+
+// Region segment for a provider's URLs; throws for regions the app doesn't serve
+function regionSlug(value, provider) {
+    const region = getRegion(value);
+    if (!region) {
+        const error = new Error(`Unknown region: ${value}`);
+        error.code = 'UNKNOWN_REGION';
+        throw error;
+    }
+    return region.slugs[provider] || region.id;
+}
+
+// Riot routing cluster (americas, europe, asia) for account-v1
+function riotCluster(value) {
+    const region = getRegion(value);
+    return region ? region.cluster : null;
+}
+
+// Riot routing cluster (americas, europe, asia, sea) for match-v5
+function riotMatchCluster(value) {
+    const region = getRegion(value);
+    return region ? region.matchCluster : null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REGIONS,
+        REGION_IDS,
+        getRegion,
+        normalizeRegion,
+        regionSlug,
+        riotCluster,
+        riotMatchCluster
+    };
+}
@@ -0,0 +1,100 @@
+/**
+ * LoL Coach App - Response cache with stale-while-revalidate
+ * In-memory cache for summoner lookups. Entries younger than ttlMs are fresh; after
+ * that they are still served (stale) for up to staleMs while one background refresh
+ * replaces them. Concurrent refreshes of the same key share a single loader call.
+ */
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs ?? 5 * 60 * 1000;
+        this.staleMs = options.staleMs ?? 24 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries ?? 500;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+        this.inflight = new Map();
+    }
+
+    get enabled() {
+        return this.ttlMs > 0;
+    }
+
+    // Summoner lookups are case-insensitive on Riot's side
+    static key(summonerName, tagLine, region, variant = '') {
+        const base = `${String(region).toLowerCase()}:${String(summonerName).toLowerCase()}#${String(tagLine).toLowerCase()}`;
+        return variant ? `${base}|${variant}` : base;
+    }
+
+    // { state: 'fresh' | 'stale' | 'miss', value, cachedAt, ageMs }
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return { state: 'miss' };
+
+        const ageMs = this.now() - entry.cachedAt;
+        if (ageMs > this.ttlMs + this.staleMs) {
+            this.entries.delete(key);
+            return { state: 'miss' };
+        }
+        return {
+            state: ageMs <= this.ttlMs ? 'fresh' : 'stale',
+            value: entry.value,
+            cachedAt: entry.cachedAt,
+            ageMs
+        };
+    }
+
+    set(key, value) {
+        if (!this.enabled) return;
+        // Map keeps insertion order, so re-inserting makes this the newest entry
+        this.entries.delete(key);
+        this.entries.set(key, { value, cachedAt: this.now() });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    isRefreshing(key) {
+        return this.inflight.has(key);
+    }
+
+    // Run loader once per key at a time. loader resolves { value, cacheable };
+    // only cacheable values replace the entry, so a failed refresh keeps the stale one.
+    refresh(key, loader) {
+        if (this.inflight.has(key)) {
+            return this.inflight.get(key);
+        }
+
+        const promise = Promise.resolve()
+            .then(loader)
+            .then(result => {
+                if (result.cacheable) this.set(key, result.value);
+                return result.value;
+            })
+            .finally(() => this.inflight.delete(key));
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            refreshing: this.inflight.size,
+            ttlSeconds: this.ttlMs / 1000,
+            staleSeconds: this.staleMs / 1000
+        };
+    }
+}
+
+module.exports = {
+    ResponseCache
+};
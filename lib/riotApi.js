@@ -0,0 +1,267 @@
+/**
+ * LoL Coach App - Riot API client
+ * Optional provider, only created when RIOT_API_KEY is set. Development keys expire
+ * every 24h, so RIOT_API_KEY may hold several comma separated keys: a key answered
+ * with 401, or with 403 that the status endpoint confirms, is marked expired and the
+ * next one is used. Requests are spread over
+ * a token bucket per routing value (cluster or platform) to stay inside Riot's limits.
+ */
+
+const axios = require('axios');
+const { TokenBucketRateLimiter } = require('./rateLimiter');
+const { toCanonicalMatch, summarizeMatches } = require('./dataModel');
+const { REGION_IDS, riotCluster, riotMatchCluster } = require('./regions');
+
+const RIOT_BASE_URLS = {
+    americas: 'https://americas.api.riotgames.com',
+    asia: 'https://asia.api.riotgames.com',
+    europe: 'https://europe.api.riotgames.com',
+    sea: 'https://sea.api.riotgames.com'
+};
+
+// Platform hosts for summoner-v4 and league-v4, one per region the app serves
+const REGIONAL_ENDPOINTS = Object.fromEntries(REGION_IDS.map(id => [id, `https://${id}.api.riotgames.com`]));
+
+// Any valid key may call lol-status, so a 403 there means the key itself is refused
+const KEY_CHECK_REGION = 'na1';
+const KEY_CHECK_PATH = '/lol/status/v4/platform-data';
+
+// Cluster for account-v1 requests
+function getRegionalCluster(region) {
+    return riotCluster(region) || 'americas';
+}
+
+// Cluster for match-v5 requests (sea for Oceania)
+function getMatchCluster(region) {
+    return riotMatchCluster(region) || 'americas';
+}
+
+// "key1, key2" → ['key1', 'key2']
+function parseApiKeys(value) {
+    if (!value) return [];
+    return String(value).split(',').map(key => key.trim()).filter(Boolean);
+}
+
+// Canonical match summary for one player from a match-v5 payload
+function toMatchSummary(matchDetails, puuid) {
+    const info = matchDetails.info || {};
+    const participant = (info.participants || []).find(p => p.puuid === puuid);
+    if (!participant) return null;
+
+    return toCanonicalMatch({
+        matchId: matchDetails.metadata.matchId,
+        gameCreation: info.gameCreation,
+        gameDuration: info.gameDuration,
+        queueId: info.queueId,
+        championName: participant.championName,
+        role: participant.teamPosition || participant.individualPosition,
+        win: participant.win,
+        kills: participant.kills,
+        deaths: participant.deaths,
+        assists: participant.assists,
+        totalMinionsKilled: participant.totalMinionsKilled
+    });
+}
+
+class RiotApiClient {
+    constructor(options = {}) {
+        this.keys = parseApiKeys(options.apiKeys).map(key => ({ key, expired: false, expiredAt: null, status: null }));
+        if (this.keys.length === 0) {
+            throw new Error('Riot API client needs at least one API key');
+        }
+        this.clusterUrls = { ...RIOT_BASE_URLS, ...options.clusterUrls };
+        this.platformUrls = { ...REGIONAL_ENDPOINTS, ...options.platformUrls };
+        // baseUrl sends every cluster and platform request to one host (mock server, proxy)
+        if (options.baseUrl) {
+            const baseUrl = String(options.baseUrl).replace(/\/+$/, '');
+            Object.keys(this.clusterUrls).forEach(cluster => { this.clusterUrls[cluster] = baseUrl; });
+            Object.keys(this.platformUrls).forEach(region => { this.platformUrls[region] = baseUrl; });
+        }
+        this.rateLimiter = options.rateLimiter || new TokenBucketRateLimiter();
+        this.httpClient = options.httpClient || axios;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.baseDelayMs = options.baseDelayMs ?? 1000;
+        this.timeoutMs = options.timeoutMs ?? 15000;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.onError = options.onError || (() => {});
+    }
+
+    getActiveKey() {
+        return this.keys.find(entry => !entry.expired) || null;
+    }
+
+    markKeyExpired(entry, status) {
+        entry.expired = true;
+        entry.expiredAt = new Date().toISOString();
+        entry.status = status;
+        const index = this.keys.indexOf(entry) + 1;
+        console.warn(`🔑 Riot API key ${index}/${this.keys.length} rejected (${status}), ${this.getActiveKey() ? 'rotating to the next key' : 'no valid keys left'}`);
+    }
+
+    // Riot answers 403 both for an expired key and for an endpoint the key may not use.
+    // Whether the key works on the status endpoint tells the two apart.
+    async isKeyRefused(apiKey) {
+        await this.rateLimiter.acquire(KEY_CHECK_REGION);
+        try {
+            await this.httpClient.get(`${this.platformUrls[KEY_CHECK_REGION]}${KEY_CHECK_PATH}`, {
+                headers: {
+                    'X-Riot-Token': apiKey.key,
+                    'User-Agent': 'LoL-Personal-Coach/1.0'
+                },
+                timeout: this.timeoutMs
+            });
+            return false;
+        } catch (error) {
+            const status = error.response?.status;
+            return status === 401 || status === 403;
+        }
+    }
+
+    // Reported by /api/health; never includes the keys themselves
+    getStatus() {
+        const activeKey = this.getActiveKey();
+        const expiredKeys = this.keys.filter(entry => entry.expired);
+        return {
+            state: activeKey ? 'ok' : 'key_expired',
+            message: activeKey
+                ? `Using key ${this.keys.indexOf(activeKey) + 1} of ${this.keys.length}`
+                : 'All Riot API keys were rejected. Generate a new key and update RIOT_API_KEY.',
+            keys: this.keys.length,
+            expiredKeys: expiredKeys.map(entry => ({ key: this.keys.indexOf(entry) + 1, status: entry.status, expiredAt: entry.expiredAt })),
+            rateLimits: this.rateLimiter.getStatus()
+        };
+    }
+
+    // GET with the active key. routingKey selects the rate limit bucket.
+    // 429 waits for Retry-After, 5xx and network errors back off exponentially,
+    // 401 retires the key and retries with the next one; so does a 403 once isKeyRefused
+    // confirms it, otherwise the 403 is thrown like any other error.
+    async makeRiotAPICall(url, routingKey, retryCount = 0) {
+        const apiKey = this.getActiveKey();
+        if (!apiKey) {
+            const error = new Error('Riot API key expired');
+            error.code = 'RIOT_KEY_EXPIRED';
+            throw error;
+        }
+
+        await this.rateLimiter.acquire(routingKey);
+
+        try {
+            const response = await this.httpClient.get(url, {
+                headers: {
+                    'X-Riot-Token': apiKey.key,
+                    'User-Agent': 'LoL-Personal-Coach/1.0'
+                },
+                timeout: this.timeoutMs
+            });
+            return response.data;
+        } catch (error) {
+            const status = error.response?.status;
+
+            if (status === 401 || (status === 403 && await this.isKeyRefused(apiKey))) {
+                this.markKeyExpired(apiKey, status);
+                return this.makeRiotAPICall(url, routingKey, retryCount);
+            }
+
+            const isRateLimited = status === 429;
+            const isServerError = status >= 500;
+            const isNetworkError = !error.response;
+
+            if ((isRateLimited || isServerError || isNetworkError) && retryCount < this.maxRetries) {
+                let retryDelay;
+
+                if (isRateLimited) {
+                    const retryAfter = parseInt(error.response.headers?.['retry-after']);
+                    retryDelay = (Number.isFinite(retryAfter) ? retryAfter : Math.pow(2, retryCount)) * 1000;
+                } else {
+                    retryDelay = this.baseDelayMs * Math.pow(2, retryCount) + Math.random() * this.baseDelayMs;
+                }
+
+                console.log(`${isRateLimited ? 'Rate limited' : 'Server/Network error'}. Retrying after ${retryDelay / 1000}s... (attempt ${retryCount + 1}/${this.maxRetries})`);
+
+                await this.sleep(retryDelay);
+                return this.makeRiotAPICall(url, routingKey, retryCount + 1);
+            }
+
+            this.onError('API_CALL', error, { url, retryCount });
+            throw error;
+        }
+    }
+
+    async fetchSummonerByRiotID(gameName, tagLine, region) {
+        const cluster = getRegionalCluster(region);
+        const url = `${this.clusterUrls[cluster]}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
+        return this.makeRiotAPICall(url, cluster);
+    }
+
+    // Current Riot ID of a PUUID; account-v1 answers on any cluster
+    async fetchAccountByPUUID(puuid, region) {
+        const cluster = getRegionalCluster(region);
+        const url = `${this.clusterUrls[cluster]}/riot/account/v1/accounts/by-puuid/${encodeURIComponent(puuid)}`;
+        return this.makeRiotAPICall(url, cluster);
+    }
+
+    async fetchSummonerByPUUID(puuid, region) {
+        const url = `${this.platformUrls[region]}/lol/summoner/v4/summoners/by-puuid/${puuid}`;
+        return this.makeRiotAPICall(url, region);
+    }
+
+    async fetchRankedStats(puuid, region) {
+        const url = `${this.platformUrls[region]}/lol/league/v4/entries/by-puuid/${puuid}`;
+        return this.makeRiotAPICall(url, region);
+    }
+
+    async fetchMatchHistory(puuid, region, count = 20) {
+        const cluster = getMatchCluster(region);
+        const url = `${this.clusterUrls[cluster]}/lol/match/v5/matches/by-puuid/${puuid}/ids?start=0&count=${count}`;
+        return this.makeRiotAPICall(url, cluster);
+    }
+
+    async fetchMatchDetails(matchId, region) {
+        const cluster = getMatchCluster(region);
+        const url = `${this.clusterUrls[cluster]}/lol/match/v5/matches/${matchId}`;
+        return this.makeRiotAPICall(url, cluster);
+    }
+
+    // Everything the summoner lookup needs, as a provider payload. The raw match-v5
+    // payloads are returned as well (matchDetails) so they can be stored in full.
+    async fetchPlayerProfile(gameName, tagLine, region, { matchCount = 20 } = {}) {
+        if (!this.platformUrls[region]) {
+            throw new Error(`Riot API does not serve region: ${region}`);
+        }
+
+        const account = await this.fetchSummonerByRiotID(gameName, tagLine, region);
+        const [summoner, ranked, matchIds] = await Promise.all([
+            this.fetchSummonerByPUUID(account.puuid, region),
+            this.fetchRankedStats(account.puuid, region),
+            this.fetchMatchHistory(account.puuid, region, matchCount)
+        ]);
+        const matchDetails = await Promise.all(matchIds.map(matchId => this.fetchMatchDetails(matchId, region)));
+        const matches = matchDetails.map(details => toMatchSummary(details, account.puuid)).filter(Boolean);
+
+        return {
+            summoner: {
+                name: account.gameName,
+                tagLine: account.tagLine,
+                region: region,
+                level: summoner.summonerLevel,
+                profileIconId: summoner.profileIconId,
+                puuid: account.puuid
+            },
+            ranked: ranked,
+            matches: matches,
+            statistics: summarizeMatches(matches),
+            matchDetails: matchDetails
+        };
+    }
+}
+
+module.exports = {
+    RIOT_BASE_URLS,
+    REGIONAL_ENDPOINTS,
+    getRegionalCluster,
+    getMatchCluster,
+    parseApiKeys,
+    toMatchSummary,
+    RiotApiClient
+};
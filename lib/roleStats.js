@@ -0,0 +1,80 @@
+/**
+ * LoL Coach App - Role performance
+ * Per-role win rate, KDA and CS/min, and the player's main role, so insights judge the role
+ * a player actually plays: supports farm little and trade CS for assists, junglers share
+ * camps, so one CS or KDA cutoff for every role gives wrong advice (see lib/benchmarks).
+ */
+
+const { ROLES, normalizeRole } = require('./dataModel');
+
+const ROLE_LABELS = {
+    TOP: 'Top',
+    JUNGLE: 'Jungle',
+    MIDDLE: 'Mid',
+    BOTTOM: 'Bot',
+    UTILITY: 'Support'
+};
+
+// Share of recent games a role needs before it counts as the player's main role
+const MAIN_ROLE_SHARE = 0.5;
+
+// Canonical matches → [{ role, label, games, wins, losses, winRate, avgKDA, avgCS, share }],
+// most played first. Games without a known role only count towards `share`'s denominator.
+function summarizeByRole(matches) {
+    const games = (matches || []).filter(match => !match.invalid);
+    const byRole = new Map();
+    games.forEach(match => {
+        const role = normalizeRole(match.role);
+        if (!role) return;
+        if (!byRole.has(role)) byRole.set(role, []);
+        byRole.get(role).push(match);
+    });
+
+    const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    return [...byRole.entries()]
+        .map(([role, roleGames]) => {
+            const wins = roleGames.filter(match => match.win).length;
+            return {
+                role,
+                label: ROLE_LABELS[role],
+                games: roleGames.length,
+                wins,
+                losses: roleGames.length - wins,
+                winRate: wins / roleGames.length,
+                avgKDA: average(roleGames.map(match => match.kdaRatio).filter(Number.isFinite)),
+                avgCS: average(roleGames.map(match => match.csPerMinute).filter(Number.isFinite)),
+                share: roleGames.length / games.length
+            };
+        })
+        .sort((a, b) => b.games - a.games || ROLES.indexOf(a.role) - ROLES.indexOf(b.role));
+}
+
+// The role played in at least half of the games, or null for fill players and unknown roles
+function primaryRole(roleStats) {
+    const [main] = roleStats;
+    return main && main.share >= MAIN_ROLE_SHARE ? main.role : null;
+}
+
+// An off-role with a clearly worse win rate than the main role, e.g. a mid player losing
+// most of their autofilled support games. Both need minGames to rule out noise.
+function findOffRoleGap(roleStats, { minGames = 3, minGap = 0.2 } = {}) {
+    const played = roleStats.filter(stats => stats.games >= minGames);
+    if (played.length < 2) return null;
+
+    const [main, ...others] = played;
+    const worst = others.reduce((lowest, stats) => stats.winRate < lowest.winRate ? stats : lowest);
+    return main.winRate - worst.winRate >= minGap ? { main, offRole: worst } : null;
+}
+
+// Stored match_participants row → the canonical fields summarizeByRole reads
+function fromParticipantRow(row) {
+    return { role: row.role, win: Boolean(row.win), kdaRatio: row.kda_ratio, csPerMinute: row.cs_per_minute };
+}
+
+module.exports = {
+    ROLE_LABELS,
+    summarizeByRole,
+    primaryRole,
+    findOffRoleGap,
+    fromParticipantRow
+};
@@ -0,0 +1,32 @@
+/**
+ * LoL Coach App - Scraped match normalization
+ * Turns the per-site match objects from the scrapers into rows for the
+ * matches / match_participants tables, with match ids that stay the same
+ * between scrapes so repeated lookups do not duplicate history.
+ */
+
+const { buildMatchId, toCanonicalMatch } = require('./dataModel');
+
+// Canonical match, or null when the page gave nothing stable to build a match id from
+function normalizeScrapedMatch(match, region) {
+    const normalized = toCanonicalMatch(match, region);
+    return normalized.matchId ? normalized : null;
+}
+
+// Normalize a scraped match list, dropping matches without a stable id and duplicates
+function normalizeScrapedMatches(matches, region) {
+    const byId = new Map();
+    (matches || []).forEach(match => {
+        const normalized = normalizeScrapedMatch(match, region);
+        if (normalized && !byId.has(normalized.matchId)) {
+            byId.set(normalized.matchId, normalized);
+        }
+    });
+    return [...byId.values()];
+}
+
+module.exports = {
+    buildMatchId,
+    normalizeScrapedMatch,
+    normalizeScrapedMatches
+};
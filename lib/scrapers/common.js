@@ -0,0 +1,120 @@
+/**
+ * LoL Coach App - Shared scraper helpers
+ */
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Tier + optional roman numeral division, e.g. "Gold II". IV is tried before I{1,3}
+// so "Platinum IV" is not read as division I.
+const RANK_PATTERN = /(Iron|Bronze|Silver|Gold|Platinum|Emerald|Diamond|Master|Grandmaster|Challenger)\s*(IV|I{1,3})?\b/i;
+
+// Helper function to handle URL encoding for special characters
+function encodeSpecialCharacters(str) {
+    // Handle special characters like Æ properly for URLs
+    return encodeURIComponent(str).replace(/[!'()*]/g, function(c) {
+        return '%' + c.charCodeAt(0).toString(16);
+    });
+}
+
+// Queue names as the sites print them, mapped to Riot queue ids
+const QUEUE_IDS = [
+    { pattern: /ranked\s*solo|solo\s*\/?\s*duo/i, queueId: 420 },
+    { pattern: /ranked\s*flex|flex/i, queueId: 440 },
+    { pattern: /aram/i, queueId: 450 },
+    { pattern: /normal|draft/i, queueId: 400 },
+    { pattern: /blind/i, queueId: 430 },
+    { pattern: /swiftplay/i, queueId: 480 }
+];
+
+function queueIdFromText(text) {
+    const queue = QUEUE_IDS.find(({ pattern }) => pattern.test(text || ''));
+    return queue ? queue.queueId : null;
+}
+
+// Game id exposed by the page: a data attribute on the row, or a match link (".../match/na/4567890123")
+function extractGameId(matchEl) {
+    const attributeId = matchEl.attr('data-game-id') || matchEl.attr('data-match-id') || matchEl.attr('data-gameid');
+    if (attributeId) return String(attributeId).replace(/^[A-Z0-9]+_/, '');
+
+    const href = matchEl.find('a[href*="match"], a[href*="game"]').first().attr('href') || '';
+    const hrefMatch = href.match(/(?:match(?:es)?|game(?:Id)?)[\/=](?:[a-z0-9]+[\/])?(?:[A-Z0-9]+_)?(\d{6,})/i);
+    return hrefMatch ? hrefMatch[1] : null;
+}
+
+// Absolute game start time in ms: a data attribute or a <time datetime="..."> element.
+// Relative labels like "2 hours ago" are ignored because they change between scrapes.
+function extractGameCreation(matchEl) {
+    const attributeEl = matchEl.is('[data-game-creation]') ? matchEl : matchEl.find('[data-game-creation]').first();
+    const attributeValue = Number(attributeEl.attr('data-game-creation'));
+    if (attributeValue > 0) {
+        // Accept seconds as well as milliseconds
+        return attributeValue < 1e12 ? attributeValue * 1000 : attributeValue;
+    }
+
+    const datetime = Date.parse(matchEl.find('time[datetime]').first().attr('datetime') || '');
+    return Number.isFinite(datetime) ? datetime : null;
+}
+
+// Lane shown on a match row: a data-position attribute, an icon's alt/title or a label.
+// Returned as shown ("ADC", "Jungler"); dataModel.normalizeRole maps it to a Riot position.
+function extractRole(matchEl) {
+    const attributeRole = matchEl.attr('data-position') || matchEl.attr('data-role');
+    if (attributeRole) return attributeRole;
+
+    const roleEl = matchEl.find('[data-position], [class*="position"], [class*="lane"], [class*="role"]').first();
+    if (roleEl.length === 0) return null;
+    return roleEl.attr('data-position') || roleEl.attr('alt') || roleEl.attr('title') || roleEl.text().trim() || null;
+}
+
+// Riot PUUIDs are 78 url-safe base64 characters
+const PUUID_PATTERN = /^[A-Za-z0-9_-]{78}$/;
+const EMBEDDED_PUUID_PATTERN = /"puuid"\s*:\s*"([A-Za-z0-9_-]{78})"/g;
+
+// The profile owner's PUUID, when the page exposes it: a data-puuid attribute outside the
+// match rows, or page state JSON in a <script> where the puuid is in the same object as the
+// player's name (match participants have puuids too, so an unattributed one is only trusted
+// when it is the only one on the page).
+function extractPuuid($, summonerName) {
+    const attributed = $('[data-puuid]').filter((_, el) => $(el).closest('[class*="match"], [class*="game"]').length === 0)
+        .map((_, el) => $(el).attr('data-puuid')).get()
+        .find(value => PUUID_PATTERN.test(value));
+    if (attributed) return attributed;
+
+    const scripts = $('script').map((_, el) => $(el).html()).get().join('\n');
+    const found = [...scripts.matchAll(EMBEDDED_PUUID_PATTERN)];
+    const escapedName = String(summonerName || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const namePattern = new RegExp(`"(?:game_?name|gameName|riotIdGameName|name)"\\s*:\\s*"${escapedName}"`, 'i');
+    const enclosingObject = match => {
+        const end = scripts.indexOf('}', match.index);
+        return scripts.slice(scripts.lastIndexOf('{', match.index), end === -1 ? undefined : end);
+    };
+    const owner = found.find(match => namePattern.test(enclosingObject(match)));
+    if (owner) return owner[1];
+
+    const distinct = new Set(found.map(match => match[1]));
+    return distinct.size === 1 ? [...distinct][0] : null;
+}
+
+// "28m 14s", "28:14" or "28 min" → seconds
+function parseDuration(text) {
+    if (!text) return null;
+    const clock = text.match(/(\d+):(\d{2})/);
+    if (clock) return parseInt(clock[1]) * 60 + parseInt(clock[2]);
+
+    const minutes = text.match(/(\d+)\s*m/i);
+    if (!minutes) return null;
+    const seconds = text.match(/(\d+)\s*s/i);
+    return parseInt(minutes[1]) * 60 + (seconds ? parseInt(seconds[1]) : 0);
+}
+
+module.exports = {
+    BROWSER_USER_AGENT,
+    RANK_PATTERN,
+    encodeSpecialCharacters,
+    queueIdFromText,
+    extractGameId,
+    extractGameCreation,
+    extractRole,
+    extractPuuid,
+    parseDuration
+};
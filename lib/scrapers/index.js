@@ -0,0 +1,11 @@
+const common = require('./common');
+const opgg = require('./opgg');
+const mobalytics = require('./mobalytics');
+const leagueOfGraphs = require('./leagueOfGraphs');
+
+module.exports = {
+    ...common,
+    ...opgg,
+    ...mobalytics,
+    ...leagueOfGraphs
+};
@@ -0,0 +1,112 @@
+/**
+ * LoL Coach App - League of Graphs page parser
+ * Pure HTML → summoner data extraction, kept separate from the HTTP fetch so the
+ * selectors can be exercised against saved fixtures.
+ */
+
+const cheerio = require('cheerio');
+const {
+    encodeSpecialCharacters,
+    queueIdFromText,
+    extractGameId,
+    extractGameCreation,
+    extractRole,
+    extractPuuid,
+    parseDuration
+} = require('./common');
+const { regionSlug } = require('../regions');
+
+// League of Graphs URL format: https://www.leagueofgraphs.com/summoner/{region}/{summonerName-tagLine}
+function buildLeagueOfGraphsUrl(summonerName, tagLine, region) {
+    const fullName = `${summonerName}-${tagLine}`;
+    const encodedName = encodeSpecialCharacters(fullName);
+    return `https://www.leagueofgraphs.com/summoner/${regionSlug(region, 'league_of_graphs')}/${encodedName}`;
+}
+
+function parseLeagueOfGraphs(html, { summonerName, tagLine, region }) {
+    const $ = cheerio.load(html);
+
+    // Extract summoner level
+    const levelElement = $('.summonerLevel, [class*="level"]').first();
+    const level = parseInt(levelElement.text().replace(/\D/g, '')) || 0;
+
+    // Extract rank information
+    const rankElement = $('.leagueTier, .rank, [class*="tier"]').first();
+    const rankText = rankElement.text().trim() || 'Unranked';
+
+    // Extract LP
+    const lpElement = $('.leaguePoints, [class*="lp"], [class*="points"]').first();
+    const lp = parseInt(lpElement.text().replace(/\D/g, '')) || 0;
+
+    // Extract win/loss stats
+    const winsElement = $('.wins, [class*="win"]:not([class*="rate"])').first();
+    const lossesElement = $('.losses, [class*="loss"]').first();
+    const wins = parseInt(winsElement.text().replace(/\D/g, '')) || 0;
+    const losses = parseInt(lossesElement.text().replace(/\D/g, '')) || 0;
+    const totalGames = wins + losses;
+    const winRate = totalGames > 0 ? (wins / totalGames * 100) : 0;
+
+    // Extract average KDA
+    const kdaElement = $('.kda, [class*="kda"]').first();
+    const kdaText = kdaElement.text().trim() || '0/0/0';
+
+    // Extract recent matches
+    const recentMatches = [];
+    $('.match, [class*="match"], .game').each((i, element) => {
+        if (i >= 8) return false; // Limit to 8 matches from LoG
+
+        const match = $(element);
+        const championName = match.find('.champion, [class*="champion"]').text().trim();
+        const matchResult = match.find('.result, [class*="result"]').text().trim();
+        const matchKda = match.find('.kda, [class*="kda"]').text().trim();
+
+        if (championName) {
+            recentMatches.push({
+                gameId: extractGameId(match),
+                gameCreation: extractGameCreation(match),
+                gameDuration: parseDuration(match.find('.gameDuration, [class*="duration"]').first().text().trim()),
+                queueId: queueIdFromText(match.find('.queueType, [class*="queue"]').first().text().trim()),
+                championName: championName,
+                role: extractRole(match),
+                kda: matchKda,
+                win: matchResult.toLowerCase().includes('victory') ||
+                     matchResult.toLowerCase().includes('win') ||
+                     match.hasClass('victory') || match.hasClass('win')
+            });
+        }
+    });
+
+    return {
+        source: 'league_of_graphs',
+        summoner: {
+            name: summonerName,
+            tagLine: tagLine,
+            level: level,
+            region: region,
+            puuid: extractPuuid($, summonerName)
+        },
+        ranked: rankText !== 'Unranked' ? [{
+            queueType: 'RANKED_SOLO_5x5',
+            tier: rankText.split(' ')[0] || 'UNRANKED',
+            rank: rankText.split(' ')[1] || '',
+            leaguePoints: lp,
+            wins: wins,
+            losses: losses
+        }] : [],
+        matches: recentMatches,
+        statistics: {
+            totalGames: totalGames,
+            winRate: winRate / 100,
+            avgKDA: 0, // Will calculate from kdaText if needed
+            avgCS: 0   // Not typically available from LoG basic view
+        },
+        leagueOfGraphsSpecific: {
+            kdaText: kdaText
+        }
+    };
+}
+
+module.exports = {
+    buildLeagueOfGraphsUrl,
+    parseLeagueOfGraphs
+};
@@ -0,0 +1,154 @@
+/**
+ * LoL Coach App - Mobalytics page parser
+ * Pure HTML → summoner data extraction, kept separate from the HTTP fetch so the
+ * selectors can be exercised against saved fixtures.
+ */
+
+const cheerio = require('cheerio');
+const {
+    RANK_PATTERN,
+    encodeSpecialCharacters,
+    queueIdFromText,
+    extractGameId,
+    extractGameCreation,
+    extractRole,
+    extractPuuid,
+    parseDuration
+} = require('./common');
+const { regionSlug } = require('../regions');
+
+// Mobalytics URL format: https://mobalytics.gg/lol/profile/{region}/{summonerName-tagLine}/
+// Test with: https://mobalytics.gg/lol/profile/na/vr%C3%86l-vrael/
+function buildMobalyticsUrl(summonerName, tagLine, region) {
+    const fullName = `${summonerName}-${tagLine}`;
+    const encodedName = encodeSpecialCharacters(fullName.toLowerCase()); // Mobalytics uses lowercase
+    return `https://mobalytics.gg/lol/profile/${regionSlug(region, 'mobalytics')}/${encodedName}/`;
+}
+
+function parseMobalytics(html, { summonerName, tagLine, region, url }) {
+    const $ = cheerio.load(html);
+
+    // Create summoner data structure
+    const summonerData = {
+        summoner: {
+            name: summonerName,
+            tagLine: tagLine,
+            region: region,
+            level: 0, // Mobalytics doesn't show summoner level prominently
+            puuid: extractPuuid($, summonerName)
+        },
+        ranked: [],
+        matches: [],
+        insights: [],
+        opScore: 50, // We'll calculate this based on available stats
+        sourceUrl: url,
+        statistics: {
+            winRate: 0,
+            avgKDA: 0,
+            avgCS: 0
+        }
+    };
+
+    // Extract rank information from various possible locations
+    const rankElement = $('[data-testid="rank-tier"], [class*="rank-tier"], [class*="current-rank"]').first();
+    if (rankElement.length) {
+        const rankText = rankElement.text().trim();
+        const rankMatch = rankText.match(RANK_PATTERN);
+        if (rankMatch) {
+            const [_, tier, division] = rankMatch;
+            const lpMatch = rankText.match(/(\d+)\s*LP/i);
+            const lp = lpMatch ? parseInt(lpMatch[1]) : 0;
+
+            summonerData.ranked.push({
+                queueType: 'RANKED_SOLO_5x5',
+                tier: tier,
+                rank: division || '',
+                leaguePoints: lp
+            });
+        }
+    }
+
+    // Extract season stats
+    const statsEl = $('[class*="season-stats"], [class*="ranked-stats"]');
+    if (statsEl.length) {
+        const winsText = statsEl.find('[class*="wins"]').text().trim();
+        const lossesText = statsEl.find('[class*="losses"]').text().trim();
+        const wins = parseInt(winsText.match(/\d+/)?.[0]) || 0;
+        const losses = parseInt(lossesText.match(/\d+/)?.[0]) || 0;
+
+        if (summonerData.ranked.length > 0) {
+            summonerData.ranked[0].wins = wins;
+            summonerData.ranked[0].losses = losses;
+        }
+    }
+
+    // Extract match history
+    $('[class*="match-history-item"], [class*="match-row"]').each((_, el) => {
+        const matchEl = $(el);
+        const isWin = matchEl.find('[class*="victory"], [class*="win"]').length > 0;
+
+        // Find KDA
+        const kdaEl = matchEl.find('[class*="kda-ratio"], [class*="kda"]');
+        const kdaText = kdaEl.text().trim();
+        const [kills, deaths, assists] = kdaText.split(/\s*[\/\-]\s*/).map(n => parseInt(n) || 0);
+
+        // Find CS/min
+        const csEl = matchEl.find('[class*="creep-score"], [class*="cs"]');
+        const csText = csEl.text().trim();
+        const csPerMin = parseFloat(csText.match(/(\d+\.?\d*)/)?.[1]) || 0;
+
+        // Find champion
+        const championEl = matchEl.find('[class*="champion-name"], [class*="champion"]');
+
+        const championText = championEl.text().trim();
+
+        const duration = parseDuration(matchEl.find('[class*="game-length"], [class*="duration"]').first().text().trim());
+        const queueText = matchEl.find('[class*="queue"], [class*="game-mode"]').first().text().trim();
+
+        summonerData.matches.push({
+            gameId: extractGameId(matchEl), // null when the page exposes no id
+            gameCreation: extractGameCreation(matchEl),
+            queueId: queueIdFromText(queueText),
+            champion: championText,
+            role: extractRole(matchEl),
+            win: isWin,
+            kills,
+            deaths,
+            assists,
+            csPerMinute: csPerMin,
+            cs: duration ? Math.round(csPerMin * duration / 60) : null, // Total CS only when the game length is known
+            duration: duration
+        });
+    });
+
+    // Calculate average stats
+    if (summonerData.matches.length > 0) {
+        const totalKills = summonerData.matches.reduce((sum, m) => sum + m.kills, 0);
+        const totalDeaths = summonerData.matches.reduce((sum, m) => sum + m.deaths, 0);
+        const totalAssists = summonerData.matches.reduce((sum, m) => sum + m.assists, 0);
+        const totalCSPerMin = summonerData.matches.reduce((sum, m) => sum + m.csPerMinute, 0);
+        const wins = summonerData.matches.filter(m => m.win).length;
+
+        summonerData.statistics.avgKDA = (totalKills + totalAssists) / Math.max(totalDeaths, 1);
+        summonerData.statistics.avgCS = totalCSPerMin / summonerData.matches.length;
+        summonerData.statistics.winRate = wins / summonerData.matches.length;
+
+        // Generate insights based on stats
+        if (summonerData.statistics.avgKDA > 3) {
+            summonerData.insights.push('Good KDA ratio - keep it up!');
+        }
+        if (summonerData.statistics.avgCS < 5) {
+            summonerData.insights.push('Try to improve CS score');
+        }
+        if (summonerData.statistics.winRate > 0.55) {
+            summonerData.insights.push('Strong win rate - you\'re climbing!');
+        }
+    }
+
+    return summonerData;
+}
+
+module.exports = {
+    buildMobalyticsUrl,
+    parseMobalytics
+};
@@ -0,0 +1,131 @@
+/**
+ * LoL Coach App - OP.GG page parser
+ * Pure HTML → summoner data extraction, kept separate from the HTTP fetch so the
+ * selectors can be exercised against saved fixtures.
+ */
+
+const cheerio = require('cheerio');
+const {
+    RANK_PATTERN,
+    encodeSpecialCharacters,
+    queueIdFromText,
+    extractGameId,
+    extractGameCreation,
+    extractRole,
+    extractPuuid,
+    parseDuration
+} = require('./common');
+const { regionSlug } = require('../regions');
+
+// OP.GG URL format: https://op.gg/lol/summoners/{region}/{summonerName-tagLine}
+function buildOPGGUrl(summonerName, tagLine, region) {
+    const fullName = `${summonerName}-${tagLine}`;
+    const encodedName = encodeSpecialCharacters(fullName);
+    return `https://op.gg/lol/summoners/${regionSlug(region, 'opgg')}/${encodedName}`;
+}
+
+function parseOPGG(html, { summonerName, tagLine, region, url }) {
+    const $ = cheerio.load(html);
+
+    // Extract actual data from OP.GG
+    const summonerData = {
+        summoner: {
+            name: summonerName,
+            tagLine: tagLine,
+            region: region,
+            level: parseInt($('[class*="level"], [class*="summoner-level"]').first().text().trim()) || 0,
+            puuid: extractPuuid($, summonerName)
+        },
+        ranked: [],
+        matches: [],
+        insights: [],
+        opScore: 50,
+        sourceUrl: url,
+        statistics: {
+            winRate: 0,
+            avgKDA: 0,
+            avgCS: 0
+        }
+    };
+
+    // Extract rank information
+    $('[class*="tier-rank"], [class*="tier"], [class*="rank-tier"]').each((_, el) => {
+        const tierEl = $(el);
+        const rankText = tierEl.text().trim();
+        const rankMatch = rankText.match(RANK_PATTERN);
+
+        if (rankMatch) {
+            const [_, tier, division] = rankMatch;
+            const lpEl = tierEl.closest('[class*="wrapper"], [class*="container"]').find('[class*="lp"], [class*="league-points"]');
+            const lpText = lpEl.text().trim();
+            const lp = parseInt(lpText.match(/\d+/)?.[0]) || 0;
+
+            const statsEl = tierEl.closest('[class*="wrapper"], [class*="container"]');
+            const winsEl = statsEl.find('[class*="win"], [class*="wins"]');
+            const lossesEl = statsEl.find('[class*="loss"], [class*="losses"]');
+
+            const wins = parseInt(winsEl.text().match(/\d+/)?.[0]) || 0;
+            const losses = parseInt(lossesEl.text().match(/\d+/)?.[0]) || 0;
+
+            summonerData.ranked.push({
+                queueType: 'RANKED_SOLO_5x5',
+                tier: tier || 'Unranked',
+                rank: division || '',
+                leaguePoints: lp,
+                wins: wins,
+                losses: losses
+            });
+        }
+    });
+
+    // Extract match history
+    $('[class*="match-item"], [class*="game-item"], [class*="match-row"]').each((_, el) => {
+        const matchEl = $(el);
+        const isWin = matchEl.find('[class*="win"]').length > 0;
+        const kdaEl = matchEl.find('[class*="kda"], [class*="k-d-a"]');
+        const kdaText = kdaEl.text().trim();
+        const [kills, deaths, assists] = kdaText.split(/\s*[\/\-]\s*/).map(n => parseInt(n) || 0);
+
+        const csEl = matchEl.find('[class*="cs-score"], [class*="minion-kills"], [class*="cs"]');
+        const csText = csEl.text().trim();
+        const csPerMin = parseFloat(csText.match(/(\d+\.?\d*)/)?.[1]) || 0;
+
+        const championEl = matchEl.find('[class*="champion-name"], [class*="name"]');
+        const durationText = matchEl.find('[class*="game-length"], [class*="duration"]').first().text().trim();
+        const queueText = matchEl.find('[class*="queue"], [class*="game-type"]').first().text().trim();
+
+        const match = {
+            game_id: extractGameId(matchEl),
+            game_creation: extractGameCreation(matchEl),
+            game_duration: parseDuration(durationText),
+            queue_id: queueIdFromText(queueText),
+            champion_name: championEl.text().trim(),
+            role: extractRole(matchEl),
+            win: isWin,
+            kills: kills,
+            deaths: deaths,
+            assists: assists,
+            cs_per_minute: csPerMin
+        };
+        summonerData.matches.push(match);
+    });
+
+    // Calculate statistics
+    if (summonerData.matches.length > 0) {
+        const totalMatches = summonerData.matches.length;
+        const wins = summonerData.matches.filter(m => m.win).length;
+
+        summonerData.statistics = {
+            winRate: wins / totalMatches,
+            avgKDA: summonerData.matches.reduce((sum, m) => sum + (m.kills + m.assists) / Math.max(m.deaths, 1), 0) / totalMatches,
+            avgCS: summonerData.matches.reduce((sum, m) => sum + (m.cs_per_minute || 0), 0) / totalMatches
+        };
+    }
+
+    return summonerData;
+}
+
+module.exports = {
+    buildOPGGUrl,
+    parseOPGG
+};
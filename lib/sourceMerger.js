@@ -0,0 +1,157 @@
+/**
+ * LoL Coach App - Multi-source result merging
+ * Combines partial payloads from several providers into one response. Sources are
+ * given in priority order: the first source with a usable value wins each field,
+ * later sources only fill gaps. Every chosen field records where it came from, and
+ * fields where sources disagree are reported as conflicts.
+ */
+
+const { isPseudoPuuid } = require('./identity');
+
+const STATISTIC_FIELDS = ['winRate', 'avgKDA', 'avgCS', 'totalGames'];
+// Its PUUID is authoritative, whatever the source's priority
+const RIOT_API_SOURCE = 'riot_api';
+
+function isPresent(value) {
+    if (value === null || value === undefined || value === '') return false;
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
+
+function isPositiveNumber(value) {
+    return isPresent(Number(value));
+}
+
+function isTierPresent(tier) {
+    return isPresent(tier) && String(tier).toUpperCase() !== 'UNRANKED';
+}
+
+// Ranked fields with the check deciding whether a source actually provided them
+const RANKED_FIELDS = {
+    tier: isTierPresent,
+    rank: isPresent,
+    leaguePoints: isPositiveNumber,
+    wins: isPositiveNumber,
+    losses: isPositiveNumber
+};
+
+function getQueueType(entry) {
+    return entry.queueType || entry.queue || 'RANKED_SOLO_5x5';
+}
+
+// Some sources report numbers as strings, and Mobalytics reports win rate as a percentage
+function normalizeStatistic(field, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    if (field === 'winRate' && number > 1) return number / 100;
+    return number;
+}
+
+// Pick the first present value for a field, tracking provenance and disagreements
+function pickField(candidates, field, provenance, conflicts, { present = isPresent, reportConflicts = true } = {}) {
+    const available = candidates.filter(candidate => present(candidate.value));
+    if (available.length === 0) return undefined;
+
+    const chosen = available[0];
+    provenance[field] = chosen.source;
+
+    const distinct = new Set(available.map(candidate => String(candidate.value).toUpperCase()));
+    if (reportConflicts && distinct.size > 1) {
+        conflicts.push({
+            field,
+            chosen: chosen.source,
+            values: Object.fromEntries(available.map(candidate => [candidate.source, candidate.value]))
+        });
+    }
+    return chosen.value;
+}
+
+// results: [{ source: 'opgg', data: { summoner, ranked, matches, statistics } }, ...] in priority order
+function mergeSourceResults(results) {
+    if (!results || results.length === 0) {
+        throw new Error('No source results to merge');
+    }
+
+    const provenance = {};
+    const conflicts = [];
+    const primary = results[0].data;
+
+    const summoner = { ...primary.summoner };
+    const level = pickField(
+        results.map(({ source, data }) => ({ source, value: data.summoner?.level })),
+        'summoner.level', provenance, conflicts
+    );
+    summoner.level = level || 0;
+    // The Riot API's PUUID wins whatever its priority, then a real one a scraped page exposed;
+    // pseudo-PUUIDs never count as a value
+    const puuidCandidates = results.map(({ source, data }) => ({ source, value: data.summoner?.puuid }));
+    summoner.puuid = pickField(
+        [
+            ...puuidCandidates.filter(candidate => candidate.source === RIOT_API_SOURCE),
+            ...puuidCandidates.filter(candidate => candidate.source !== RIOT_API_SOURCE)
+        ],
+        'summoner.puuid', provenance, conflicts,
+        { present: value => isPresent(value) && !isPseudoPuuid(value) }
+    ) || null;
+
+    // Ranked entries are merged per queue
+    const queueTypes = [];
+    results.forEach(({ data }) => {
+        (data.ranked || []).forEach(entry => {
+            const queueType = getQueueType(entry);
+            if (!queueTypes.includes(queueType)) queueTypes.push(queueType);
+        });
+    });
+
+    const ranked = queueTypes.map(queueType => {
+        const entries = results
+            .map(({ source, data }) => ({ source, entry: (data.ranked || []).find(e => getQueueType(e) === queueType) }))
+            .filter(({ entry }) => entry);
+
+        const merged = { queueType };
+        Object.entries(RANKED_FIELDS).forEach(([field, present]) => {
+            const value = pickField(
+                entries.map(({ source, entry }) => ({ source, value: entry[field] })),
+                `ranked.${queueType}.${field}`, provenance, conflicts, { present }
+            );
+            merged[field] = value !== undefined ? value : (field === 'tier' || field === 'rank' ? null : 0);
+        });
+        return merged;
+    }).filter(entry => isTierPresent(entry.tier));
+
+    // Match lists come whole from the first source that has one. buildMatchId (lib/dataModel)
+    // gives every match a stable id, but a site that exposes the Riot game id and one that
+    // doesn't give the same game different ids, so a union by id would list it twice.
+    const matchSource = results.find(({ data }) => isPresent(data.matches));
+    const matches = matchSource ? matchSource.data.matches : [];
+    if (matchSource) provenance.matches = matchSource.source;
+
+    // Statistics cover different samples per site (recent games vs. season), so
+    // differing values are expected and not reported as conflicts
+    const statistics = {};
+    STATISTIC_FIELDS.forEach(field => {
+        const value = pickField(
+            results.map(({ source, data }) => ({ source, value: normalizeStatistic(field, data.statistics?.[field]) })),
+            `statistics.${field}`, provenance, conflicts, { reportConflicts: false }
+        );
+        statistics[field] = value || 0;
+    });
+
+    return {
+        data: {
+            summoner,
+            ranked,
+            matches,
+            statistics,
+            sourceUrl: primary.sourceUrl
+        },
+        sources: results.map(({ source }) => source),
+        provenance,
+        conflicts
+    };
+}
+
+module.exports = {
+    mergeSourceResults
+};
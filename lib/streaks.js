@@ -0,0 +1,119 @@
+/**
+ * LoL Coach App - Streaks and sessions
+ * Win/loss streaks, results right after consecutive losses, and play sessions (games with
+ * short breaks between them, from gameCreation timestamps) in which KDA drops as the session
+ * goes on. These are the numbers behind the "take a break" coaching insights.
+ */
+
+const { matchKDA, average } = require('./dataModel');
+
+// A break longer than this between two games starts a new session
+const SESSION_GAP_MS = 60 * 60 * 1000;
+// Consecutive losses after which a game counts as played "on tilt"
+const TILT_LOSS_COUNT = 2;
+// Sessions shorter than this are too short to show a trend
+const MIN_SESSION_GAMES = 4;
+
+// Valid, timestamped games, oldest first
+function chronological(matches) {
+    return (matches || [])
+        .filter(match => !match.invalid && Number.isFinite(match.gameCreation))
+        .sort((a, b) => a.gameCreation - b.gameCreation);
+}
+
+// Streak counts over chronological games: the streak the player is on now and the longest of each
+function findStreaks(games) {
+    const streaks = { current: null, longestWin: 0, longestLoss: 0 };
+    let run = null;
+    games.forEach(match => {
+        const result = match.win ? 'win' : 'loss';
+        run = run && run.result === result ? { result, length: run.length + 1 } : { result, length: 1 };
+        if (result === 'win') streaks.longestWin = Math.max(streaks.longestWin, run.length);
+        else streaks.longestLoss = Math.max(streaks.longestLoss, run.length);
+    });
+    streaks.current = run;
+    return streaks;
+}
+
+// Games played right after `lossCount` straight losses against all other games. Null until
+// both groups have at least two games with a known KDA.
+function compareAfterLosses(games, lossCount = TILT_LOSS_COUNT) {
+    const after = [];
+    const baseline = [];
+    let losses = 0;
+    games.forEach(match => {
+        (losses >= lossCount ? after : baseline).push(match);
+        losses = match.win ? 0 : losses + 1;
+    });
+    if (after.length < 2 || baseline.length < 2) return null;
+
+    const winRate = group => group.filter(match => match.win).length / group.length;
+    const avgKDA = average(after.map(matchKDA));
+    const baselineKDA = average(baseline.map(matchKDA));
+    if (avgKDA === null || baselineKDA === null) return null;
+    return {
+        lossCount,
+        games: after.length,
+        winRate: winRate(after),
+        avgKDA,
+        baselineWinRate: winRate(baseline),
+        baselineKDA
+    };
+}
+
+// Chronological games → sessions of games with less than gapMs between one game's end
+// and the next one's start
+function splitSessions(games, gapMs = SESSION_GAP_MS) {
+    const sessions = [];
+    let previousEnd = null;
+    games.forEach(match => {
+        if (previousEnd === null || match.gameCreation - previousEnd > gapMs) sessions.push([]);
+        sessions[sessions.length - 1].push(match);
+        previousEnd = match.gameCreation + (match.gameDuration || 0) * 1000;
+    });
+    return sessions;
+}
+
+// KDA over the first and second half of a session; decline is the share of early KDA lost
+function sessionTrend(session) {
+    if (session.length < MIN_SESSION_GAMES) return null;
+
+    const half = Math.floor(session.length / 2);
+    const earlyKDA = average(session.slice(0, half).map(matchKDA));
+    const lateKDA = average(session.slice(-half).map(matchKDA));
+    const last = session[session.length - 1];
+    const wins = session.filter(match => match.win).length;
+    return {
+        games: session.length,
+        halfGames: half,
+        start: session[0].gameCreation,
+        hours: (last.gameCreation + (last.gameDuration || 0) * 1000 - session[0].gameCreation) / 3600000,
+        wins,
+        losses: session.length - wins,
+        earlyKDA,
+        lateKDA,
+        decline: earlyKDA > 0 && lateKDA !== null ? 1 - lateKDA / earlyKDA : 0
+    };
+}
+
+// Everything the streak insights need from a list of canonical matches (any order)
+function analyzeStreaks(matches, { minDecline = 0.25 } = {}) {
+    const games = chronological(matches);
+    const trends = splitSessions(games).map(sessionTrend).filter(Boolean);
+    return {
+        streaks: findStreaks(games),
+        afterLosses: compareAfterLosses(games),
+        // Most recent long session in which the player clearly got worse
+        decliningSession: trends.reverse().find(trend => trend.decline >= minDecline) || null
+    };
+}
+
+module.exports = {
+    SESSION_GAP_MS,
+    TILT_LOSS_COUNT,
+    findStreaks,
+    compareAfterLosses,
+    splitSessions,
+    sessionTrend,
+    analyzeStreaks
+};
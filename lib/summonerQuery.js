@@ -0,0 +1,125 @@
+/**
+ * LoL Coach App - Summoner search input
+ * POST /api/summoner identifies a player by separate summonerName/tagLine/region fields,
+ * by { puuid }, or by a single `query` field holding "Name#TAG", a PUUID, or a profile URL
+ * copied from OP.GG, Mobalytics or League of Graphs. Everything is reduced to either a
+ * Riot ID + region or a PUUID before the lookup starts.
+ */
+
+const { normalizeRegion } = require('./regions');
+const { rules, optional, checkFields } = require('./validation');
+
+// Riot PUUIDs are 78 url-safe base64 characters
+const PUUID_PATTERN = /^[A-Za-z0-9_-]{78}$/;
+
+// Path of a profile page on each site, capturing the region slug and "Name-TAG"
+const PROFILE_URL_PATTERNS = [
+    { site: 'opgg', host: /(^|\.)op\.gg$/, path: /^\/(?:lol\/)?summoners\/([^/]+)\/([^/]+)/ },
+    { site: 'mobalytics', host: /(^|\.)mobalytics\.gg$/, path: /^\/lol\/profile\/([^/]+)\/([^/]+)/ },
+    { site: 'league_of_graphs', host: /(^|\.)leagueofgraphs\.com$/, path: /^\/(?:[a-z]{2}\/)?summoner\/([^/]+)\/([^/]+)/ }
+];
+
+// "Name#TAG" → { summonerName, tagLine }; the tag is after the last #
+function parseRiotId(text) {
+    const value = String(text || '').trim();
+    const separator = value.lastIndexOf('#');
+    if (separator <= 0 || separator === value.length - 1) return null;
+    return { summonerName: value.slice(0, separator).trim(), tagLine: value.slice(separator + 1).trim() };
+}
+
+// Profile URL → { site, summonerName, tagLine, region }, or null when it isn't one
+function parseProfileUrl(text) {
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    for (const { site, host: hostPattern, path } of PROFILE_URL_PATTERNS) {
+        if (!hostPattern.test(host)) continue;
+        const match = url.pathname.match(path);
+        if (!match) return null;
+
+        // The sites write the Riot ID as "Name-TAG" (some as "Name#TAG", encoded)
+        let riotId;
+        try {
+            riotId = decodeURIComponent(match[2].replace(/\+/g, ' '));
+        } catch (error) {
+            return null;
+        }
+        const separator = Math.max(riotId.lastIndexOf('-'), riotId.lastIndexOf('#'));
+        if (separator <= 0 || separator === riotId.length - 1) return null;
+        return {
+            site,
+            summonerName: riotId.slice(0, separator).trim(),
+            tagLine: riotId.slice(separator + 1).trim(),
+            region: normalizeRegion(match[1])
+        };
+    }
+    return null;
+}
+
+const queryError = message => ({ field: 'query', location: 'body', message });
+
+// Riot ID rules for a name and tag read out of the query field
+function checkQueryRiotId({ summonerName, tagLine }) {
+    const name = rules.gameName(summonerName);
+    const tag = rules.tagLine(tagLine);
+    const errors = [];
+    if (name.error) errors.push(queryError(`query game name ${name.error}`));
+    if (tag.error) errors.push(queryError(`query tag line ${tag.error}`));
+    return { target: { summonerName: name.value, tagLine: tag.value }, errors };
+}
+
+/**
+ * Request body → { target, errors }. target is { puuid, region } or
+ * { summonerName, tagLine, region }; errors lists every invalid field as
+ * { field, location, message } (see lib/validation). A profile URL's region wins over
+ * body.region, since it is the page the user picked.
+ */
+function parseSummonerQuery(body = {}) {
+    if (body.puuid !== undefined) {
+        const { values, errors } = checkFields(body, { puuid: rules.puuid, region: optional(rules.region) }, 'body');
+        return { target: { puuid: values.puuid, region: values.region || null }, errors };
+    }
+
+    if (body.query !== undefined) {
+        const query = typeof body.query === 'string' ? body.query.trim() : '';
+        if (!query) return { target: null, errors: [queryError('query is required')] };
+
+        if (/^(https?:\/\/)?[^\s/#]+\.[a-z]{2,}\//i.test(query)) {
+            const profile = parseProfileUrl(query);
+            if (!profile) return { target: null, errors: [queryError('query is not an OP.GG, Mobalytics or League of Graphs profile URL')] };
+            if (!profile.region) return { target: null, errors: [queryError('query has a region this server does not know')] };
+            const { target, errors } = checkQueryRiotId(profile);
+            return { target: errors.length > 0 ? null : { ...target, region: profile.region }, errors };
+        }
+
+        if (PUUID_PATTERN.test(query)) {
+            const { values, errors } = checkFields(body, { region: optional(rules.region) }, 'body');
+            return { target: { puuid: query, region: values.region || null }, errors };
+        }
+
+        const riotId = parseRiotId(query);
+        const checked = riotId ? checkQueryRiotId(riotId) : { errors: [queryError('query must be "Name#TAG", a PUUID or a profile URL')] };
+        const { values, errors } = checkFields(body, { region: rules.region }, 'body');
+        errors.unshift(...checked.errors);
+        return { target: errors.length > 0 ? null : { ...checked.target, region: values.region }, errors };
+    }
+
+    const { values, errors } = checkFields(body, {
+        summonerName: rules.gameName,
+        tagLine: rules.tagLine,
+        region: rules.region
+    }, 'body');
+    return { target: errors.length > 0 ? null : values, errors };
+}
+
+module.exports = {
+    PUUID_PATTERN,
+    parseRiotId,
+    parseProfileUrl,
+    parseSummonerQuery
+};
@@ -0,0 +1,140 @@
+/**
+ * LoL Coach App - Request validation
+ * Rules for the inputs the API takes and an Express middleware that checks a request
+ * against them before the handler runs. Valid values are written back cleaned up (trimmed,
+ * region "NA" → "na1", numbers parsed); otherwise the request gets one 400 listing every
+ * invalid field:
+ *   { error, message, fields: [{ field, location, message }] }
+ *
+ * A rule takes the raw value and returns { value } or { error }, the error worded to follow
+ * the field name ("must be 3-16 characters").
+ */
+
+const { REGION_IDS, normalizeRegion } = require('./regions');
+
+// Riot ID limits
+const GAME_NAME_LENGTH = { min: 3, max: 16 };
+const TAG_LINE_LENGTH = { min: 3, max: 5 };
+// Letters of any script, digits, spaces, and the _ and . some older names still have
+const GAME_NAME_PATTERN = /^[\p{L}\p{M}\p{N} _.]+$/u;
+const TAG_LINE_PATTERN = /^[\p{L}\p{N}]+$/u;
+// Real PUUIDs are 78 url-safe base64 characters; pseudo-PUUIDs (lib/identity) are word characters
+const PUUID_PARAM_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Length in characters, not UTF-16 units, so "VRÆL" is 4
+const characterCount = value => [...value].length;
+
+function lengthError({ min, max }) {
+    return `must be ${min}-${max} characters`;
+}
+
+function gameName(value) {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const name = value.trim().replace(/\s+/g, ' ');
+    const length = characterCount(name);
+    if (length < GAME_NAME_LENGTH.min || length > GAME_NAME_LENGTH.max) return { error: lengthError(GAME_NAME_LENGTH) };
+    if (!GAME_NAME_PATTERN.test(name)) return { error: 'may only contain letters, numbers, spaces, _ and .' };
+    return { value: name };
+}
+
+function tagLine(value) {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const tag = value.trim().replace(/^#/, '');
+    const length = characterCount(tag);
+    if (length < TAG_LINE_LENGTH.min || length > TAG_LINE_LENGTH.max) return { error: lengthError(TAG_LINE_LENGTH) };
+    if (!TAG_LINE_PATTERN.test(tag)) return { error: 'may only contain letters and numbers' };
+    return { value: tag };
+}
+
+function region(value) {
+    const id = typeof value === 'string' ? normalizeRegion(value) : null;
+    return id ? { value: id } : { error: `must be one of: ${REGION_IDS.join(', ')}` };
+}
+
+function puuid(value) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    return PUUID_PARAM_PATTERN.test(trimmed) ? { value: trimmed } : { error: 'is not a valid PUUID' };
+}
+
+function oneOf(values) {
+    return value => values.includes(value) ? { value } : { error: `must be one of: ${values.join(', ')}` };
+}
+
+function integer({ min = -Infinity, max = Infinity } = {}) {
+    return value => {
+        const number = typeof value === 'number' ? value : /^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+        if (!Number.isInteger(number)) return { error: 'must be a whole number' };
+        if (number < min || number > max) {
+            return { error: max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}` };
+        }
+        return { value: number };
+    };
+}
+
+function boolean(value) {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+}
+
+// Missing values (undefined, null, blank strings) pass and stay unset
+function optional(rule) {
+    const wrapped = value => rule(value);
+    wrapped.optional = true;
+    return wrapped;
+}
+
+const isMissing = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Check one location (body, query, params) → { values, errors }
+function checkFields(input = {}, fieldRules, location) {
+    const values = {};
+    const errors = [];
+    for (const [field, rule] of Object.entries(fieldRules)) {
+        if (isMissing(input[field])) {
+            if (!rule.optional) errors.push({ field, location, message: `${field} is required` });
+            continue;
+        }
+        const result = rule(input[field]);
+        if (result.error) errors.push({ field, location, message: `${field} ${result.error}` });
+        else values[field] = result.value;
+    }
+    return { values, errors };
+}
+
+function sendValidationError(res, errors, title = 'Invalid request') {
+    return res.status(400).json({
+        error: title,
+        message: errors.map(error => error.message).join('; '),
+        fields: errors
+    });
+}
+
+/**
+ * Express middleware checking req.body / req.query / req.params against rules per field.
+ * @param {object} schema  e.g. { body: { region: rules.region, mode: optional(rules.oneOf(MODES)) } }
+ */
+function validate(schema, title) {
+    return (req, res, next) => {
+        const errors = [];
+        for (const [location, fieldRules] of Object.entries(schema)) {
+            const result = checkFields(req[location], fieldRules, location);
+            errors.push(...result.errors);
+            if (result.errors.length === 0) Object.assign(req[location], result.values);
+        }
+        if (errors.length > 0) return sendValidationError(res, errors, title);
+        next();
+    };
+}
+
+const rules = { gameName, tagLine, region, puuid, oneOf, integer, boolean };
+
+module.exports = {
+    GAME_NAME_LENGTH,
+    TAG_LINE_LENGTH,
+    rules,
+    optional,
+    checkFields,
+    sendValidationError,
+    validate
+};
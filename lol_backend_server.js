@@ -1,11 +1,39 @@
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const axios = require('axios');
-const cheerio = require('cheerio');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 const fs = require('fs');
+const { DataSourceRegistry, parseSourceList } = require('./lib/dataSourceRegistry');
+const { mergeSourceResults } = require('./lib/sourceMerger');
+const { scoreDataQuality } = require('./lib/dataQuality');
+const { normalizeScrapedMatches } = require('./lib/scrapedMatches');
+const { QUEUE_TYPES, normalizeProviderData, normalizeRole } = require('./lib/dataModel');
+const { RiotApiClient, parseApiKeys } = require('./lib/riotApi');
+const { TokenBucketRateLimiter, RIOT_DEV_KEY_LIMITS, parseRateLimits } = require('./lib/rateLimiter');
+const { ResponseCache } = require('./lib/responseCache');
+const { isSameRankedSnapshot, buildRankedTimeline } = require('./lib/rankedHistory');
+const { JOB_STATUSES, ConcurrencyLimiter, parseConcurrencyLimits, RefreshJobQueue } = require('./lib/jobQueue');
+const { parseHistoryQuery, buildHistoryFilter, buildHistoryQueries, buildHistoryResponse } = require('./lib/historyQuery');
+const { buildChampionStatsQuery, toChampionStats } = require('./lib/championStats');
+const { summarizeByRole, primaryRole, fromParticipantRow } = require('./lib/roleStats');
+const {
+    BROWSER_USER_AGENT,
+    buildOPGGUrl, parseOPGG,
+    buildMobalyticsUrl, parseMobalytics,
+    buildLeagueOfGraphsUrl, parseLeagueOfGraphs
+} = require('./lib/scrapers');
+const { loadBenchmarks } = require('./lib/benchmarks');
+const { loadInsightRules, evaluateRules } = require('./lib/insightEngine');
+const { buildInsightStats } = require('./lib/insightStats');
+const { calculateOPScore } = require('./lib/opScore');
+const { run: dbRun, get: dbGet, withLock } = require('./lib/db');
+const { runMigrations } = require('./lib/migrations');
+const { riotIdKey, pseudoPuuid, resolveAlias, recordName, resolvePlayer } = require('./lib/identity');
+const { parseSummonerQuery } = require('./lib/summonerQuery');
+const { REGIONS } = require('./lib/regions');
+const { rules, optional, checkFields, sendValidationError, validate } = require('./lib/validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,182 +47,164 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(__dirname)); // Serve files from current directory
 
-// Riot API Configuration (commented out as keys expire in 24h)
-/*
-const RIOT_API_KEY = process.env.RIOT_API_KEY || 'YOUR_RIOT_API_KEY_HERE';
-const RIOT_BASE_URLS = {
-    americas: 'https://americas.api.riotgames.com',
-    asia: 'https://asia.api.riotgames.com',
-    europe: 'https://europe.api.riotgames.com'
-};
-
-const REGIONAL_ENDPOINTS = {
-    na1: 'https://na1.api.riotgames.com',
-    euw1: 'https://euw1.api.riotgames.com',
-    eun1: 'https://eun1.api.riotgames.com',
-    kr: 'https://kr.api.riotgames.com',
-    jp1: 'https://jp1.api.riotgames.com',
-    br1: 'https://br1.api.riotgames.com',
-    la1: 'https://la1.api.riotgames.com',
-    la2: 'https://la2.api.riotgames.com',
-    oc1: 'https://oc1.api.riotgames.com',
-    tr1: 'https://tr1.api.riotgames.com',
-    ru: 'https://ru.api.riotgames.com'
-};
-*/
-
 // Database initialization
 const db = new sqlite3.Database('./lol_coach.db', (err) => {
     if (err) {
         console.error('Error opening database:', err.message);
+        process.exit(1);
     } else {
         console.log('Connected to SQLite database.');
         initializeDatabase();
     }
 });
 
-// Initialize database tables
-function initializeDatabase() {
-    const tables = [
-        `CREATE TABLE IF NOT EXISTS summoners (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            puuid TEXT UNIQUE NOT NULL,
-            summoner_name TEXT NOT NULL,
-            tag_line TEXT NOT NULL,
-            summoner_level INTEGER,
-            profile_icon_id INTEGER,
-            region TEXT NOT NULL,
-            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS ranked_stats (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            summoner_puuid TEXT NOT NULL,
-            queue_type TEXT NOT NULL,
-            tier TEXT,
-            rank_division TEXT,
-            league_points INTEGER,
-            wins INTEGER,
-            losses INTEGER,
-            hot_streak BOOLEAN,
-            veteran BOOLEAN,
-            fresh_blood BOOLEAN,
-            inactive BOOLEAN,
-            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS matches (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            match_id TEXT UNIQUE NOT NULL,
-            summoner_puuid TEXT NOT NULL,
-            game_creation BIGINT,
-            game_duration INTEGER,
-            game_mode TEXT,
-            game_type TEXT,
-            game_version TEXT,
-            map_id INTEGER,
-            queue_id INTEGER,
-            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS match_participants (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            match_id TEXT NOT NULL,
-            summoner_puuid TEXT NOT NULL,
-            champion_id INTEGER,
-            champion_name TEXT,
-            team_id INTEGER,
-            win BOOLEAN,
-            kills INTEGER,
-            deaths INTEGER,
-            assists INTEGER,
-            gold_earned INTEGER,
-            total_minions_killed INTEGER,
-            vision_score INTEGER,
-            damage_dealt INTEGER,
-            damage_taken INTEGER,
-            kda_ratio REAL,
-            cs_per_minute REAL,
-            kill_participation REAL,
-            first_blood BOOLEAN DEFAULT FALSE,
-            first_tower BOOLEAN DEFAULT FALSE,
-            double_kills INTEGER DEFAULT 0,
-            triple_kills INTEGER DEFAULT 0,
-            quadra_kills INTEGER DEFAULT 0,
-            penta_kills INTEGER DEFAULT 0,
-            largest_killing_spree INTEGER DEFAULT 0,
-            FOREIGN KEY (match_id) REFERENCES matches (match_id),
-            FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS insights (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            summoner_puuid TEXT NOT NULL,
-            insight_type TEXT NOT NULL,
-            title TEXT NOT NULL,
-            description TEXT NOT NULL,
-            priority INTEGER DEFAULT 1,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (summoner_puuid) REFERENCES summoners (puuid)
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS error_logs (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            timestamp DATETIME NOT NULL,
-            source TEXT NOT NULL,
-            operation TEXT NOT NULL,
-            error_message TEXT NOT NULL,
-            status_code INTEGER,
-            additional_data TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`,
-        
-        `CREATE TABLE IF NOT EXISTS data_source_fallbacks (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            summoner_name TEXT NOT NULL,
-            tag_line TEXT NOT NULL,
-            region TEXT NOT NULL,
-            successful_source TEXT NOT NULL,
-            failed_sources TEXT,
-            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`
-    ];
-
-    tables.forEach((table) => {
-        db.run(table, (err) => {
-            if (err) {
-                console.error('Error creating table:', err.message);
-            }
+// Bring the schema up to date (lib/migrations), then start the background jobs and the
+// HTTP server, so no request or job ever sees a half-migrated database
+async function initializeDatabase() {
+    try {
+        const { from, to, applied } = await runMigrations(db, undefined, {
+            log: message => console.log(`🗄️  ${message}`)
         });
-    });
-    
-    console.log('Database tables initialized successfully.');
-}
+        console.log(applied.length > 0
+            ? `Database migrated from v${from} to v${to}.`
+            : `Database schema up to date (v${to}).`);
+    } catch (error) {
+        console.error('❌ Database migration failed:', error.message);
+        process.exit(1);
+    }
 
-// Utility functions for region mapping (commented out as Riot API is disabled)
-/*
-function getRegionalCluster(region) {
-    const regionMap = {
-        na1: 'americas', br1: 'americas', la1: 'americas', la2: 'americas',
-        euw1: 'europe', eun1: 'europe', tr1: 'europe', ru: 'europe',
-        kr: 'asia', jp1: 'asia'
-    };
-    return regionMap[region] || 'americas';
+    startBackgroundJobs();
+    startServer();
 }
-*/
 
-// Data Source Priority Order: OP.GG → Mobalytics → League of Graphs (Riot API disabled as keys expire in 24h)
-const DATA_SOURCES = {
+// Data source identifiers
+const SOURCE_IDS = {
+    RIOT_API: 'riot_api',        // Optional - only when RIOT_API_KEY is set
     OPGG: 'opgg',
-    MOBALYTICS: 'mobalytics', 
+    MOBALYTICS: 'mobalytics',
     LEAGUE_OF_GRAPHS: 'league_of_graphs',
-    // RIOT_API: 'riot_api',     // Disabled - keys expire in 24h
     DATA_DRAGON: 'data_dragon'   // Optional - for static assets/data
 };
 
+// Riot API client. Dev keys expire in 24h, so the provider is opt-in: set RIOT_API_KEY
+// (several comma separated keys rotate when one is rejected). RIOT_RATE_LIMITS overrides
+// the dev key limits as "requests:seconds" pairs, e.g. "500:10,30000:600". RIOT_API_BASE_URL
+// points every Riot endpoint at another host, e.g. the mock server from `npm run mock:riot`.
+const RIOT_MATCH_COUNT = parseInt(process.env.RIOT_MATCH_COUNT) || 20;
+const riotClient = parseApiKeys(process.env.RIOT_API_KEY).length > 0
+    ? new RiotApiClient({
+        apiKeys: process.env.RIOT_API_KEY,
+        baseUrl: process.env.RIOT_API_BASE_URL,
+        rateLimiter: new TokenBucketRateLimiter(parseRateLimits(process.env.RIOT_RATE_LIMITS) || RIOT_DEV_KEY_LIMITS),
+        onError: (operation, error, data) => logError(SOURCE_IDS.RIOT_API, operation, error, data)
+    })
+    : null;
+
+// Tier × role percentile tables the insights compare against. BENCHMARKS_FILE swaps in a
+// recalibrated table (same shape as config/benchmarks.json) without a code change.
+const BENCHMARKS = loadBenchmarks(process.env.BENCHMARKS_FILE || undefined);
+// Insight rules; INSIGHT_RULES_FILE swaps in another rule set of the same shape
+const INSIGHT_RULES = loadInsightRules(process.env.INSIGHT_RULES_FILE || undefined);
+
+// Data source registry. Registration order is the default priority order:
+// Riot API (when configured) → OP.GG → Mobalytics → League of Graphs → Data Dragon.
+// Override with DATA_SOURCE_ORDER="mobalytics,opgg" and DISABLED_DATA_SOURCES="league_of_graphs",
+// or per request with the `sources` / `disabledSources` body fields.
+const DATA_SOURCES = new DataSourceRegistry();
+if (riotClient) {
+    DATA_SOURCES.register({ id: SOURCE_IDS.RIOT_API, label: 'Riot API', fetch: fetchFromRiotAPI, savesMatches: true });
+}
+DATA_SOURCES
+    .register({ id: SOURCE_IDS.OPGG, label: 'OP.GG', fetch: scrapeOPGG })
+    .register({ id: SOURCE_IDS.MOBALYTICS, label: 'Mobalytics', fetch: scrapeMobalytics })
+    .register({ id: SOURCE_IDS.LEAGUE_OF_GRAPHS, label: 'League of Graphs', fetch: scrapeLeagueOfGraphs })
+    .register({ id: SOURCE_IDS.DATA_DRAGON, label: 'Data Dragon', fetch: fetchFromDataDragon, staticOnly: true });
+
+// Each setting (and each disabled id) is applied on its own, so a typo in one never
+// leaves a source enabled that the operator turned off
+try {
+    const envOrder = parseSourceList(process.env.DATA_SOURCE_ORDER);
+    if (envOrder.length > 0) {
+        DATA_SOURCES.setDefaultOrder(envOrder);
+    }
+} catch (error) {
+    console.warn('Ignoring invalid DATA_SOURCE_ORDER:', error.message);
+}
+parseSourceList(process.env.DISABLED_DATA_SOURCES).forEach(id => {
+    try {
+        DATA_SOURCES.setEnabled(id, false);
+    } catch (error) {
+        console.warn('Ignoring invalid DISABLED_DATA_SOURCES entry:', error.message);
+    }
+});
+
+// 'cascade' stops at the first source that succeeds, 'merge' combines all sources that succeed
+const SOURCE_MODES = ['cascade', 'merge'];
+const DEFAULT_SOURCE_MODE = SOURCE_MODES.includes(process.env.DATA_SOURCE_MODE) ? process.env.DATA_SOURCE_MODE : 'cascade';
+
+// Scraped payloads scoring below this completeness (0-1) count as a failed source; 0 turns the check off
+const DATA_QUALITY_THRESHOLD = envFraction('DATA_QUALITY_THRESHOLD', 0.3);
+
+// Number env var clamped to 0-1; fallback when it is unset or not a number
+function envFraction(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : fallback;
+}
+
+// Duration env var given in seconds (or unitMs units), returned in milliseconds
+function envDurationMs(name, fallback, unitMs = 1000) {
+    const value = parseInt(process.env[name]);
+    return (Number.isFinite(value) && value >= 0 ? value : fallback) * unitMs;
+}
+
+// Server-side cache for /api/summoner. Lookups younger than SUMMONER_CACHE_TTL_SECONDS are
+// served as is; older ones are served stale (up to SUMMONER_CACHE_STALE_SECONDS more) while a
+// background lookup refreshes them. A TTL of 0 disables the cache.
+const SUMMONER_CACHE = new ResponseCache({
+    ttlMs: envDurationMs('SUMMONER_CACHE_TTL_SECONDS', 300),
+    staleMs: envDurationMs('SUMMONER_CACHE_STALE_SECONDS', 86400),
+    maxEntries: parseInt(process.env.SUMMONER_CACHE_MAX_ENTRIES) || 500
+});
+
+// Background refresh jobs (lib/jobQueue.js). JOB_CONCURRENCY jobs run at once and each data
+// source is scraped by at most JOB_SOURCE_CONCURRENCY jobs at a time ("opgg:2,mobalytics:1",
+// default 1). Every REFRESH_INTERVAL_MINUTES (0 disables) summoners not updated within that
+// interval are queued; REFRESH_SCOPE=watched limits this to summoners marked as watched.
+const REFRESH_INTERVAL_MS = envDurationMs('REFRESH_INTERVAL_MINUTES', 360, 60 * 1000);
+const REFRESH_SCOPE = process.env.REFRESH_SCOPE === 'watched' ? 'watched' : 'all';
+const SOURCE_CONCURRENCY = new ConcurrencyLimiter(parseConcurrencyLimits(process.env.JOB_SOURCE_CONCURRENCY), 1);
+const JOB_QUEUE = new RefreshJobQueue({
+    db,
+    handler: runRefreshJob,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    baseDelayMs: envDurationMs('JOB_RETRY_BASE_SECONDS', 60)
+});
+
+// Fetch from a provider, convert the payload to the canonical model (lib/dataModel.js)
+// and reject payloads that came back (nearly) empty
+async function fetchProviderData(provider, summonerName, tagLine, region) {
+    const rawData = await provider.fetch(summonerName, tagLine, region);
+    if (provider.staticOnly) {
+        return { data: rawData, quality: null, issues: [] };
+    }
+
+    const { data, issues } = normalizeProviderData(rawData);
+    if (issues.length > 0) {
+        console.log(`[${provider.label}] ${issues.length} field(s) failed validation:`, issues.map(issue => `${issue.path} ${issue.message}`).join('; '));
+    }
+
+    const quality = scoreDataQuality(data);
+    if (quality.score < DATA_QUALITY_THRESHOLD) {
+        const error = new Error(`Data quality ${quality.score} below threshold ${DATA_QUALITY_THRESHOLD} (missing: ${quality.missing.join(', ')})`);
+        error.code = 'LOW_DATA_QUALITY';
+        error.quality = quality;
+        logError(provider.id, 'DATA_QUALITY', error, { summonerName, tagLine, region, quality });
+        throw error;
+    }
+    return { data, quality, issues };
+}
+
 // Error logging function
 function logError(source, operation, error, additionalData = {}) {
     const errorLog = {
@@ -208,7 +218,7 @@ function logError(source, operation, error, additionalData = {}) {
     };
     
     // Log to SQLite for debugging
-    db.run(`
+    withLock(db, () => dbRun(db, `
         INSERT OR REPLACE INTO error_logs 
         (timestamp, source, operation, error_message, status_code, additional_data)
         VALUES (?, ?, ?, ?, ?, ?)
@@ -219,151 +229,47 @@ function logError(source, operation, error, additionalData = {}) {
         errorLog.error,
         errorLog.statusCode,
         JSON.stringify(additionalData)
-    ], (err) => {
-        if (err) console.error('Failed to log error to database:', err.message);
-    });
+    ])).catch(err => console.error('Failed to log error to database:', err.message));
     
     console.error(`[${source}] ${operation} failed:`, errorLog);
 }
 
 // Log successful fallback usage
-function logDataSourceFallback(summonerName, tagLine, region, successfulSource, failedSources) {
-    db.run(`
+function logDataSourceFallback(summonerName, tagLine, region, successfulSource, failedSources, qualityScore = null, qualityScores = {}) {
+    withLock(db, () => dbRun(db, `
         INSERT INTO data_source_fallbacks 
-        (summoner_name, tag_line, region, successful_source, failed_sources)
-        VALUES (?, ?, ?, ?, ?)
+        (summoner_name, tag_line, region, successful_source, failed_sources, quality_score, quality_scores)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
     `, [
         summonerName,
         tagLine, 
         region,
         successfulSource,
-        JSON.stringify(failedSources)
-    ], (err) => {
-        if (err) console.error('Failed to log data source fallback:', err.message);
-    });
+        JSON.stringify(failedSources),
+        qualityScore,
+        JSON.stringify(qualityScores)
+    ])).catch(err => console.error('Failed to log data source fallback:', err.message));
 }
 
-// Enhanced Riot API helper with exponential backoff (commented out as keys expire in 24h)
-/*
-async function makeRiotAPICall(url, retryCount = 0) {
-    const maxRetries = 5;
-    const baseDelay = 1000; // 1 second base delay
-    const headers = {
-        'X-Riot-Token': RIOT_API_KEY,
-        'User-Agent': 'LoL-Personal-Coach/1.0'
-    };
+// Riot API (highest fidelity). The full match-v5 payloads go straight to saveMatchData,
+// the lookup route only gets the canonical summary.
+async function fetchFromRiotAPI(summonerName, tagLine, region) {
+    const profile = await riotClient.fetchPlayerProfile(summonerName, tagLine, region, { matchCount: RIOT_MATCH_COUNT });
 
-    try {
-        const response = await axios.get(url, { 
-            headers, 
-            timeout: 15000,
-            validateStatus: (status) => status < 500 || status === 503
-        });
-        
-        if (response.status >= 400 && response.status < 500) {
-            throw new Error(`Client error: ${response.status} - ${response.statusText}`);
-        }
-        
-        return response.data;
-    } catch (error) {
-        const isRateLimited = error.response?.status === 429;
-        const isServerError = error.response?.status >= 500;
-        const isNetworkError = !error.response;
-        
-        if ((isRateLimited || isServerError || isNetworkError) && retryCount < maxRetries) {
-            let retryDelay;
-            
-            if (isRateLimited) {
-                retryDelay = (error.response.headers['retry-after'] || Math.pow(2, retryCount)) * 1000;
-            } else {
-                retryDelay = baseDelay * Math.pow(2, retryCount) + Math.random() * 1000;
-            }
-            
-            console.log(`${isRateLimited ? 'Rate limited' : 'Server/Network error'}. Retrying after ${retryDelay/1000}s... (attempt ${retryCount + 1}/${maxRetries})`);
-            
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-            return makeRiotAPICall(url, retryCount + 1);
+    let savedMatches = 0;
+    for (const matchDetails of profile.matchDetails) {
+        try {
+            await saveMatchData(matchDetails.metadata.matchId, profile.summoner.puuid, matchDetails);
+            savedMatches++;
+        } catch (saveError) {
+            console.log(`⚠️  Failed to save match ${matchDetails.metadata.matchId}:`, saveError.message);
         }
-        
-        logError(DATA_SOURCES.RIOT_API, 'API_CALL', error, { url, retryCount });
-        throw error;
-    }
-}
-
-// Primary API fetching functions
-// Riot API functions commented out as keys expire in 24h
-/*
-async function fetchSummonerByRiotID(gameName, tagLine, region) {
-    try {
-        const cluster = getRegionalCluster(region);
-        const url = `${RIOT_BASE_URLS[cluster]}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
-        return await makeRiotAPICall(url);
-    } catch (error) {
-        console.error('Error fetching summoner by Riot ID:', error.message);
-        throw error;
     }
-}
-*/
+    console.log(`📝 Riot API match details saved (${savedMatches}/${profile.matchDetails.length} matches)`);
 
-
-// Riot API functions - all commented out as keys expire in 24h
-/*
-async function fetchSummonerByRiotID(gameName, tagLine, region) {
-    try {
-        const cluster = getRegionalCluster(region);
-        const url = `${RIOT_BASE_URLS[cluster]}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
-        return await makeRiotAPICall(url);
-    } catch (error) {
-        console.error('Error fetching summoner by Riot ID:', error.message);
-        throw error;
-    }
+    return profile;
 }
 
-async function fetchSummonerByPUUID(puuid, region) {
-    try {
-        const url = `${REGIONAL_ENDPOINTS[region]}/lol/summoner/v4/summoners/by-puuid/${puuid}`;
-        return await makeRiotAPICall(url);
-    } catch (error) {
-        console.error('Error fetching summoner by PUUID:', error.message);
-        throw error;
-    }
-}
-
-async function fetchRankedStats(summonerId, region) {
-    try {
-        const url = `${REGIONAL_ENDPOINTS[region]}/lol/league/v4/entries/by-summoner/${summonerId}`;
-        return await makeRiotAPICall(url);
-    } catch (error) {
-        console.error('Error fetching ranked stats:', error.message);
-        throw error;
-    }
-}
-
-async function fetchMatchHistory(puuid, region, count = 20) {
-    try {
-        const cluster = getRegionalCluster(region);
-        const url = `${RIOT_BASE_URLS[cluster]}/lol/match/v5/matches/by-puuid/${puuid}/ids?start=0&count=${count}`;
-        return await makeRiotAPICall(url);
-    } catch (error) {
-        console.error('Error fetching match history:', error.message);
-        throw error;
-    }
-}
-
-async function fetchMatchDetails(matchId, region) {
-    try {
-        const cluster = getRegionalCluster(region);
-        const url = `${RIOT_BASE_URLS[cluster]}/lol/match/v5/matches/${matchId}`;
-        return await makeRiotAPICall(url);
-    } catch (error) {
-        console.error('Error fetching match details:', error.message);
-        throw error;
-    }
-}
-*/
-
-
-
 // Backup data fetching methods
 async function fetchFromDataDragon() {
     try {
@@ -381,126 +287,28 @@ async function fetchFromDataDragon() {
     }
 }
 
-// Helper function to handle URL encoding for special characters
-function encodeSpecialCharacters(str) {
-    // Handle special characters like Æ properly for URLs
-    return encodeURIComponent(str).replace(/[!'()*]/g, function(c) {
-        return '%' + c.charCodeAt(0).toString(16);
-    });
-}
-
 // OP.GG Web Scraping (Primary Source)
 async function scrapeOPGG(summonerName, tagLine, region, retryCount = 0) {
     const maxRetries = 3;
     
     try {
-        // OP.GG URL format: https://op.gg/lol/summoners/{region}/{summonerName-tagLine}
-        const fullName = `${summonerName}-${tagLine}`;
-        const encodedName = encodeSpecialCharacters(fullName);
-        const url = `https://op.gg/lol/summoners/${region}/${encodedName}`;
+        const url = buildOPGGUrl(summonerName, tagLine, region);
         
         console.log(`[OP.GG] Scraping: ${url}`);
         
         const response = await axios.get(url, {
             headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                'User-Agent': BROWSER_USER_AGENT
             },
             timeout: 10000
         });
 
-        const $ = cheerio.load(response.data);
-        
-        // Extract actual data from OP.GG
-        const summonerData = {
-            summoner: {
-                name: summonerName,
-                tagLine: tagLine,
-                region: region,
-                level: parseInt($('[class*="level"], [class*="summoner-level"]').first().text().trim()) || 0,
-            },
-            ranked: [],
-            matches: [],
-            insights: [],
-            opScore: 50,
-            sourceUrl: url,
-            statistics: {
-                winRate: 0,
-                avgKDA: 0,
-                avgCS: 0
-            }
-        };
-
-        // Extract rank information
-        $('[class*="tier-rank"], [class*="tier"], [class*="rank-tier"]').each((_, el) => {
-            const tierEl = $(el);
-            const rankText = tierEl.text().trim();
-            const rankMatch = rankText.match(/(Iron|Bronze|Silver|Gold|Platinum|Diamond|Master|Grandmaster|Challenger)\s*(I{1,4}|V?I{0,3})?/i);
-            
-            if (rankMatch) {
-                const [_, tier, division] = rankMatch;
-                const lpEl = tierEl.closest('[class*="wrapper"], [class*="container"]').find('[class*="lp"], [class*="league-points"]');
-                const lpText = lpEl.text().trim();
-                const lp = parseInt(lpText.match(/\d+/)?.[0]) || 0;
-
-                const statsEl = tierEl.closest('[class*="wrapper"], [class*="container"]');
-                const winsEl = statsEl.find('[class*="win"], [class*="wins"]');
-                const lossesEl = statsEl.find('[class*="loss"], [class*="losses"]');
-                
-                const wins = parseInt(winsEl.text().match(/\d+/)?.[0]) || 0;
-                const losses = parseInt(lossesEl.text().match(/\d+/)?.[0]) || 0;
-
-                summonerData.ranked.push({
-                    queue: 'RANKED_SOLO_5x5',
-                    tier: tier || 'Unranked',
-                    rank: division || '',
-                    leaguePoints: lp,
-                    wins: wins,
-                    losses: losses
-                });
-            }
-        });
-
-        // Extract match history
-        $('[class*="match-item"], [class*="game-item"], [class*="match-row"]').each((_, el) => {
-            const matchEl = $(el);
-            const isWin = matchEl.find('[class*="win"]').length > 0;
-            const kdaEl = matchEl.find('[class*="kda"], [class*="k-d-a"]');
-            const kdaText = kdaEl.text().trim();
-            const [kills, deaths, assists] = kdaText.split(/\s*[\/\-]\s*/).map(n => parseInt(n) || 0);
-            
-            const csEl = matchEl.find('[class*="cs-score"], [class*="minion-kills"], [class*="cs"]');
-            const csText = csEl.text().trim();
-            const csPerMin = parseFloat(csText.match(/(\d+\.?\d*)/)?.[1]) || 0;
-            
-            const championEl = matchEl.find('[class*="champion-name"], [class*="name"]');
-            
-            const match = {
-                champion_name: championEl.text().trim(),
-                win: isWin,
-                kills: kills,
-                deaths: deaths,
-                assists: assists,
-                cs_per_minute: csPerMin
-            };
-            summonerData.matches.push(match);
-        });
-
-        // Calculate statistics
-        if (summonerData.matches.length > 0) {
-            const totalMatches = summonerData.matches.length;
-            const wins = summonerData.matches.filter(m => m.win).length;
-            
-            summonerData.statistics = {
-                winRate: wins / totalMatches,
-                avgKDA: summonerData.matches.reduce((sum, m) => sum + (m.kills + m.assists) / Math.max(m.deaths, 1), 0) / totalMatches,
-                avgCS: summonerData.matches.reduce((sum, m) => sum + (m.cs_per_minute || 0), 0) / totalMatches
-            };
-        }
+        const summonerData = parseOPGG(response.data, { summonerName, tagLine, region, url });
 
         console.log('[OP.GG] Successfully scraped data for ' + summonerName + '#' + tagLine);
         return summonerData;
     } catch (error) {
-        logError(DATA_SOURCES.OPGG, 'SCRAPE_SUMMONER', error, { summonerName, tagLine, region, retryCount });
+        logError(SOURCE_IDS.OPGG, 'SCRAPE_SUMMONER', error, { summonerName, tagLine, region, retryCount });
         
         if (retryCount < maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
             console.log(`[OP.GG] Retrying... (${retryCount + 1}/${maxRetries})`);
@@ -517,17 +325,13 @@ async function scrapeMobalytics(summonerName, tagLine, region, retryCount = 0) {
     const maxRetries = 3;
     
     try {
-        // Mobalytics URL format: https://mobalytics.gg/lol/profile/{region}/{summonerName-tagLine}/
-        // Test with: https://mobalytics.gg/lol/profile/na/vr%C3%86l-vrael/
-        const fullName = `${summonerName}-${tagLine}`;
-        const encodedName = encodeSpecialCharacters(fullName.toLowerCase()); // Mobalytics uses lowercase
-        const url = `https://mobalytics.gg/lol/profile/${region}/${encodedName}/`;
+        const url = buildMobalyticsUrl(summonerName, tagLine, region);
         
         console.log(`[Mobalytics] Scraping: ${url}`);
         
         const response = await axios.get(url, {
             headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                'User-Agent': BROWSER_USER_AGENT,
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
                 'Accept-Language': 'en-US,en;q=0.9',
                 'Referer': 'https://mobalytics.gg/',
@@ -541,131 +345,13 @@ async function scrapeMobalytics(summonerName, tagLine, region, retryCount = 0) {
             throw new Error(`Summoner ${summonerName}#${tagLine} not found on Mobalytics`);
         }
         
-        const $ = cheerio.load(response.data);
-        
-        // Create summoner data structure
-        const summonerData = {
-            summoner: {
-                name: summonerName,
-                tagLine: tagLine,
-                region: region,
-                level: 0 // Mobalytics doesn't show summoner level prominently
-            },
-            ranked: [],
-            matches: [],
-            insights: [],
-            opScore: 50, // We'll calculate this based on available stats
-            sourceUrl: url,
-            statistics: {
-                winRate: 0,
-                avgKDA: 0,
-                avgCS: 0
-            }
-        };
-        
-        // Extract rank information from various possible locations
-        const rankElement = $('[data-testid="rank-tier"], [class*="rank-tier"], [class*="current-rank"]').first();
-        if (rankElement.length) {
-            const rankText = rankElement.text().trim();
-            const rankMatch = rankText.match(/(Iron|Bronze|Silver|Gold|Platinum|Diamond|Master|Grandmaster|Challenger)\s*(I{1,4}|V?I{0,3})?/i);
-            if (rankMatch) {
-                const [_, tier, division] = rankMatch;
-                const lpMatch = rankText.match(/(\d+)\s*LP/i);
-                const lp = lpMatch ? parseInt(lpMatch[1]) : 0;
-                
-                summonerData.ranked.push({
-                    queue: 'RANKED_SOLO_5x5',
-                    tier: tier,
-                    rank: division || '',
-                    leaguePoints: lp
-                });
-            }
-        }
-        
-        // Extract season stats
-        const statsEl = $('[class*="season-stats"], [class*="ranked-stats"]');
-        if (statsEl.length) {
-            const winsText = statsEl.find('[class*="wins"]').text().trim();
-            const lossesText = statsEl.find('[class*="losses"]').text().trim();
-            const wins = parseInt(winsText.match(/\d+/)?.[0]) || 0;
-            const losses = parseInt(lossesText.match(/\d+/)?.[0]) || 0;
-            
-            if (summonerData.ranked.length > 0) {
-                summonerData.ranked[0].wins = wins;
-                summonerData.ranked[0].losses = losses;
-            }
-        }
-        
-        // Extract match history
-        $('[class*="match-history-item"], [class*="match-row"]').each((_, el) => {
-            const matchEl = $(el);
-            const isWin = matchEl.find('[class*="victory"], [class*="win"]').length > 0;
-            
-            // Find KDA
-            const kdaEl = matchEl.find('[class*="kda-ratio"], [class*="kda"]');
-            const kdaText = kdaEl.text().trim();
-            const [kills, deaths, assists] = kdaText.split(/\s*[\/\-]\s*/).map(n => parseInt(n) || 0);
-            
-            // Find CS/min
-            const csEl = matchEl.find('[class*="creep-score"], [class*="cs"]');
-            const csText = csEl.text().trim();
-            const csPerMin = parseFloat(csText.match(/(\d+\.?\d*)/)?.[1]) || 0;
-            
-            // Find champion
-            const championEl = matchEl.find('[class*="champion-name"], [class*="champion"]');
-            
-            const championText = championEl.text().trim();
-            
-            summonerData.matches.push({
-                gameId: Date.now() + Math.random(), // Generate a unique ID
-                champion: championText,
-                win: isWin,
-                kills,
-                deaths,
-                assists,
-                cs: Math.round(csPerMin * 15), // Estimate total CS based on cs/min
-                duration: 900, // Default to 15 min games
-                gameMode: 'Classic',
-                gameType: 'MATCHED_GAME',
-                invalid: false,
-                ipEarned: 0,
-                mapId: 11,
-                spell1: 4, // Default Flash
-                spell2: 14, // Default Ignite
-                subType: 'RANKED_SOLO_5x5',
-                teamId: 100
-            });
-        });
-        
-        // Calculate average stats
-        if (summonerData.matches.length > 0) {
-            const totalKills = summonerData.matches.reduce((sum, m) => sum + m.kills, 0);
-            const totalDeaths = summonerData.matches.reduce((sum, m) => sum + m.deaths, 0);
-            const totalAssists = summonerData.matches.reduce((sum, m) => sum + m.assists, 0);
-            const totalCS = summonerData.matches.reduce((sum, m) => sum + m.cs, 0);
-            const wins = summonerData.matches.filter(m => m.win).length;
-            
-            summonerData.statistics.avgKDA = ((totalKills + totalAssists) / Math.max(totalDeaths, 1)).toFixed(2);
-            summonerData.statistics.avgCS = (totalCS / summonerData.matches.length).toFixed(1);
-            summonerData.statistics.winRate = Math.round((wins / summonerData.matches.length) * 100);
-            
-            // Generate insights based on stats
-            if (summonerData.statistics.avgKDA > 3) {
-                summonerData.insights.push('Good KDA ratio - keep it up!');
-            }
-            if (summonerData.statistics.avgCS < 5) {
-                summonerData.insights.push('Try to improve CS score');
-            }
-            if (summonerData.statistics.winRate > 55) {
-                summonerData.insights.push('Strong win rate - you\'re climbing!');
-            }
-        }
+        const summonerData = parseMobalytics(response.data, { summonerName, tagLine, region, url });
         
         console.log(`[Mobalytics] Successfully scraped data for ${summonerName}#${tagLine}`);
         return summonerData;
         
     } catch (error) {
-        logError(DATA_SOURCES.MOBALYTICS, 'SCRAPE_SUMMONER', error, { summonerName, tagLine, region, retryCount });
+        logError(SOURCE_IDS.MOBALYTICS, 'SCRAPE_SUMMONER', error, { summonerName, tagLine, region, retryCount });
         
         if (retryCount < maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
             console.log(`[Mobalytics] Retrying... (${retryCount + 1}/${maxRetries})`);
@@ -682,16 +368,13 @@ async function scrapeLeagueOfGraphs(summonerName, tagLine, region, retryCount =
     const maxRetries = 3;
     
     try {
-        // League of Graphs URL format: https://www.leagueofgraphs.com/summoner/{region}/{summonerName-tagLine}
-        const fullName = `${summonerName}-${tagLine}`;
-        const encodedName = encodeSpecialCharacters(fullName);
-        const url = `https://www.leagueofgraphs.com/summoner/${region}/${encodedName}`;
+        const url = buildLeagueOfGraphsUrl(summonerName, tagLine, region);
         
         console.log(`[League of Graphs] Scraping: ${url}`);
         
         const response = await axios.get(url, {
             headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                'User-Agent': BROWSER_USER_AGENT,
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
                 'Accept-Language': 'en-US,en;q=0.5',
                 'Accept-Encoding': 'gzip, deflate, br',
@@ -705,86 +388,13 @@ async function scrapeLeagueOfGraphs(summonerName, tagLine, region, retryCount =
             throw new Error(`Summoner ${summonerName}#${tagLine} not found on League of Graphs`);
         }
         
-        const $ = cheerio.load(response.data);
-        
-        // Extract summoner level
-        const levelElement = $('.summonerLevel, [class*="level"]').first();
-        const level = parseInt(levelElement.text().replace(/\D/g, '')) || 0;
-        
-        // Extract rank information
-        const rankElement = $('.leagueTier, .rank, [class*="tier"]').first();
-        const rankText = rankElement.text().trim() || 'Unranked';
-        
-        // Extract LP
-        const lpElement = $('.leaguePoints, [class*="lp"], [class*="points"]').first();
-        const lp = parseInt(lpElement.text().replace(/\D/g, '')) || 0;
-        
-        // Extract win/loss stats
-        const winsElement = $('.wins, [class*="win"]:not([class*="rate"])').first();
-        const lossesElement = $('.losses, [class*="loss"]').first();
-        const wins = parseInt(winsElement.text().replace(/\D/g, '')) || 0;
-        const losses = parseInt(lossesElement.text().replace(/\D/g, '')) || 0;
-        const totalGames = wins + losses;
-        const winRate = totalGames > 0 ? (wins / totalGames * 100) : 0;
-        
-        // Extract average KDA
-        const kdaElement = $('.kda, [class*="kda"]').first();
-        const kdaText = kdaElement.text().trim() || '0/0/0';
-        
-        // Extract recent matches
-        const recentMatches = [];
-        $('.match, [class*="match"], .game').each((i, element) => {
-            if (i >= 8) return false; // Limit to 8 matches from LoG
-            
-            const match = $(element);
-            const championName = match.find('.champion, [class*="champion"]').text().trim();
-            const matchResult = match.find('.result, [class*="result"]').text().trim();
-            const matchKda = match.find('.kda, [class*="kda"]').text().trim();
-            
-            if (championName) {
-                recentMatches.push({
-                    championName: championName,
-                    kda: matchKda,
-                    win: matchResult.toLowerCase().includes('victory') || 
-                         matchResult.toLowerCase().includes('win') ||
-                         match.hasClass('victory') || match.hasClass('win')
-                });
-            }
-        });
-        
-        const scrapedData = {
-            source: DATA_SOURCES.LEAGUE_OF_GRAPHS,
-            summoner: {
-                name: summonerName,
-                tagLine: tagLine,
-                level: level,
-                region: region
-            },
-            ranked: rankText !== 'Unranked' ? [{
-                queueType: 'RANKED_SOLO_5x5',
-                tier: rankText.split(' ')[0] || 'UNRANKED',
-                rank: rankText.split(' ')[1] || '',
-                leaguePoints: lp,
-                wins: wins,
-                losses: losses
-            }] : [],
-            matches: recentMatches,
-            statistics: {
-                totalGames: totalGames,
-                winRate: winRate / 100,
-                avgKDA: 0, // Will calculate from kdaText if needed
-                avgCS: 0   // Not typically available from LoG basic view
-            },
-            leagueOfGraphsSpecific: {
-                kdaText: kdaText
-            }
-        };
+        const scrapedData = parseLeagueOfGraphs(response.data, { summonerName, tagLine, region, url });
         
         console.log(`[League of Graphs] Successfully scraped data for ${summonerName}#${tagLine}`);
         return scrapedData;
         
     } catch (error) {
-        logError(DATA_SOURCES.LEAGUE_OF_GRAPHS, 'SCRAPE_SUMMONER', error, { summonerName, tagLine, region, retryCount });
+        logError(SOURCE_IDS.LEAGUE_OF_GRAPHS, 'SCRAPE_SUMMONER', error, { summonerName, tagLine, region, retryCount });
         
         if (retryCount < maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
             console.log(`[League of Graphs] Retrying... (${retryCount + 1}/${maxRetries})`);
@@ -796,137 +406,49 @@ async function scrapeLeagueOfGraphs(summonerName, tagLine, region, retryCount =
     }
 }
 
-// Data processing and insight generation
-function calculateOPScore(matchData, rankedData) {
-    let opScore = 50; // Base score
-
-    if (rankedData && rankedData.length > 0) {
-        const soloQueue = rankedData.find(queue => queue.queueType === 'RANKED_SOLO_5x5');
-        if (soloQueue) {
-            const winRate = soloQueue.wins / (soloQueue.wins + soloQueue.losses);
-            opScore += winRate * 30; // Win rate contributes up to 30 points
-            
-            // Rank bonus
-            const rankBonus = {
-                'CHALLENGER': 25, 'GRANDMASTER': 23, 'MASTER': 20,
-                'DIAMOND': 15, 'PLATINUM': 10, 'GOLD': 5, 'SILVER': 2, 'BRONZE': 0, 'IRON': -5
-            };
-            opScore += rankBonus[soloQueue.tier] || 0;
-        }
+// Riot ID + region behind a PUUID: the stored record (following merges), otherwise
+// account-v1 when a Riot API key is set and the caller gave a region. Resolves null when
+// neither knows the player.
+async function findRiotIdByPuuid(puuid, region) {
+    const canonical = await resolveAlias(db, puuid);
+    const stored = await dbGet(db, 'SELECT summoner_name, tag_line, region FROM summoners WHERE puuid = ?', [canonical]);
+    if (stored) {
+        return { summonerName: stored.summoner_name, tagLine: stored.tag_line, region: stored.region };
     }
+    if (!riotClient || !region) return null;
 
-    if (matchData && matchData.length > 0) {
-        const recentMatches = matchData.slice(0, 10);
-        const avgKDA = recentMatches.reduce((sum, match) => {
-            return sum + ((match.kills + match.assists) / Math.max(match.deaths, 1));
-        }, 0) / recentMatches.length;
-        
-        opScore += Math.min(avgKDA * 8, 25); // KDA contributes up to 25 points
-
-        const avgCS = recentMatches.reduce((sum, match) => sum + (match.cs_per_minute || 0), 0) / recentMatches.length;
-        opScore += Math.min(avgCS * 2, 15); // CS contributes up to 15 points
+    try {
+        const account = await riotClient.fetchAccountByPUUID(puuid, region);
+        return { summonerName: account.gameName, tagLine: account.tagLine, region };
+    } catch (error) {
+        const status = error.response?.status;
+        if (status === 400 || status === 404) return null;
+        throw error;
     }
-
-    return Math.min(Math.max(Math.round(opScore), 0), 100);
 }
 
-function generateInsights(summonerData, matchData, rankedData) {
-    const insights = [];
-
-    if (!matchData || matchData.length === 0) {
-        insights.push({
-            type: 'general',
-            title: '📊 No Recent Match Data',
-            description: 'Play some ranked games to get personalized insights and coaching tips.',
-            priority: 1
-        });
-        return insights;
-    }
-
-    const recentMatches = matchData.slice(0, 20);
-    const winRate = recentMatches.filter(match => match.win).length / recentMatches.length;
-    const avgKDA = recentMatches.reduce((sum, match) => {
-        return sum + ((match.kills + match.assists) / Math.max(match.deaths, 1));
-    }, 0) / recentMatches.length;
-    const avgCS = recentMatches.reduce((sum, match) => sum + (match.cs_per_minute || 0), 0) / recentMatches.length;
-
-    // Win rate insights
-    if (winRate < 0.4) {
-        insights.push({
-            type: 'performance',
-            title: '📈 Focus on Consistency',
-            description: 'Your recent win rate is below 40%. Focus on playing safer, minimizing deaths, and improving map awareness.',
-            priority: 1
-        });
-    } else if (winRate > 0.7) {
-        insights.push({
-            type: 'performance',
-            title: '🔥 Great Win Streak!',
-            description: 'You\'re performing excellently! Keep up the current playstyle and consider climbing to higher ranks.',
-            priority: 1
-        });
-    }
-
-    // KDA insights
-    if (avgKDA < 1.5) {
-        insights.push({
-            type: 'gameplay',
-            title: '⚔️ Improve Your KDA',
-            description: 'Focus on playing safer and positioning better in team fights. Avoid unnecessary risks.',
-            priority: 2
-        });
-    } else if (avgKDA > 4.0) {
-        insights.push({
-            type: 'gameplay',
-            title: '💪 Excellent KDA',
-            description: 'Your KDA is impressive! You have good positioning and decision-making skills.',
-            priority: 3
-        });
-    }
-
-    // CS insights
-    if (avgCS < 5) {
-        insights.push({
-            type: 'farming',
-            title: '🎯 Improve Your Farming',
-            description: 'Your CS/min is below average. Practice last-hitting in training mode and focus on wave management.',
-            priority: 1
-        });
-    } else if (avgCS > 7) {
-        insights.push({
-            type: 'farming',
-            title: '🌾 Excellent Farming',
-            description: 'Your CS numbers are great! You have solid farming fundamentals.',
-            priority: 3
-        });
-    }
-
-    // Champion diversity insight
-    const championCounts = {};
-    recentMatches.forEach(match => {
-        championCounts[match.champion_name] = (championCounts[match.champion_name] || 0) + 1;
-    });
-
-    const uniqueChampions = Object.keys(championCounts).length;
-    if (uniqueChampions < 16) {
-        insights.push({
-            type: 'champion',
-            title: '🎭 Expand Your Champion Pool',
-            description: 'You are playing very few champions. Learning 2-3 more champions can improve your adaptability.',
-            priority: 2
-        });
-    }
+// Data processing and insight generation
 
-    return insights;
+// Coaching insights for a lookup, from the rules in config/insightRules.json
+function generateInsights(data, sources) {
+    return evaluateRules(INSIGHT_RULES, buildInsightStats(data, BENCHMARKS, sources));
 }
 
 // Database helper functions
 function saveSummonerData(summonerData, accountData) {
-    return new Promise((resolve, reject) => {
+    return withLock(db, () => new Promise((resolve, reject) => {
         const stmt = db.prepare(`
-            INSERT OR REPLACE INTO summoners 
-            (puuid, summoner_name, tag_line, summoner_level, profile_icon_id, region, last_updated)
-            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            INSERT INTO summoners 
+            (puuid, summoner_name, tag_line, summoner_level, profile_icon_id, region, riot_id_key, last_updated)
+            VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (puuid) DO UPDATE SET
+                summoner_name = excluded.summoner_name,
+                tag_line = excluded.tag_line,
+                riot_id_key = excluded.riot_id_key,
+                summoner_level = excluded.summoner_level,
+                profile_icon_id = excluded.profile_icon_id,
+                region = excluded.region,
+                last_updated = excluded.last_updated
         `);
         
         stmt.run([
@@ -935,7 +457,8 @@ function saveSummonerData(summonerData, accountData) {
             accountData.tagLine,
             summonerData.summonerLevel,
             summonerData.profileIconId,
-            summonerData.region
+            summonerData.region,
+            riotIdKey(accountData.gameName, accountData.tagLine, summonerData.region)
         ], function(err) {
             if (err) {
                 reject(err);
@@ -945,58 +468,75 @@ function saveSummonerData(summonerData, accountData) {
         });
         
         stmt.finalize();
-    });
+    }));
 }
 
+// Ranked stats are kept as history: a queue gets a new snapshot row only when its tier,
+// division, LP or record changed; otherwise the latest snapshot's last_seen_at is bumped.
+// Resolves the number of snapshots added.
 function saveRankedStats(puuid, rankedData) {
-    return new Promise((resolve, reject) => {
-        // Clear existing ranked stats for this summoner
-        db.run('DELETE FROM ranked_stats WHERE summoner_puuid = ?', [puuid], (err) => {
+    return withLock(db, () => new Promise((resolve, reject) => {
+        if (!rankedData || rankedData.length === 0) {
+            resolve(0);
+            return;
+        }
+
+        db.all(`
+            SELECT * FROM ranked_stats WHERE id IN (
+                SELECT MAX(id) FROM ranked_stats WHERE summoner_puuid = ? GROUP BY queue_type
+            )
+        `, [puuid], (err, latestRows) => {
             if (err) {
                 reject(err);
                 return;
             }
 
-            if (!rankedData || rankedData.length === 0) {
-                resolve();
-                return;
-            }
-
-            const stmt = db.prepare(`
-                INSERT INTO ranked_stats 
-                (summoner_puuid, queue_type, tier, rank_division, league_points, wins, losses, hot_streak, veteran, fresh_blood, inactive)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-
-            rankedData.forEach(queue => {
-                stmt.run([
-                    puuid,
-                    queue.queueType,
-                    queue.tier,
-                    queue.rank,
-                    queue.leaguePoints,
-                    queue.wins,
-                    queue.losses,
-                    queue.hotStreak,
-                    queue.veteran,
-                    queue.freshBlood,
-                    queue.inactive
-                ]);
-            });
+            db.serialize(() => {
+                const insertStmt = db.prepare(`
+                    INSERT INTO ranked_stats 
+                    (summoner_puuid, queue_type, tier, rank_division, league_points, wins, losses, hot_streak, veteran, fresh_blood, inactive, last_updated, last_seen_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                `);
+                const touchStmt = db.prepare('UPDATE ranked_stats SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?');
+
+                let added = 0;
+                rankedData.forEach(queue => {
+                    const latest = latestRows.find(row => row.queue_type === queue.queueType);
+                    if (latest && isSameRankedSnapshot(latest, queue)) {
+                        touchStmt.run([latest.id]);
+                        return;
+                    }
+                    insertStmt.run([
+                        puuid,
+                        queue.queueType,
+                        queue.tier,
+                        queue.rank,
+                        queue.leaguePoints,
+                        queue.wins,
+                        queue.losses,
+                        queue.hotStreak,
+                        queue.veteran,
+                        queue.freshBlood,
+                        queue.inactive
+                    ]);
+                    added++;
+                });
 
-            stmt.finalize((err) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
+                touchStmt.finalize();
+                insertStmt.finalize((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(added);
+                    }
+                });
             });
         });
-    });
+    }));
 }
 
 function saveMatchData(matchId, puuid, matchDetails) {
-    return new Promise((resolve, reject) => {
+    return withLock(db, () => new Promise((resolve, reject) => {
         // Save match info
         const matchStmt = db.prepare(`
             INSERT OR REPLACE INTO matches 
@@ -1042,8 +582,8 @@ function saveMatchData(matchId, puuid, matchDetails) {
                 (match_id, summoner_puuid, champion_id, champion_name, team_id, win, kills, deaths, assists, 
                  gold_earned, total_minions_killed, vision_score, damage_dealt, damage_taken, kda_ratio, 
                  cs_per_minute, kill_participation, first_blood, first_tower, double_kills, triple_kills, 
-                 quadra_kills, penta_kills, largest_killing_spree)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 quadra_kills, penta_kills, largest_killing_spree, role)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
 
             participantStmt.run([
@@ -1053,7 +593,7 @@ function saveMatchData(matchId, puuid, matchDetails) {
                 participant.totalDamageDealtToChampions, participant.totalDamageTaken, kda,
                 csPerMin, killParticipation, participant.firstBloodKill, participant.firstTowerKill,
                 participant.doubleKills, participant.tripleKills, participant.quadraKills,
-                participant.pentaKills, participant.largestKillingSpree
+                participant.pentaKills, participant.largestKillingSpree, normalizeRole(participant.teamPosition)
             ], function(err) {
                 if (err) {
                     reject(err);
@@ -1066,11 +606,55 @@ function saveMatchData(matchId, puuid, matchDetails) {
         });
 
         matchStmt.finalize();
-    });
+    }));
+}
+
+// Save scraped matches (any source) into matches/match_participants; returns the number saved
+function saveScrapedMatches(puuid, matches, region) {
+    const normalizedMatches = normalizeScrapedMatches(matches, region);
+
+    return withLock(db, () => new Promise((resolve, reject) => {
+        if (normalizedMatches.length === 0) {
+            resolve(0);
+            return;
+        }
+
+        db.serialize(() => {
+            // OR IGNORE: a match already stored from the Riot API keeps its full row
+            const matchStmt = db.prepare(`
+                INSERT OR IGNORE INTO matches 
+                (match_id, summoner_puuid, game_creation, game_duration, queue_id, last_updated)
+                VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `);
+            const participantStmt = db.prepare(`
+                INSERT OR IGNORE INTO match_participants 
+                (match_id, summoner_puuid, champion_name, role, win, kills, deaths, assists, 
+                 total_minions_killed, kda_ratio, cs_per_minute)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            normalizedMatches.forEach(match => {
+                matchStmt.run([match.matchId, puuid, match.gameCreation, match.gameDuration, match.queueId]);
+                participantStmt.run([
+                    match.matchId, puuid, match.championName, match.role, match.win, match.kills, match.deaths,
+                    match.assists, match.totalMinionsKilled, match.kdaRatio, match.csPerMinute
+                ]);
+            });
+
+            matchStmt.finalize();
+            participantStmt.finalize((err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(normalizedMatches.length);
+                }
+            });
+        });
+    }));
 }
 
 function saveInsights(puuid, insights) {
-    return new Promise((resolve, reject) => {
+    return withLock(db, () => new Promise((resolve, reject) => {
         // Clear existing insights
         db.run('DELETE FROM insights WHERE summoner_puuid = ?', [puuid], (err) => {
             if (err) {
@@ -1100,190 +684,378 @@ function saveInsights(puuid, insights) {
                 }
             });
         });
-    });
+    }));
 }
 
-// API Routes
-app.post('/api/summoner', async (req, res) => {
-    try {
-        const { summonerName, tagLine, region } = req.body;
-        if (!summonerName || !tagLine || !region) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Summoner name, tag line, and region are required'
-            });
+// Look up a summoner across the data sources and build the response.
+// Resolves { status, body } so the route can cache successful lookups.
+async function lookupSummoner(summonerName, tagLine, region, providers, mode) {
+    console.log(`Fetching data for ${summonerName}#${tagLine} on ${region}`);
+    console.log(`Using data sources with priority order: ${providers.map(provider => provider.label).join(' → ')} (${mode} mode)`);
+        
+    let scrapedData = null;
+    let successfulSource = null;
+    let mergeDetails = null;
+    const failedSources = [];
+    const qualityScores = {};
+    const validationIssues = {};
+
+    // Merge mode: query every player-data source at once and fill gaps field by field
+    if (mode === 'merge') {
+        const playerProviders = providers.filter(provider => !provider.staticOnly);
+        console.log(`\n=== Querying ${playerProviders.map(provider => provider.label).join(', ')} for merge ===`);
+
+        const outcomes = await Promise.allSettled(
+            playerProviders.map(provider => fetchProviderData(provider, summonerName, tagLine, region))
+        );
+        const results = [];
+        outcomes.forEach((outcome, index) => {
+            const provider = playerProviders[index];
+            if (outcome.status === 'fulfilled') {
+                console.log(`✅ ${provider.label} data retrieval successful (quality ${outcome.value.quality.score})`);
+                qualityScores[provider.id] = outcome.value.quality.score;
+                validationIssues[provider.id] = outcome.value.issues;
+                results.push({ source: provider.id, data: outcome.value.data });
+            } else {
+                console.log(`❌ ${provider.label} failed:`, outcome.reason.message);
+                if (outcome.reason.quality) qualityScores[provider.id] = outcome.reason.quality.score;
+                failedSources.push(provider.id);
+            }
+        });
+
+        if (results.length > 0) {
+            mergeDetails = mergeSourceResults(results);
+            scrapedData = mergeDetails.data;
+            successfulSource = results[0].source;
         }
+    }
+
+    // Cascade mode, or the static fallback after a failed merge
+    for (const provider of providers) {
+        if (scrapedData) break;
+        if (failedSources.includes(provider.id)) continue;
 
-        console.log(`Fetching data for ${summonerName}#${tagLine} on ${region}`);
-        console.log('Using web scraping data sources with priority order: OP.GG → Mobalytics → League of Graphs');
-            
-        let scrapedData = null;
-        let successfulSource = null;
-        const failedSources = [];
-            
-        // Priority 1: Try OP.GG (Primary Source)
         try {
-            console.log('\n=== Trying OP.GG (Primary Source) ===');
-            scrapedData = await scrapeOPGG(summonerName, tagLine, region);
-            successfulSource = DATA_SOURCES.OPGG;
-            console.log('✅ OP.GG data retrieval successful');
-        } catch (opggError) {
-            console.log('❌ OP.GG failed:', opggError.message);
-            failedSources.push(DATA_SOURCES.OPGG);
-            
-            // Priority 2: Try Mobalytics (Secondary Source)
-            try {
-                console.log('\n=== Trying Mobalytics (Secondary Source) ===');
-                scrapedData = await scrapeMobalytics(summonerName, tagLine, region);
-                successfulSource = DATA_SOURCES.MOBALYTICS;
-                console.log('✅ Mobalytics data retrieval successful');
-            } catch (mobalyticsError) {
-                console.log('❌ Mobalytics failed:', mobalyticsError.message);
-                failedSources.push(DATA_SOURCES.MOBALYTICS);
-                
-                // Priority 3: Try League of Graphs (Tertiary Source)
-                try {
-                    console.log('\n=== Trying League of Graphs (Tertiary Source) ===');
-                    scrapedData = await scrapeLeagueOfGraphs(summonerName, tagLine, region);
-                    successfulSource = DATA_SOURCES.LEAGUE_OF_GRAPHS;
-                    console.log('✅ League of Graphs data retrieval successful');
-                } catch (logError) {
-                    console.log('❌ League of Graphs failed:', logError.message);
-                    failedSources.push(DATA_SOURCES.LEAGUE_OF_GRAPHS);
-                    
-                    // Optional: Try Data Dragon for static data as last resort (Development purposes)
-                    try {
-                        console.log('\n=== Trying Data Dragon (Static Data) ===');
-                        const dragonData = await fetchFromDataDragon();
-                        console.log('⚠️  Data Dragon fallback successful (limited static data only)');
-                        
-                        // Return minimal data with error message
-                        logDataSourceFallback(summonerName, tagLine, region, DATA_SOURCES.DATA_DRAGON, failedSources);
-                        return res.json({
-                            error: 'Limited static data only',
-                            summoner: { name: summonerName, tagLine: tagLine, level: 0, region: region },
-                            ranked: [],
-                            matches: [],
-                            insights: [{
-                                type: 'error',
-                                title: '⚠️ Limited Static Data Only',
-                                description: 'Only static game data is available. Player-specific data could not be retrieved.',
-                                priority: 1
-                            }],
-                            opScore: 0,
-                            statistics: { winRate: 0, avgKDA: 0, avgCS: 0, totalGames: 0 },
-                            dataSource: DATA_SOURCES.DATA_DRAGON,
-                            staticData: {
-                                champions: dragonData.champions?.data || {},
-                                items: dragonData.items?.data || {}
-                            }
-                        });
-                    } catch (dragonError) {
-                        console.log('❌ All data sources failed, including Data Dragon');
-                        logError('ALL_SOURCES', 'COMPLETE_FAILURE', new Error('All data sources failed'), {
-                            summonerName, tagLine, region, failedSources
-                        });
-                        
-                        return res.status(503).json({
-                            error: 'All data sources unavailable',
-                            details: 'Unable to retrieve data from any source. Please try again later.',
-                            failedSources: failedSources,
-                            summoner: { name: summonerName, tagLine: tagLine }
-                        });
+            console.log(`\n=== Trying ${provider.label} ===`);
+            const { data, quality, issues } = await fetchProviderData(provider, summonerName, tagLine, region);
+
+            if (provider.staticOnly) {
+                console.log(`⚠️  ${provider.label} fallback successful (limited static data only)`);
+
+                // Return minimal data with error message
+                logDataSourceFallback(summonerName, tagLine, region, provider.id, failedSources, null, qualityScores);
+                return {
+                    status: 200,
+                    body: {
+                        error: 'Limited static data only',
+                        summoner: { name: summonerName, tagLine: tagLine, level: 0, region: region },
+                        ranked: [],
+                        matches: [],
+                        insights: [{
+                            type: 'error',
+                            title: '⚠️ Limited Static Data Only',
+                            description: 'Only static game data is available. Player-specific data could not be retrieved.',
+                            priority: 1
+                        }],
+                        opScore: 0,
+                        statistics: { winRate: 0, avgKDA: 0, avgCS: 0, totalGames: 0 },
+                        dataSource: provider.id,
+                        failedSources: failedSources,
+                        staticData: {
+                            champions: data.champions?.data || {},
+                            items: data.items?.data || {}
+                        }
                     }
-                }
+                };
             }
+
+            scrapedData = data;
+            successfulSource = provider.id;
+            qualityScores[provider.id] = quality.score;
+            validationIssues[provider.id] = issues;
+            console.log(`✅ ${provider.label} data retrieval successful (quality ${quality.score})`);
+            break;
+        } catch (providerError) {
+            console.log(`❌ ${provider.label} failed:`, providerError.message);
+            if (providerError.quality) qualityScores[provider.id] = providerError.quality.score;
+            failedSources.push(provider.id);
         }
-            
-        // If we successfully got data from any scraping source, process it
-        if (scrapedData && successfulSource) {
-            console.log(`\n✅ Successfully retrieved data from ${successfulSource.toUpperCase()}`);
-            logDataSourceFallback(summonerName, tagLine, region, successfulSource, failedSources);
-            
-            // Generate insights based on scraped data
-            const scrapedInsights = [
-                {
-                    type: 'data_source',
-                    title: `🌐 Using ${successfulSource.charAt(0).toUpperCase() + successfulSource.slice(1).replace('_', ' ')}`,
-                    description: 'Data is retrieved from public sources. Some advanced features may be limited.',
-                    priority: 3
-                }
-            ];
-            
-            // Add insights based on available data
-            if (scrapedData.statistics.winRate > 0) {
-                if (scrapedData.statistics.winRate > 0.6) {
-                    scrapedInsights.push({
-                        type: 'performance',
-                        title: '🔥 Strong Performance',
-                        description: `Your win rate of ${(scrapedData.statistics.winRate * 100).toFixed(1)}% shows strong performance. Keep up the good work!`,
-                        priority: 1
-                    });
-                } else if (scrapedData.statistics.winRate < 0.4) {
-                    scrapedInsights.push({
-                        type: 'performance',
-                        title: '📈 Room for Improvement',
-                        description: `Your current win rate is ${(scrapedData.statistics.winRate * 100).toFixed(1)}%. Focus on consistency and game fundamentals.`,
-                        priority: 1
-                    });
-                }
+    }
+
+    if (!scrapedData) {
+        console.log('❌ All data sources failed');
+        logError('ALL_SOURCES', 'COMPLETE_FAILURE', new Error('All data sources failed'), {
+            summonerName, tagLine, region, failedSources
+        });
+    }
+        
+    // If we successfully got data from any scraping source, process it
+    if (scrapedData && successfulSource) {
+        const usedSources = mergeDetails ? mergeDetails.sources : [successfulSource];
+        const dataQuality = { ...scoreDataQuality(scrapedData), sources: qualityScores };
+        console.log(`\n✅ Successfully retrieved data from ${usedSources.map(id => id.toUpperCase()).join(' + ')} (quality ${dataQuality.score})`);
+        logDataSourceFallback(summonerName, tagLine, region, usedSources.join(','), failedSources, dataQuality.score, qualityScores);
+        
+        // Same rules for every provider
+        const insights = generateInsights(scrapedData, {
+            label: usedSources.map(id => DATA_SOURCES.get(id).label).join(' + '),
+            official: usedSources.every(id => id === SOURCE_IDS.RIOT_API)
+        });
+        
+        // OP Score with the points behind it, for the dashboard's breakdown
+        const opScore = calculateOPScore(scrapedData.matches, scrapedData.ranked);
+        
+        // One record per player: the real PUUID when a provider exposed it, otherwise the
+        // record already stored for this Riot ID (pseudo duplicates get merged into it)
+        let playerPuuid = scrapedData.summoner.puuid || pseudoPuuid(summonerName, tagLine, region);
+        try {
+            const identity = await resolvePlayer(db, { puuid: scrapedData.summoner.puuid, gameName: summonerName, tagLine, region });
+            playerPuuid = identity.puuid;
+            if (identity.merged.length > 0) {
+                console.log(`🔗 Merged ${identity.merged.length} duplicate record(s) into ${playerPuuid}`);
             }
-            
-            // Calculate OP Score from scraped data
-            const scrapedOpScore = calculateOPScore(scrapedData.matches || [], scrapedData.ranked || []);
-            
-            // Create normalized response
-            const normalizedResponse = {
-                summoner: {
-                    name: scrapedData.summoner.name,
-                    tagLine: scrapedData.summoner.tagLine,
-                    level: scrapedData.summoner.level || 0,
-                    profileIconId: 0,
-                    puuid: `${successfulSource}_${summonerName}_${tagLine}_${region}`.replace(/[^a-zA-Z0-9_]/g, '_'),
-                    region: scrapedData.summoner.region
-                },
-                ranked: scrapedData.ranked || [],
-                matches: scrapedData.matches || [],
-                insights: scrapedInsights,
-                opScore: scrapedOpScore,
-                statistics: scrapedData.statistics,
-                dataSource: successfulSource,
-                failedSources: failedSources
+        } catch (identityError) {
+            console.log('⚠️  Failed to resolve player identity:', identityError.message);
+        }
+        
+        // Create normalized response
+        const normalizedResponse = {
+            summoner: {
+                name: scrapedData.summoner.name,
+                tagLine: scrapedData.summoner.tagLine,
+                level: scrapedData.summoner.level || 0,
+                profileIconId: scrapedData.summoner.profileIconId || 0,
+                // Real PUUID when any provider exposed it, otherwise a pseudo-PUUID for tracking
+                puuid: playerPuuid,
+                region: scrapedData.summoner.region
+            },
+            ranked: scrapedData.ranked || [],
+            matches: scrapedData.matches || [],
+            insights: insights,
+            opScore: opScore.score,
+            opScoreBreakdown: opScore,
+            statistics: scrapedData.statistics,
+            roles: summarizeByRole(scrapedData.matches),
+            dataSource: successfulSource,
+            failedSources: failedSources,
+            dataQuality: dataQuality,
+            validationIssues: validationIssues
+        };
+        if (mergeDetails) {
+            normalizedResponse.dataSources = mergeDetails.sources;
+            normalizedResponse.provenance = mergeDetails.provenance;
+            normalizedResponse.conflicts = mergeDetails.conflicts;
+        }
+        
+        // Save data to database with pseudo-PUUID for tracking
+        try {
+            const pseudoAccountData = {
+                puuid: normalizedResponse.summoner.puuid,
+                gameName: summonerName,
+                tagLine: tagLine
+            };
+            const pseudoSummonerData = {
+                summonerLevel: normalizedResponse.summoner.level,
+                profileIconId: normalizedResponse.summoner.profileIconId,
+                region: region
             };
             
-            // Save data to database with pseudo-PUUID for tracking
-            try {
-                const pseudoAccountData = {
-                    puuid: normalizedResponse.summoner.puuid,
-                    gameName: summonerName,
-                    tagLine: tagLine
-                };
-                const pseudoSummonerData = {
-                    summonerLevel: normalizedResponse.summoner.level,
-                    profileIconId: 0,
-                    region: region
-                };
-                
-                await saveSummonerData(pseudoSummonerData, pseudoAccountData);
-                await saveRankedStats(pseudoAccountData.puuid, normalizedResponse.ranked);
-                await saveInsights(pseudoAccountData.puuid, scrapedInsights);
-                
-                console.log('📝 Scraped data saved to database');
-            } catch (saveError) {
-                console.log('⚠️  Failed to save scraped data to database:', saveError.message);
-                // Continue anyway, data saving is not critical for response
-            }
+            await saveSummonerData(pseudoSummonerData, pseudoAccountData);
+            await withLock(db, () => recordName(db, pseudoAccountData.puuid, summonerName, tagLine, region));
+            await saveRankedStats(pseudoAccountData.puuid, normalizedResponse.ranked);
+            // Providers like the Riot API store full match rows themselves
+            const matchSource = mergeDetails ? mergeDetails.provenance.matches : successfulSource;
+            const savedMatches = DATA_SOURCES.get(matchSource)?.savesMatches
+                ? 0
+                : await saveScrapedMatches(pseudoAccountData.puuid, normalizedResponse.matches, region);
+            await saveInsights(pseudoAccountData.puuid, insights);
             
-            return res.json(normalizedResponse);
+            console.log(`📝 Scraped data saved to database (${savedMatches} matches)`);
+        } catch (saveError) {
+            console.log('⚠️  Failed to save scraped data to database:', saveError.message);
+            // Continue anyway, data saving is not critical for response
         }
         
-        return res.status(503).json({
+        return { status: 200, body: normalizedResponse };
+    }
+    
+    return {
+        status: 503,
+        body: {
             error: 'All data sources unavailable',
             details: 'Unable to retrieve data from any source. Please try again later.',
             failedSources: failedSources,
+            qualityScores: qualityScores,
             summoner: { name: summonerName, tagLine: tagLine }
-        });
+        }
+    };
+}
+
+// Cached per Riot ID and source selection, so a restricted lookup never answers a general one
+function summonerCacheKey(summonerName, tagLine, region, mode, providers) {
+    return ResponseCache.key(summonerName, tagLine, region, `${mode}|${providers.map(provider => provider.id).join(',')}`);
+}
+
+// Background jobs share per-source concurrency limits so they never hammer one site
+function limitProviders(providers) {
+    return providers.map(provider => ({
+        ...provider,
+        fetch: (...args) => SOURCE_CONCURRENCY.run(provider.id, () => provider.fetch(...args))
+    }));
+}
+
+// Refresh job handler: a full lookup with the default sources and, unless the job names one,
+// the default mode, so it refreshes the cache entry a lookup without options (the UI) reads
+async function runRefreshJob(job) {
+    const providers = DATA_SOURCES.resolve();
+    const mode = job.mode || DEFAULT_SOURCE_MODE;
+    const result = await lookupSummoner(job.summonerName, job.tagLine, job.region, limitProviders(providers), mode);
+    if (result.status !== 200 || result.body.staticData) {
+        throw new Error(result.body.details || result.body.error || `Lookup failed with status ${result.status}`);
+    }
+
+    SUMMONER_CACHE.set(summonerCacheKey(job.summonerName, job.tagLine, job.region, mode, providers), result);
+    return {
+        dataSource: result.body.dataSource,
+        dataQuality: result.body.dataQuality.score,
+        failedSources: result.body.failedSources
+    };
+}
+
+// Queue a refresh for every summoner (or watched summoner) not updated within the interval
+function scheduleSummonerRefreshes() {
+    const minutes = Math.round(REFRESH_INTERVAL_MS / 60000);
+    db.all(`
+        SELECT summoner_name, tag_line, region FROM summoners
+        WHERE last_updated < datetime('now', ?) ${REFRESH_SCOPE === 'watched' ? 'AND watched = 1' : ''}
+        GROUP BY lower(summoner_name), lower(tag_line), lower(region)
+    `, [`-${minutes} minutes`], async (err, rows) => {
+        if (err) {
+            console.error('Failed to schedule summoner refreshes:', err.message);
+            return;
+        }
+        let queued = 0;
+        for (const row of rows) {
+            try {
+                const { created } = await JOB_QUEUE.enqueue({
+                    summonerName: row.summoner_name,
+                    tagLine: row.tag_line,
+                    region: row.region,
+                    trigger: 'schedule'
+                });
+                if (created) queued++;
+            } catch (enqueueError) {
+                console.error('Failed to queue refresh job:', enqueueError.message);
+            }
+        }
+        if (queued > 0) console.log(`🔄 Queued ${queued} scheduled summoner refresh(es)`);
+    });
+}
+
+function startBackgroundJobs() {
+    JOB_QUEUE.recoverInterrupted()
+        .then(recovered => {
+            if (recovered > 0) console.log(`🔄 Re-queued ${recovered} interrupted refresh job(s)`);
+            JOB_QUEUE.start();
+        })
+        .catch(error => console.error('Failed to start refresh jobs:', error.message));
+
+    if (REFRESH_INTERVAL_MS > 0) {
+        setInterval(scheduleSummonerRefreshes, REFRESH_INTERVAL_MS).unref();
+    }
+}
+
+// Send a lookup result, tagging successful bodies with where they came from in the cache
+function sendLookupResult(res, result, cacheState, cachedAt) {
+    res.set('X-Cache', cacheState.toUpperCase());
+    if (result.status !== 200) {
+        return res.status(result.status).json(result.body);
+    }
+    return res.json({
+        ...result.body,
+        cache: {
+            status: cacheState,
+            cachedAt: new Date(cachedAt).toISOString(),
+            ageSeconds: Math.round((Date.now() - cachedAt) / 1000)
+        }
+    });
+}
+
+// API Routes
+// "opgg,mobalytics" or an array, naming registered data sources only
+function sourceList(value) {
+    try {
+        return { value: DATA_SOURCES.validateIds(parseSourceList(value)) };
+    } catch (error) {
+        return { error: `may only name: ${DATA_SOURCES.list().map(provider => provider.id).join(', ')}` };
+    }
+}
+
+// The player is given as summonerName + tagLine + region, as { puuid }, or as one `query`
+// field holding "Name#TAG", a PUUID or an OP.GG/Mobalytics/League of Graphs profile URL.
+// The parsed player and lookup options end up in req.summonerSearch.
+function validateSummonerSearch(req, res, next) {
+    const { target, errors } = parseSummonerQuery(req.body);
+    const options = checkFields(req.body, {
+        mode: optional(rules.oneOf(SOURCE_MODES)),
+        forceRefresh: optional(rules.boolean),
+        sources: optional(sourceList),
+        disabledSources: optional(sourceList)
+    }, 'body');
+    errors.push(...options.errors);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, 'Invalid summoner search');
+    }
+    req.summonerSearch = { ...target, ...options.values };
+    next();
+}
+
+app.post('/api/summoner', validateSummonerSearch, async (req, res) => {
+    try {
+        const target = req.summonerSearch;
+        let { summonerName, tagLine, region } = target;
+        if (target.puuid) {
+            const riotId = await findRiotIdByPuuid(target.puuid, target.region);
+            // Without a region there is no Riot account lookup to fall back on
+            if (!riotId && !target.region && riotClient) {
+                return sendValidationError(res, [{
+                    field: 'region',
+                    location: 'body',
+                    message: 'region is required for a PUUID this server has not looked up before'
+                }], 'Invalid summoner search');
+            }
+            if (!riotId) {
+                return res.status(404).json({
+                    error: 'Summoner not found',
+                    message: 'No stored summoner or Riot account has this PUUID'
+                });
+            }
+            ({ summonerName, tagLine, region } = riotId);
+        }
+
+        const providers = DATA_SOURCES.resolve({ order: target.sources, disable: target.disabledSources });
+
+        const mode = target.mode || DEFAULT_SOURCE_MODE;
+        const forceRefresh = target.forceRefresh === true;
+        const cacheKey = summonerCacheKey(summonerName, tagLine, region, mode, providers);
+        const load = async () => {
+            const result = await lookupSummoner(summonerName, tagLine, region, providers, mode);
+            // Static-only fallbacks and failures are not worth keeping
+            return { value: result, cacheable: result.status === 200 && !result.body.staticData };
+        };
 
+        const cached = forceRefresh ? { state: 'bypass' } : SUMMONER_CACHE.get(cacheKey);
+        if (cached.state === 'fresh' || cached.state === 'stale') {
+            if (cached.state === 'stale' && !SUMMONER_CACHE.isRefreshing(cacheKey)) {
+                console.log(`♻️  Serving stale data for ${summonerName}#${tagLine}, refreshing in background`);
+                SUMMONER_CACHE.refresh(cacheKey, load)
+                    .catch(error => console.log('⚠️  Background refresh failed:', error.message));
+            }
+            return sendLookupResult(res, cached.value, cached.state, cached.cachedAt);
+        }
+
+        const result = await SUMMONER_CACHE.refresh(cacheKey, load);
+        return sendLookupResult(res, result, forceRefresh ? 'bypass' : 'miss', Date.now());
     } catch (error) {
         console.error('Error in /api/summoner:', error);
         res.status(500).json({ 
@@ -1293,22 +1065,139 @@ app.post('/api/summoner', async (req, res) => {
     }
 });
 
-// Get historical data for a summoner
+// PUUIDs merged into another record (see lib/identity) keep working in every route below
+app.param('puuid', async (req, res, next) => {
+    const { values, errors } = checkFields(req.params, { puuid: rules.puuid }, 'params');
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    try {
+        req.params.puuid = await resolveAlias(db, values.puuid);
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Get historical data for a summoner, one page at a time.
+// Filters: queue, champion, role, win, from/to; paging: page & limit, or cursor (see lib/historyQuery)
 app.get('/api/summoner/:puuid/history', (req, res) => {
     const { puuid } = req.params;
-    
+    const { options, errors } = parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, 'Invalid history query');
+    }
+
+    const queries = buildHistoryQueries(puuid, options);
+    db.get(queries.totals.sql, queries.totals.params, (err, totals) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error', details: err.message });
+        }
+        db.all(queries.page.sql, queries.page.params, (err, rows) => {
+            if (err) {
+                res.status(500).json({ error: 'Database error', details: err.message });
+            } else {
+                res.json(buildHistoryResponse(puuid, options, rows, totals));
+            }
+        });
+    });
+});
+
+// Per-champion performance from stored matches; takes the history filters (queue, role, from/to)
+app.get('/api/summoner/:puuid/champions', (req, res) => {
+    const { puuid } = req.params;
+    const { options, errors } = parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, 'Invalid champion query');
+    }
+
+    const query = buildChampionStatsQuery(puuid, options.filters);
+    db.all(query.sql, query.params, (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: 'Database error', details: err.message });
+        } else {
+            const champions = toChampionStats(rows);
+            res.json({
+                puuid,
+                totalGames: champions.reduce((sum, champion) => sum + champion.games, 0),
+                champions,
+                filters: options.filters
+            });
+        }
+    });
+});
+
+// Per-role performance from stored matches; takes the history filters (queue, champion, from/to)
+app.get('/api/summoner/:puuid/roles', (req, res) => {
+    const { puuid } = req.params;
+    const { options, errors } = parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, 'Invalid role query');
+    }
+
+    const { where, params } = buildHistoryFilter(puuid, options.filters);
+    db.all(`
+        SELECT mp.role, mp.win, mp.kda_ratio, mp.cs_per_minute
+        FROM match_participants mp JOIN matches m ON mp.match_id = m.match_id
+        WHERE ${where}
+    `, params, (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: 'Database error', details: err.message });
+        } else {
+            const roles = summarizeByRole(rows.map(fromParticipantRow));
+            res.json({
+                puuid,
+                totalGames: rows.length,
+                unknownGames: rows.length - roles.reduce((sum, role) => sum + role.games, 0),
+                mainRole: primaryRole(roles),
+                roles,
+                filters: options.filters
+            });
+        }
+    });
+});
+
+// Rank timeline per queue, with LP gained or lost and games played between snapshots
+app.get('/api/summoner/:puuid/ranked/timeline', validate({
+    query: { queue: optional(rules.oneOf(QUEUE_TYPES)) }
+}, 'Invalid queue type'), (req, res) => {
+    const { puuid } = req.params;
+    const { queue } = req.query;
+
+    db.all(`
+        SELECT * FROM ranked_stats WHERE summoner_puuid = ? ${queue ? 'AND queue_type = ?' : ''}
+        ORDER BY last_updated, id
+    `, queue ? [puuid, queue] : [puuid], (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: 'Database error', details: err.message });
+        } else {
+            res.json({ puuid, queues: buildRankedTimeline(rows) });
+        }
+    });
+});
+
+// Riot IDs a summoner has been seen under, most recent first
+app.get('/api/summoner/:puuid/names', (req, res) => {
+    const { puuid } = req.params;
+
     db.all(`
-        SELECT mp.*, m.game_creation, m.game_duration, m.queue_id
-        FROM match_participants mp
-        JOIN matches m ON mp.match_id = m.match_id
-        WHERE mp.summoner_puuid = ?
-        ORDER BY m.game_creation DESC
-        LIMIT 50
+        SELECT game_name, tag_line, region, first_seen_at, last_seen_at FROM summoner_names
+        WHERE puuid = ?
+        ORDER BY last_seen_at DESC
     `, [puuid], (err, rows) => {
         if (err) {
             res.status(500).json({ error: 'Database error', details: err.message });
         } else {
-            res.json(rows);
+            res.json({
+                puuid,
+                names: rows.map(row => ({
+                    gameName: row.game_name,
+                    tagLine: row.tag_line,
+                    region: row.region,
+                    firstSeenAt: row.first_seen_at,
+                    lastSeenAt: row.last_seen_at
+                }))
+            });
         }
     });
 });
@@ -1330,12 +1219,102 @@ app.get('/api/summoner/:puuid/insights', (req, res) => {
     });
 });
 
+// Queue a background refresh for a summoner; poll GET /api/jobs/:id for the outcome
+app.post('/api/jobs/refresh', validate({
+    body: {
+        summonerName: rules.gameName,
+        tagLine: rules.tagLine,
+        region: rules.region,
+        mode: optional(rules.oneOf(SOURCE_MODES))
+    }
+}, 'Invalid refresh job'), async (req, res) => {
+    try {
+        const { summonerName, tagLine, region, mode } = req.body;
+
+        const { job, created } = await JOB_QUEUE.enqueue({ summonerName, tagLine, region, mode, trigger: 'manual' });
+        // Start it now if there is capacity instead of waiting for the next poll
+        JOB_QUEUE.tick().catch(error => console.error('Refresh job poll failed:', error.message));
+        res.status(created ? 202 : 200).json({ job, created });
+    } catch (error) {
+        console.error('Error in /api/jobs/refresh:', error);
+        res.status(500).json({ error: 'Failed to queue refresh job', details: error.message });
+    }
+});
+
+// List recent refresh jobs, optionally by status
+app.get('/api/jobs', validate({
+    query: {
+        status: optional(rules.oneOf(JOB_STATUSES)),
+        limit: optional(rules.integer({ min: 1, max: 200 }))
+    }
+}, 'Invalid job query'), async (req, res) => {
+    const { status, limit = 50 } = req.query;
+    try {
+        res.json(await JOB_QUEUE.listJobs({ status, limit }));
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Status of a single refresh job
+app.get('/api/jobs/:id', validate({ params: { id: rules.integer({ min: 1 }) } }), async (req, res) => {
+    try {
+        const job = await JOB_QUEUE.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Mark a summoner as watched so REFRESH_SCOPE=watched keeps it up to date
+app.put('/api/summoner/:puuid/watch', validate({ body: { watched: optional(rules.boolean) } }), (req, res) => {
+    const watched = req.body.watched !== false;
+    withLock(db, () => dbRun(db, 'UPDATE summoners SET watched = ? WHERE puuid = ?', [watched ? 1 : 0, req.params.puuid])).then(result => {
+        if (result.changes === 0) {
+            res.status(404).json({ error: 'Summoner not found' });
+        } else {
+            res.json({ puuid: req.params.puuid, watched });
+        }
+    }, err => {
+        res.status(500).json({ error: 'Database error', details: err.message });
+    });
+});
+
+// Regions this server serves, with each site's URL slug and the Riot routing clusters
+app.get('/api/regions', (req, res) => {
+    res.json(REGIONS);
+});
+
+// List registered data sources in their default priority order
+app.get('/api/sources', (req, res) => {
+    res.json(DATA_SOURCES.list().map((provider, index) => ({
+        id: provider.id,
+        label: provider.label,
+        priority: index + 1,
+        enabled: provider.enabled,
+        staticOnly: provider.staticOnly
+    })));
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'OK', 
         timestamp: new Date().toISOString(),
-        database: 'Connected'
+        database: 'Connected',
+        cache: SUMMONER_CACHE.getStats(),
+        jobs: {
+            ...JOB_QUEUE.getStatus(),
+            sources: SOURCE_CONCURRENCY.getStatus(),
+            refreshIntervalMinutes: REFRESH_INTERVAL_MS / 60000,
+            refreshScope: REFRESH_SCOPE
+        },
+        riotApi: riotClient
+            ? riotClient.getStatus()
+            : { state: 'disabled', message: 'Set RIOT_API_KEY to enable the Riot API provider' }
     });
 });
 
@@ -1344,15 +1323,18 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'lol_coach_app.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`LoL Coach API server running on port ${PORT}`);
-    console.log(`Open http://localhost:${PORT} to access the application`);
-});
+// Start server; called by initializeDatabase once migrations have finished
+function startServer() {
+    app.listen(PORT, () => {
+        console.log(`LoL Coach API server running on port ${PORT}`);
+        console.log(`Open http://localhost:${PORT} to access the application`);
+    });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down server...');
+    JOB_QUEUE.stop();
     db.close((err) => {
         if (err) {
             console.error(err.message);
@@ -0,0 +1,76 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    loadBenchmarks,
+    validateBenchmarks,
+    getBenchmark,
+    estimatePercentile,
+    compareToBenchmark,
+    ordinal
+} = require('../lib/benchmarks');
+
+const table = loadBenchmarks();
+
+describe('getBenchmark', () => {
+    test('picks the tier and role entry', () => {
+        const benchmark = getBenchmark(table, 'GOLD', 'MIDDLE');
+        assert.equal(benchmark.tier, 'GOLD');
+        assert.equal(benchmark.role, 'MIDDLE');
+        assert.equal(benchmark.bracket, 'Gold mid laners');
+        assert.deepEqual(benchmark.metrics, table.tiers.GOLD.MIDDLE);
+    });
+
+    test('falls back for apex tiers, unranked players and unknown roles', () => {
+        assert.equal(getBenchmark(table, 'CHALLENGER', 'JUNGLE').tier, 'MASTER');
+        assert.equal(getBenchmark(table, 'CHALLENGER', 'JUNGLE').bracket, 'Challenger junglers');
+
+        const unranked = getBenchmark(table, null, 'UTILITY');
+        assert.equal(unranked.tier, table.defaultTier);
+        assert.equal(unranked.bracket, 'supports of all ranks');
+
+        const fill = getBenchmark(table, 'gold', null);
+        assert.equal(fill.role, null);
+        assert.equal(fill.bracket, 'Gold players');
+        assert.deepEqual(fill.metrics, table.tiers.GOLD.ALL);
+    });
+});
+
+describe('estimatePercentile', () => {
+    const points = [4.8, 5.7, 6.6, 7.4, 8.1];
+    const percentiles = [10, 25, 50, 75, 90];
+
+    test('interpolates between table points', () => {
+        assert.equal(estimatePercentile(6.6, points, percentiles), 50);
+        assert.equal(estimatePercentile(6.15, points, percentiles), 38);
+    });
+
+    test('clamps values outside the table', () => {
+        assert.equal(estimatePercentile(3, points, percentiles), 1);
+        assert.equal(estimatePercentile(20, points, percentiles), 99);
+    });
+});
+
+describe('compareToBenchmark', () => {
+    test('reports percentile and median', () => {
+        const benchmark = getBenchmark(table, 'GOLD', 'MIDDLE');
+        assert.deepEqual(compareToBenchmark(benchmark, 'csPerMinute', 6.6), { value: 6.6, percentile: 50, median: 6.6 });
+    });
+
+    test('returns null for metrics the bracket has no data for', () => {
+        const support = getBenchmark(table, 'GOLD', 'UTILITY');
+        assert.equal(compareToBenchmark(support, 'csPerMinute', 1.2), null);
+        assert.equal(compareToBenchmark(support, 'kda', NaN), null);
+    });
+});
+
+test('validateBenchmarks rejects malformed tables', () => {
+    const broken = JSON.parse(JSON.stringify(table));
+    broken.tiers.GOLD.MIDDLE.kda = [3, 2, 1, 0, -1];
+    assert.throws(() => validateBenchmarks(broken), { code: 'INVALID_BENCHMARKS', message: /GOLD\.MIDDLE\.kda/ });
+    assert.throws(() => validateBenchmarks({ ...table, defaultTier: 'WOOD' }), { code: 'INVALID_BENCHMARKS' });
+});
+
+test('ordinal', () => {
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 22, 101].map(ordinal), ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '22nd', '101st']);
+});
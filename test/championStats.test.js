@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { buildChampionStatsQuery, toChampionStats } = require('../lib/championStats');
+
+const PUUID = 'mock-puuid-vrael';
+let db;
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await new Promise((resolve, reject) => db.exec(`
+        CREATE TABLE matches (match_id TEXT UNIQUE, game_creation BIGINT, queue_id INTEGER);
+        CREATE TABLE match_participants (
+            match_id TEXT, summoner_puuid TEXT, champion_name TEXT, role TEXT, win BOOLEAN,
+            kills INTEGER, deaths INTEGER, assists INTEGER, cs_per_minute REAL,
+            damage_dealt INTEGER, kill_participation REAL
+        );
+        INSERT INTO matches VALUES ('NA1_1', 1000, 420), ('NA1_2', 2000, 420), ('NA1_3', 3000, 450), ('NA1_4', 4000, 420);
+        INSERT INTO match_participants VALUES
+            ('NA1_1', '${PUUID}', 'Ahri', 'MIDDLE', 1, 10, 0, 5, 8.0, 30000, 0.6),
+            ('NA1_2', '${PUUID}', 'Ahri', 'MIDDLE', 0, 2, 6, 4, 6.0, 15000, 0.4),
+            ('NA1_3', '${PUUID}', 'Lux', NULL, 1, 5, 5, 20, NULL, NULL, NULL),
+            ('NA1_4', '${PUUID}', 'Ahri', 'MIDDLE', 1, 6, 2, 8, 7.0, 22000, 0.5),
+            ('NA1_4', 'someone-else', 'Zed', 'MIDDLE', 0, 2, 6, 1, 7.5, 18000, 0.3);
+    `, err => err ? reject(err) : resolve()));
+});
+
+after(async () => {
+    await new Promise(resolve => db.close(resolve));
+});
+
+function championStats(filters) {
+    const { sql, params } = buildChampionStatsQuery(PUUID, filters);
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(toChampionStats(rows)));
+    });
+}
+
+test('aggregates games, win rate and averages per champion', async () => {
+    const [ahri, lux] = await championStats();
+
+    assert.deepEqual(ahri, {
+        championName: 'Ahri', games: 3, wins: 2, losses: 1, winRate: 0.6667,
+        avgKills: 6, avgDeaths: 2.7, avgAssists: 5.7,
+        kda: 4.38, csPerMinute: 7, avgDamage: 22333, killParticipation: 0.5, lastPlayed: 4000
+    });
+    assert.equal(lux.games, 1);
+    assert.equal(lux.kda, 5);
+    assert.equal(lux.csPerMinute, null);
+});
+
+test('applies the history filters', async () => {
+    const champions = await championStats({ queueId: 450 });
+    assert.deepEqual(champions.map(champion => champion.championName), ['Lux']);
+    assert.deepEqual(await championStats({ role: 'TOP' }), []);
+});
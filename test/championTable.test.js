@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionTable = require('../js/championTable');
+
+test('aggregates response matches like the backend', () => {
+    const [ahri] = ChampionTable.aggregateMatches([
+        { championName: 'Ahri', win: true, kills: 10, deaths: 0, assists: 5, csPerMinute: 8 },
+        { championName: 'Ahri', win: false, kills: 2, deaths: 6, assists: 4, csPerMinute: null },
+        { championName: 'Lux', win: true, kills: 1, deaths: 1, assists: 1, invalid: true }
+    ]);
+    assert.equal(ahri.games, 2);
+    assert.equal(ahri.winRate, 0.5);
+    assert.equal(ahri.kda, 3.5);
+    assert.equal(ahri.csPerMinute, 8);
+    assert.equal(ahri.avgDamage, null);
+});
+
+test('sorts by any column with missing values last', () => {
+    const champions = [
+        { championName: 'Lux', games: 1, csPerMinute: null },
+        { championName: 'Ahri', games: 3, csPerMinute: 7 },
+        { championName: 'Zed', games: 2, csPerMinute: 8 }
+    ];
+    const names = (key, direction) => ChampionTable.sortChampions(champions, key, direction).map(champion => champion.championName);
+
+    assert.deepEqual(names('games', 'desc'), ['Ahri', 'Zed', 'Lux']);
+    assert.deepEqual(names('championName', 'asc'), ['Ahri', 'Lux', 'Zed']);
+    assert.deepEqual(names('csPerMinute', 'asc'), ['Ahri', 'Zed', 'Lux']);
+    assert.deepEqual(names('csPerMinute', 'desc'), ['Zed', 'Ahri', 'Lux']);
+});
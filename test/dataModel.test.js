@@ -0,0 +1,130 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { toCanonical, validateCanonical, normalizeProviderData, normalizeRole, matchKDA, average } = require('../lib/dataModel');
+const { parseOPGG, parseMobalytics, parseLeagueOfGraphs } = require('../lib/scrapers');
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+const context = { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1', url: 'https://example.test/profile' };
+
+const MATCH_FIELDS = [
+    'matchId', 'gameCreation', 'gameDuration', 'queueId', 'championName', 'role', 'win',
+    'kills', 'deaths', 'assists', 'kdaRatio', 'csPerMinute', 'totalMinionsKilled'
+];
+
+describe('toCanonical', () => {
+    test('gives every source the same match and ranked shape', () => {
+        const payloads = [
+            parseOPGG(loadFixture('opgg_summoner.html'), context),
+            parseMobalytics(loadFixture('mobalytics_profile.html'), context),
+            parseLeagueOfGraphs(loadFixture('leagueofgraphs_summoner.html'), context)
+        ].map(toCanonical);
+
+        payloads.forEach(payload => {
+            payload.matches.forEach(match => assert.deepEqual(Object.keys(match), MATCH_FIELDS));
+            payload.ranked.forEach(entry => {
+                assert.deepEqual(Object.keys(entry), ['queueType', 'tier', 'rank', 'leaguePoints', 'wins', 'losses']);
+                assert.equal(entry.queueType, 'RANKED_SOLO_5x5');
+            });
+        });
+        assert.deepEqual(payloads.map(payload => payload.ranked[0].tier), ['GOLD', 'PLATINUM', 'DIAMOND']);
+    });
+
+    test('maps League of Graphs KDA text to numbers', () => {
+        const data = toCanonical(parseLeagueOfGraphs(loadFixture('leagueofgraphs_summoner.html'), context));
+        const [first] = data.matches;
+        assert.equal(first.championName, 'Lee Sin');
+        assert.deepEqual([first.kills, first.deaths, first.assists], [9, 3, 12]);
+        assert.equal(first.kdaRatio, 7);
+    });
+
+    test('maps each site\'s lane labels to Riot positions', () => {
+        const roles = [
+            parseOPGG(loadFixture('opgg_summoner.html'), context),
+            parseMobalytics(loadFixture('mobalytics_profile.html'), context),
+            parseLeagueOfGraphs(loadFixture('leagueofgraphs_summoner.html'), context)
+        ].map(payload => toCanonical(payload).matches[0].role);
+        assert.deepEqual(roles, ['BOTTOM', 'MIDDLE', 'JUNGLE']);
+    });
+
+    test('normalizes percentage win rates and drops apex divisions', () => {
+        const data = toCanonical({
+            summoner: { name: 'Vrael', tagLine: 'NA1', region: 'kr', level: '512' },
+            ranked: [{ queue: 'RANKED_SOLO_5x5', tier: 'Master', division: 'I', lp: '230' }],
+            statistics: { winRate: 56, avgKDA: '3.1', avgCS: '7.0' }
+        });
+        assert.equal(data.summoner.level, 512);
+        assert.deepEqual(data.ranked[0], {
+            queueType: 'RANKED_SOLO_5x5', tier: 'MASTER', rank: null, leaguePoints: 230, wins: null, losses: null
+        });
+        assert.deepEqual(data.statistics, { winRate: 0.56, avgKDA: 3.1, avgCS: 7, totalGames: 0 });
+    });
+});
+
+describe('validateCanonical', () => {
+    test('accepts parsed fixtures without issues', () => {
+        const { issues } = normalizeProviderData(parseOPGG(loadFixture('opgg_summoner.html'), context));
+        assert.deepEqual(issues, []);
+    });
+
+    test('drops ranked entries with an unknown tier', () => {
+        const { data, issues } = normalizeProviderData({
+            summoner: { name: 'Vrael', tagLine: 'NA1', region: 'na1' },
+            ranked: [{ queueType: 'RANKED_SOLO_5x5', tier: 'Wood', rank: 'V' }]
+        });
+        assert.deepEqual(data.ranked, []);
+        assert.deepEqual(issues.map(issue => issue.path), ['ranked[0].tier', 'ranked[0].rank']);
+    });
+
+    test('nulls out-of-range match fields and flags matches missing required fields', () => {
+        const data = toCanonical({
+            summoner: { name: 'Vrael', tagLine: 'NA1', region: 'na1' },
+            matches: [
+                { champion_name: 'Jinx', win: true, kills: 8, deaths: 2, assists: 6, cs_per_minute: 71 },
+                { champion_name: '', win: false, kills: 1, deaths: 1, assists: 1 }
+            ]
+        });
+        const { issues } = validateCanonical(data);
+
+        assert.equal(data.matches[0].csPerMinute, null);
+        assert.equal(data.matches[0].invalid, undefined);
+        assert.equal(data.matches[1].invalid, true);
+        assert.deepEqual(issues.map(({ path, value }) => ({ path, value })), [
+            { path: 'matches[0].csPerMinute', value: 71 },
+            { path: 'matches[1].championName', value: null }
+        ]);
+    });
+
+    test('requires summoner identity', () => {
+        const { issues } = normalizeProviderData({ summoner: { name: 'Vrael', region: 'na1' } });
+        assert.deepEqual(issues.map(issue => issue.path), ['summoner.tagLine']);
+    });
+});
+
+test('normalizeRole accepts Riot positions and common lane labels', () => {
+    assert.equal(normalizeRole('UTILITY'), 'UTILITY');
+    assert.equal(normalizeRole('Support'), 'UTILITY');
+    assert.equal(normalizeRole(' adc '), 'BOTTOM');
+    assert.equal(normalizeRole('Mid Lane'), 'MIDDLE');
+    assert.equal(normalizeRole(''), null);
+    assert.equal(normalizeRole('Invalid'), null);
+});
+
+test('matchKDA prefers kdaRatio and is null without a full K/D/A', () => {
+    assert.equal(matchKDA({ kdaRatio: 3.5, kills: 1, deaths: 1, assists: 1 }), 3.5);
+    assert.equal(matchKDA({ kills: 8, deaths: 0, assists: 4 }), 12);
+    assert.equal(matchKDA({ kills: 8, deaths: 4, assists: 4 }), 3);
+    assert.equal(matchKDA({ kdaRatio: null, kills: null, deaths: null, assists: null }), null);
+    assert.equal(matchKDA({ kills: 8, deaths: 2 }), null);
+});
+
+test('average skips unknown values', () => {
+    assert.equal(average([2, null, 4, NaN]), 3);
+    assert.equal(average([null]), null);
+    assert.equal(average([]), null);
+});
@@ -0,0 +1,59 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { scoreDataQuality } = require('../lib/dataQuality');
+const { parseOPGG, parseMobalytics, parseLeagueOfGraphs } = require('../lib/scrapers');
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+const context = { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1', url: 'https://example.test/profile' };
+
+describe('scoreDataQuality', () => {
+    test('scores a complete OP.GG page as full quality', () => {
+        const quality = scoreDataQuality(parseOPGG(loadFixture('opgg_summoner.html'), context));
+        assert.deepEqual(quality, {
+            score: 1,
+            checks: { rank: true, matches: true, level: true, statistics: true },
+            missing: []
+        });
+    });
+
+    test('scores a page that matched no selectors as zero', () => {
+        const quality = scoreDataQuality(parseOPGG('<html><body><div id="app"></div></body></html>', context));
+        assert.equal(quality.score, 0);
+        assert.deepEqual(quality.missing, ['rank', 'matches', 'level', 'statistics']);
+    });
+
+    test('reports what a page is missing', () => {
+        // Mobalytics shows no summoner level
+        const quality = scoreDataQuality(parseMobalytics(loadFixture('mobalytics_profile.html'), context));
+        assert.equal(quality.score, 0.8);
+        assert.deepEqual(quality.missing, ['level']);
+    });
+
+    test('flags implausible statistics', () => {
+        // e.g. total CS picked up where a per-minute value is expected
+        const quality = scoreDataQuality({ statistics: { winRate: 0.5, avgKDA: 3.5, avgCS: 145 } });
+        assert.equal(quality.checks.statistics, false);
+    });
+
+    test('accepts win rate reported as a percentage', () => {
+        const quality = scoreDataQuality({ statistics: { winRate: 55, avgKDA: '2.10', avgCS: '6.5' } });
+        assert.equal(quality.checks.statistics, true);
+    });
+
+    test('treats unranked entries as no rank', () => {
+        const quality = scoreDataQuality({ ranked: [{ tier: 'Unranked' }], summoner: { level: 30 } });
+        assert.deepEqual(quality.checks, { rank: false, matches: false, level: true, statistics: false });
+        assert.equal(quality.score, 0.2);
+    });
+
+    test('scores League of Graphs season data', () => {
+        const quality = scoreDataQuality(parseLeagueOfGraphs(loadFixture('leagueofgraphs_summoner.html'), context));
+        assert.equal(quality.score, 1);
+    });
+});
@@ -0,0 +1,67 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DataSourceRegistry, parseSourceList } = require('../lib/dataSourceRegistry');
+
+function createRegistry() {
+    const fetch = async () => ({});
+    return new DataSourceRegistry()
+        .register({ id: 'riot_api', label: 'Riot API', fetch, savesMatches: true })
+        .register({ id: 'opgg', label: 'OP.GG', fetch })
+        .register({ id: 'mobalytics', label: 'Mobalytics', fetch })
+        .register({ id: 'data_dragon', label: 'Data Dragon', fetch, staticOnly: true });
+}
+
+const ids = providers => providers.map(provider => provider.id);
+
+describe('DataSourceRegistry', () => {
+    test('registers providers with defaults, in priority order', () => {
+        const registry = createRegistry();
+        assert.deepEqual(ids(registry.list()), ['riot_api', 'opgg', 'mobalytics', 'data_dragon']);
+        const { fetch, ...opgg } = registry.get('opgg');
+        assert.equal(typeof fetch, 'function');
+        assert.deepEqual(opgg, { id: 'opgg', label: 'OP.GG', enabled: true, staticOnly: false, savesMatches: false });
+        assert.equal(registry.get('moon'), null);
+    });
+
+    test('rejects providers without an id or fetch, and duplicates', () => {
+        const registry = createRegistry();
+        assert.throws(() => registry.register({ fetch: async () => ({}) }), /must have an id/);
+        assert.throws(() => registry.register({ id: 'u_gg' }), /"u_gg" must implement fetch\(\)/);
+        assert.throws(() => registry.register({ id: 'opgg', fetch: async () => ({}) }), /"opgg" is already registered/);
+    });
+
+    test('setDefaultOrder puts the listed providers first', () => {
+        const registry = createRegistry().setDefaultOrder(['mobalytics', 'opgg', 'mobalytics']);
+        assert.deepEqual(ids(registry.list()), ['mobalytics', 'opgg', 'riot_api', 'data_dragon']);
+        assert.deepEqual(ids(registry.resolve()), ['mobalytics', 'opgg', 'riot_api', 'data_dragon']);
+    });
+
+    test('resolve tries only the requested order and skips disabled providers', () => {
+        const registry = createRegistry().setEnabled('riot_api', false);
+        assert.deepEqual(ids(registry.resolve()), ['opgg', 'mobalytics', 'data_dragon']);
+        assert.deepEqual(ids(registry.resolve({ order: ['riot_api', 'mobalytics', 'opgg'] })), ['mobalytics', 'opgg']);
+        assert.deepEqual(ids(registry.resolve({ order: ['mobalytics', 'opgg'], disable: ['opgg'] })), ['mobalytics']);
+        assert.deepEqual(ids(registry.resolve({ order: [], disable: ['data_dragon'] })), ['opgg', 'mobalytics']);
+
+        // disable applies to one lookup only
+        assert.deepEqual(ids(registry.resolve()), ['opgg', 'mobalytics', 'data_dragon']);
+    });
+
+    test('unknown ids are an error everywhere', () => {
+        const registry = createRegistry();
+        assert.deepEqual(registry.validateIds(['opgg', 'opgg', 'riot_api']), ['opgg', 'riot_api']);
+        assert.throws(() => registry.validateIds(['opgg', 'u_gg', 'moon']), /Unknown data source\(s\): u_gg, moon/);
+        assert.throws(() => registry.setDefaultOrder(['u_gg']), /Unknown data source/);
+        assert.throws(() => registry.resolve({ order: ['u_gg'] }), /Unknown data source/);
+        assert.throws(() => registry.resolve({ disable: ['u_gg'] }), /Unknown data source/);
+        assert.throws(() => registry.setEnabled('u_gg', false), /Unknown data source: u_gg/);
+        assert.deepEqual(ids(registry.list()), ['riot_api', 'opgg', 'mobalytics', 'data_dragon']);
+    });
+});
+
+test('parses comma separated source lists', () => {
+    assert.deepEqual(parseSourceList(' OPGG, mobalytics,,'), ['opgg', 'mobalytics']);
+    assert.deepEqual(parseSourceList(['Riot_API', ' opgg ']), ['riot_api', 'opgg']);
+    assert.deepEqual(parseSourceList(undefined), []);
+});
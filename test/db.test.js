@@ -0,0 +1,48 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { run, get, all, exec, withLock, transaction } = require('../lib/db');
+
+describe('db helpers', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        await exec(db, 'CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT NOT NULL)');
+    });
+
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    test('wrap run, get and all', async () => {
+        const result = await run(db, 'INSERT INTO notes (text) VALUES (?)', ['first']);
+        assert.equal(result.lastID, 1);
+        assert.deepEqual(await get(db, 'SELECT text FROM notes WHERE id = ?', [1]), { text: 'first' });
+        assert.equal(await get(db, 'SELECT text FROM notes WHERE id = ?', [2]), null);
+        assert.deepEqual(await all(db, 'SELECT id FROM notes'), [{ id: 1 }]);
+    });
+
+    test('a failed transaction rolls back only its own statements', async () => {
+        const failed = transaction(db, async () => {
+            await run(db, 'INSERT INTO notes (text) VALUES (?)', ['rolled back']);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            throw new Error('merge failed');
+        });
+        // Queued while the transaction is open; runs after it instead of inside it
+        const write = withLock(db, () => run(db, 'INSERT INTO notes (text) VALUES (?)', ['kept']));
+
+        await assert.rejects(failed, /merge failed/);
+        await write;
+        assert.deepEqual(await all(db, 'SELECT text FROM notes'), [{ text: 'kept' }]);
+    });
+
+    test('overlapping transactions run one after the other', async () => {
+        const insert = text => transaction(db, async () => {
+            await run(db, 'INSERT INTO notes (text) VALUES (?)', [text]);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return text;
+        });
+        assert.deepEqual(await Promise.all([insert('a'), insert('b'), insert('c')]), ['a', 'b', 'c']);
+        assert.deepEqual(await all(db, 'SELECT text FROM notes ORDER BY id'), [{ text: 'a' }, { text: 'b' }, { text: 'c' }]);
+    });
+});
@@ -0,0 +1,127 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { parseHistoryQuery, buildHistoryQueries, buildHistoryResponse, encodeCursor } = require('../lib/historyQuery');
+
+const PUUID = 'mock-puuid-vrael';
+
+describe('parseHistoryQuery', () => {
+    test('uses page 1 of 20 without parameters', () => {
+        const { options, errors } = parseHistoryQuery({});
+        assert.deepEqual(errors, []);
+        assert.deepEqual(options, { page: 1, limit: 20, cursor: null, filters: {} });
+    });
+
+    test('parses every filter', () => {
+        const { options, errors } = parseHistoryQuery({
+            queue: '420', champion: ' Ahri ', role: 'middle', win: 'false',
+            from: '2026-10-01T00:00:00Z', to: '1790000000000'
+        });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(options.filters, {
+            queueId: 420, champion: 'Ahri', role: 'MIDDLE', win: false,
+            from: Date.UTC(2026, 9, 1), to: 1790000000000
+        });
+    });
+
+    test('reports each invalid parameter', () => {
+        const { errors } = parseHistoryQuery({ limit: '500', page: '0', queue: 'ranked', role: 'ADC', win: 'maybe', from: 'soon', cursor: '!!' });
+        assert.deepEqual(errors.map(error => error.field), ['limit', 'page', 'cursor', 'queue', 'role', 'win', 'from']);
+        assert.equal(errors[0].message, 'limit must be between 1 and 100');
+    });
+});
+
+describe('buildHistoryQueries', () => {
+    let db;
+    const query = (method, { sql, params }) => new Promise((resolve, reject) => {
+        db[method](sql, params, (err, result) => err ? reject(err) : resolve(result));
+    });
+
+    async function fetchHistory(rawQuery) {
+        const { options, errors } = parseHistoryQuery(rawQuery);
+        assert.deepEqual(errors, []);
+        const queries = buildHistoryQueries(PUUID, options);
+        const totals = await query('get', queries.totals);
+        const rows = await query('all', queries.page);
+        return buildHistoryResponse(PUUID, options, rows, totals);
+    }
+
+    before(async () => {
+        db = new sqlite3.Database(':memory:');
+        const exec = sql => new Promise((resolve, reject) => db.exec(sql, err => err ? reject(err) : resolve()));
+        await exec(`
+            CREATE TABLE matches (match_id TEXT UNIQUE, game_creation BIGINT, game_duration INTEGER, queue_id INTEGER);
+            CREATE TABLE match_participants (
+                match_id TEXT, summoner_puuid TEXT, champion_name TEXT, role TEXT, win BOOLEAN,
+                kda_ratio REAL, cs_per_minute REAL
+            );
+        `);
+        // Five games a day apart: Ahri mid in solo queue, Lulu support in flex; another player's row too
+        const games = [
+            ['NA1_1', 420, 'Ahri', 'MIDDLE', 1, 4, 8],
+            ['NA1_2', 420, 'Ahri', 'MIDDLE', 0, 1, 6],
+            ['NA1_3', 440, 'Lulu', 'UTILITY', 1, 5, 1],
+            ['NA1_4', 420, 'Ahri', 'MIDDLE', 1, 3, 7],
+            ['NA1_5', 450, 'Lux', null, 0, 2, 2]
+        ];
+        for (const [index, [matchId, queueId, champion, role, win, kda, cs]] of games.entries()) {
+            await exec(`
+                INSERT INTO matches VALUES ('${matchId}', ${Date.UTC(2026, 9, index + 1)}, 1800, ${queueId});
+                INSERT INTO match_participants VALUES ('${matchId}', '${PUUID}', '${champion}', ${role ? `'${role}'` : 'NULL'}, ${win}, ${kda}, ${cs});
+                INSERT INTO match_participants VALUES ('${matchId}', 'someone-else', 'Garen', 'TOP', ${1 - win}, 1, 5);
+            `);
+        }
+    });
+
+    after(async () => {
+        await new Promise(resolve => db.close(resolve));
+    });
+
+    test('pages newest first with totals for the whole set', async () => {
+        const history = await fetchHistory({ limit: '2', page: '2' });
+        assert.deepEqual(history.matches.map(match => match.match_id), ['NA1_3', 'NA1_2']);
+        assert.deepEqual(history.pagination, { page: 2, limit: 2, total: 5, totalPages: 3, hasMore: true, nextCursor: encodeCursor(history.matches[1]) });
+        assert.deepEqual(history.summary, { wins: 3, losses: 2, avgKDA: 3, avgCS: 4.8 });
+    });
+
+    test('filters by queue, champion, role, result and date range', async () => {
+        assert.equal((await fetchHistory({ queue: '420' })).pagination.total, 3);
+        assert.equal((await fetchHistory({ champion: 'ahri', win: 'true' })).pagination.total, 2);
+        assert.deepEqual((await fetchHistory({ role: 'UTILITY' })).matches.map(match => match.match_id), ['NA1_3']);
+
+        const range = await fetchHistory({ from: '2026-10-02', to: '2026-10-04' });
+        assert.deepEqual(range.matches.map(match => match.match_id), ['NA1_4', 'NA1_3', 'NA1_2']);
+    });
+
+    test('continues from a cursor', async () => {
+        const first = await fetchHistory({ limit: '3' });
+        const second = await fetchHistory({ limit: '3', cursor: first.pagination.nextCursor });
+        assert.deepEqual(second.matches.map(match => match.match_id), ['NA1_2', 'NA1_1']);
+        assert.equal(second.pagination.page, null);
+        assert.equal(second.pagination.hasMore, false);
+        assert.equal(second.pagination.nextCursor, null);
+    });
+
+    test('puts games without a creation time last and pages through them', async () => {
+        const exec = sql => new Promise((resolve, reject) => db.exec(sql, err => err ? reject(err) : resolve()));
+        await exec(`
+            INSERT INTO matches VALUES ('NA1_6', NULL, 1800, 420), ('NA1_7', NULL, 1800, 420);
+            INSERT INTO match_participants VALUES ('NA1_6', '${PUUID}', 'Ahri', 'MIDDLE', 1, 3, 7), ('NA1_7', '${PUUID}', 'Ahri', 'MIDDLE', 1, 3, 7);
+        `);
+        try {
+            const pages = [await fetchHistory({ limit: '3' })];
+            while (pages[pages.length - 1].pagination.nextCursor) {
+                pages.push(await fetchHistory({ limit: '3', cursor: pages[pages.length - 1].pagination.nextCursor }));
+            }
+            assert.deepEqual(pages.map(history => history.matches.map(match => match.match_id)), [
+                ['NA1_5', 'NA1_4', 'NA1_3'], ['NA1_2', 'NA1_1', 'NA1_7'], ['NA1_6']
+            ]);
+        } finally {
+            await exec(`
+                DELETE FROM matches WHERE match_id IN ('NA1_6', 'NA1_7');
+                DELETE FROM match_participants WHERE match_id IN ('NA1_6', 'NA1_7');
+            `);
+        }
+    });
+});
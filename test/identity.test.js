@@ -0,0 +1,105 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { riotIdKey, pseudoPuuid, isPseudoPuuid, resolveAlias, recordName, resolvePlayer } = require('../lib/identity');
+const { runMigrations } = require('../lib/migrations');
+const { all, exec } = require('../lib/db');
+
+const REAL_PUUID = 'PtYgjmUhBel31iEl2hpChYgCfrL1spNxnyVmihA_2O76UMFxFkM_R5Kjp1vRt-1fjORS_6ilI8ihN5';
+const OTHER_PUUID = 'KXSc7Tvo_hBKqFYY_kv5ZJr3J1TWDtkwtDDb-xHKas1VOqg6YYZYn9ZhyiA4uoRgnatmUdjAWtGSU8';
+
+function insertSummoner(db, puuid, name, lastUpdated, watched = 0) {
+    return exec(db, `INSERT INTO summoners (puuid, summoner_name, tag_line, region, riot_id_key, last_updated, watched)
+        VALUES ('${puuid}', '${name}', 'NA1', 'na1', '${riotIdKey(name, 'NA1', 'na1')}', '${lastUpdated}', ${watched})`);
+}
+
+test('Riot ID keys and pseudo-PUUIDs ignore case and spacing', () => {
+    assert.equal(riotIdKey(' Vrael ', 'NA1', 'NA1'), 'vrael#na1@na1');
+    assert.equal(pseudoPuuid('Vrael', 'NA1', 'na1'), pseudoPuuid('vrael', 'na1', 'na1'));
+    assert.notEqual(pseudoPuuid('Vrael', 'NA1', 'na1'), pseudoPuuid('Vrael', 'NA1', 'euw1'));
+    assert.match(pseudoPuuid('Vrael', 'NA1', 'na1'), /^pseudo_[0-9a-f]{32}$/);
+});
+
+test('recognizes pseudo-PUUIDs from before the identity layer', () => {
+    assert.ok(isPseudoPuuid('opgg_Vrael_NA1_na1'));
+    assert.ok(isPseudoPuuid('mobalytics_Vrael_NA1_na1'));
+    assert.ok(isPseudoPuuid(pseudoPuuid('Vrael', 'NA1', 'na1')));
+    assert.ok(!isPseudoPuuid(REAL_PUUID));
+});
+
+describe('resolvePlayer', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        await runMigrations(db);
+    });
+
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    test('uses a stable pseudo-PUUID for a new player without a real one', async () => {
+        const identity = await resolvePlayer(db, { gameName: 'Vrael', tagLine: 'NA1', region: 'na1' });
+        assert.deepEqual(identity, { puuid: pseudoPuuid('Vrael', 'NA1', 'na1'), merged: [] });
+    });
+
+    test('finds the stored record for a Riot ID in any case', async () => {
+        await insertSummoner(db, 'opgg_Vrael_NA1_na1', 'Vrael', '2026-01-01 10:00:00');
+        const identity = await resolvePlayer(db, { gameName: 'VRAEL', tagLine: 'na1', region: 'na1' });
+        assert.equal(identity.puuid, 'opgg_Vrael_NA1_na1');
+    });
+
+    test('merges pseudo records into the real PUUID and leaves aliases', async () => {
+        await insertSummoner(db, 'opgg_Vrael_NA1_na1', 'Vrael', '2026-01-01 10:00:00', 1);
+        await insertSummoner(db, 'mobalytics_Vrael_NA1_na1', 'Vrael', '2026-01-02 10:00:00');
+        await exec(db, `
+            INSERT INTO matches (match_id, summoner_puuid, game_creation) VALUES ('NA1_1', 'opgg_Vrael_NA1_na1', 1), ('NA1_2', 'mobalytics_Vrael_NA1_na1', 2);
+            INSERT INTO match_participants (match_id, summoner_puuid, kills) VALUES
+                ('NA1_1', 'opgg_Vrael_NA1_na1', 3), ('NA1_1', 'mobalytics_Vrael_NA1_na1', 3), ('NA1_2', 'mobalytics_Vrael_NA1_na1', 5);
+            INSERT INTO ranked_stats (summoner_puuid, queue_type, tier) VALUES ('opgg_Vrael_NA1_na1', 'RANKED_SOLO_5x5', 'GOLD');
+        `);
+
+        const identity = await resolvePlayer(db, { puuid: REAL_PUUID, gameName: 'Vrael', tagLine: 'NA1', region: 'na1' });
+        assert.equal(identity.puuid, REAL_PUUID);
+        assert.deepEqual(identity.merged.sort(), ['mobalytics_Vrael_NA1_na1', 'opgg_Vrael_NA1_na1']);
+
+        assert.deepEqual(await all(db, 'SELECT puuid, watched FROM summoners'), [{ puuid: REAL_PUUID, watched: 1 }]);
+        assert.deepEqual(await all(db, 'SELECT DISTINCT summoner_puuid FROM matches'), [{ summoner_puuid: REAL_PUUID }]);
+        assert.deepEqual(await all(db, 'SELECT match_id, summoner_puuid FROM match_participants ORDER BY match_id'), [
+            { match_id: 'NA1_1', summoner_puuid: REAL_PUUID },
+            { match_id: 'NA1_2', summoner_puuid: REAL_PUUID }
+        ]);
+        assert.deepEqual(await all(db, 'SELECT summoner_puuid FROM ranked_stats'), [{ summoner_puuid: REAL_PUUID }]);
+        assert.equal(await resolveAlias(db, 'opgg_Vrael_NA1_na1'), REAL_PUUID);
+        assert.equal(await resolveAlias(db, REAL_PUUID), REAL_PUUID);
+    });
+
+    test('never merges two real PUUIDs that shared a Riot ID', async () => {
+        await insertSummoner(db, OTHER_PUUID, 'Vrael', '2026-01-01 10:00:00');
+        const identity = await resolvePlayer(db, { puuid: REAL_PUUID, gameName: 'Vrael', tagLine: 'NA1', region: 'na1' });
+        assert.deepEqual(identity, { puuid: REAL_PUUID, merged: [] });
+        assert.deepEqual(await all(db, 'SELECT puuid FROM summoners'), [{ puuid: OTHER_PUUID }]);
+    });
+
+    test('overlapping lookups each merge their own player', async () => {
+        await insertSummoner(db, 'opgg_Vrael_NA1_na1', 'Vrael', '2026-01-01 10:00:00');
+        await insertSummoner(db, 'opgg_Other_NA1_na1', 'Other', '2026-01-01 10:00:00');
+
+        const [first, second] = await Promise.all([
+            resolvePlayer(db, { puuid: REAL_PUUID, gameName: 'Vrael', tagLine: 'NA1', region: 'na1' }),
+            resolvePlayer(db, { puuid: OTHER_PUUID, gameName: 'Other', tagLine: 'NA1', region: 'na1' })
+        ]);
+        assert.deepEqual(first, { puuid: REAL_PUUID, merged: ['opgg_Vrael_NA1_na1'] });
+        assert.deepEqual(second, { puuid: OTHER_PUUID, merged: ['opgg_Other_NA1_na1'] });
+        assert.deepEqual(await all(db, 'SELECT puuid FROM summoners ORDER BY summoner_name'), [{ puuid: OTHER_PUUID }, { puuid: REAL_PUUID }]);
+    });
+
+    test('recordName keeps every Riot ID a player was seen under', async () => {
+        await recordName(db, REAL_PUUID, 'Vrael', 'NA1', 'na1');
+        await recordName(db, REAL_PUUID, 'NewName', 'NA1', 'na1');
+        await recordName(db, REAL_PUUID, 'vrael', 'NA1', 'na1');
+
+        const names = await all(db, 'SELECT game_name, first_seen_at <= last_seen_at AS ordered FROM summoner_names ORDER BY id');
+        assert.deepEqual(names, [{ game_name: 'vrael', ordered: 1 }, { game_name: 'NewName', ordered: 1 }]);
+    });
+});
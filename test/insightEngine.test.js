@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateRules, loadInsightRules, evaluateCondition, renderTemplate, evaluateRules } = require('../lib/insightEngine');
+const { buildInsightStats } = require('../lib/insightStats');
+const { loadBenchmarks } = require('../lib/benchmarks');
+
+const HOUR = 60 * 60 * 1000;
+const benchmarks = loadBenchmarks();
+const rules = loadInsightRules();
+
+// Newest first, like provider match lists
+function matches(results, overrides = {}) {
+    return [...results].map((result, index) => ({
+        gameCreation: Date.UTC(2024, 4, 1) + index * 3 * HOUR,
+        gameDuration: 30 * 60,
+        win: result === 'W',
+        kills: 6, deaths: 3, assists: 6,
+        csPerMinute: 6.6,
+        role: 'MIDDLE',
+        championName: ['Ahri', 'Syndra', 'Orianna'][index % 3],
+        ...overrides
+    })).reverse();
+}
+
+describe('conditions', () => {
+    const stats = { winRate: 0.3, kda: { percentile: 12 }, offRole: null };
+
+    test('compare stats and combine with all/any/not', () => {
+        assert.equal(evaluateCondition({ stat: 'winRate', op: '<', value: 0.4 }, stats), true);
+        assert.equal(evaluateCondition({ all: [{ stat: 'winRate', op: '<', value: 0.4 }, { stat: 'kda.percentile', op: '>', value: 75 }] }, stats), false);
+        assert.equal(evaluateCondition({ any: [{ stat: 'winRate', op: '>', value: 0.6 }, { stat: 'kda.percentile', op: '<=', value: 12 }] }, stats), true);
+        assert.equal(evaluateCondition({ not: { stat: 'winRate', op: '==', value: 0.3 } }, stats), false);
+    });
+
+    test('missing stats only match exists checks', () => {
+        assert.equal(evaluateCondition({ stat: 'cs.percentile', op: '<', value: 25 }, stats), false);
+        assert.equal(evaluateCondition({ stat: 'offRole', op: 'exists' }, stats), false);
+        assert.equal(evaluateCondition({ stat: 'offRole', op: 'exists', value: false }, stats), true);
+    });
+});
+
+test('renderTemplate fills in stats with filters', () => {
+    const stats = { winRate: 0.456, kda: { percentile: 22, median: 2.6 }, avgKDA: 1.84, bracket: 'Gold mid laners' };
+    assert.equal(
+        renderTemplate('{{avgKDA|decimal}} KDA, {{kda.percentile|ordinal}} percentile for {{bracket}} (median {{kda.median}}), {{ winRate | percent }} WR', stats),
+        '1.8 KDA, 22nd percentile for Gold mid laners (median 2.6), 46% WR'
+    );
+});
+
+describe('validateRules', () => {
+    const rule = { id: 'low', category: 'performance', priority: 1, when: { stat: 'winRate', op: '<', value: 0.4 }, title: 'Low', description: 'Win rate {{winRate|percent}}' };
+
+    test('accepts the bundled rules', () => {
+        assert.ok(rules.length > 0);
+    });
+
+    test('rejects malformed rules', () => {
+        const invalid = [
+            [rule, rule],
+            [{ ...rule, priority: 0 }],
+            [{ ...rule, when: { stat: 'winRate', op: '~', value: 1 } }],
+            [{ ...rule, when: { all: [] } }],
+            [{ ...rule, description: '{{winRate|shout}}' }]
+        ];
+        invalid.forEach(list => assert.throws(() => validateRules({ rules: list }), { code: 'INVALID_INSIGHT_RULES' }));
+    });
+});
+
+test('evaluateRules fires the first rule of each group, most important first', () => {
+    const groupRules = [
+        { id: 'praise', category: 'performance', priority: 3, when: { stat: 'winRate', op: '>', value: 0.5 }, title: 'Nice', description: '{{winRate|percent}}' },
+        { id: 'high', group: 'wr', category: 'performance', priority: 2, when: { stat: 'winRate', op: '>', value: 0.6 }, title: 'High', description: '-' },
+        { id: 'ok', group: 'wr', category: 'performance', priority: 2, when: { stat: 'winRate', op: '>', value: 0.5 }, title: 'Ok', description: '-' },
+        { id: 'first', category: 'general', priority: 1, when: { stat: 'winRate', op: 'exists' }, title: 'First', description: '-' }
+    ];
+    const insights = evaluateRules(groupRules, { winRate: 0.7 });
+    assert.deepEqual(insights.map(insight => insight.ruleId), ['first', 'high', 'praise']);
+    assert.deepEqual(insights[2], { type: 'performance', title: 'Nice', description: '70%', priority: 3, ruleId: 'praise' });
+});
+
+describe('bundled rules', () => {
+    const insightsFor = (data, sources) => evaluateRules(rules, buildInsightStats(data, benchmarks, sources));
+
+    test('benchmark and tilt insights from Riot matches', () => {
+        const insights = insightsFor(
+            { matches: matches('WWWWLLLL', { csPerMinute: 5.2 }), ranked: [{ queueType: 'RANKED_SOLO_5x5', tier: 'GOLD' }] },
+            { label: 'Riot API', official: true }
+        );
+        const byRule = Object.fromEntries(insights.map(insight => [insight.ruleId, insight]));
+
+        assert.equal(byRule['data-source-official'].title, '🌐 Using Riot API');
+        assert.equal(byRule['cs-low'].description.startsWith('Your 5.2 CS/min is around the 17th percentile for Gold mid laners (median 6.6).'), true);
+        assert.equal(byRule['loss-streak-tilt'].description.startsWith('You have lost your last 4 games in a row. After 2 straight losses you win 0%'), true);
+        assert.equal(byRule['win-rate-low'], undefined);
+    });
+
+    test('scraped data without matches uses the overall win rate', () => {
+        const insights = insightsFor({ matches: [], ranked: [], statistics: { winRate: 0.65 } }, { label: 'OP.GG', official: false });
+        assert.deepEqual(insights.map(insight => insight.ruleId), ['win-rate-high', 'data-source-public']);
+        assert.equal(insights[0].description.startsWith('Your win rate of 65%'), true);
+    });
+
+    test('no data at all', () => {
+        assert.deepEqual(insightsFor({}).map(insight => insight.ruleId), ['no-match-data']);
+    });
+});
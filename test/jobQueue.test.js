@@ -0,0 +1,160 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { REFRESH_JOBS_TABLE, ConcurrencyLimiter, parseConcurrencyLimits, RefreshJobQueue } = require('../lib/jobQueue');
+
+const VRAEL = { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1' };
+
+describe('RefreshJobQueue', () => {
+    let db;
+    let clock;
+
+    function createQueue(handler, options = {}) {
+        return new RefreshJobQueue({ db, handler, baseDelayMs: 1000, now: () => clock.now, ...options });
+    }
+
+    beforeEach(async () => {
+        clock = { now: Date.UTC(2026, 9, 1) };
+        db = new sqlite3.Database(':memory:');
+        await new Promise((resolve, reject) => db.run(REFRESH_JOBS_TABLE, err => err ? reject(err) : resolve()));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => db.close(resolve));
+    });
+
+    test('runs a queued job and stores its result', async () => {
+        const queue = createQueue(async job => ({ refreshed: `${job.summonerName}#${job.tagLine}` }));
+        const { job, created } = await queue.enqueue(VRAEL);
+        assert.equal(created, true);
+        assert.equal(job.status, 'queued');
+
+        await queue.tick();
+        await queue.drain();
+
+        const done = await queue.getJob(job.id);
+        assert.equal(done.status, 'succeeded');
+        assert.equal(done.attempts, 1);
+        assert.deepEqual(done.result, { refreshed: 'Vrael#NA1' });
+    });
+
+    test('returns the pending job instead of queueing a duplicate', async () => {
+        const queue = createQueue(async () => null);
+        const first = await queue.enqueue(VRAEL);
+        const second = await queue.enqueue({ summonerName: 'vrael', tagLine: 'na1', region: 'NA1' });
+
+        assert.equal(second.created, false);
+        assert.equal(second.job.id, first.job.id);
+    });
+
+    test('retries with exponential backoff, then fails', async () => {
+        const queue = createQueue(async () => { throw new Error('OP.GG unavailable'); }, { maxAttempts: 3 });
+        const { job } = await queue.enqueue(VRAEL);
+        const start = clock.now;
+
+        await queue.tick();
+        await queue.drain();
+        let state = await queue.getJob(job.id);
+        assert.equal(state.status, 'queued');
+        assert.equal(state.lastError, 'OP.GG unavailable');
+        assert.equal(Date.parse(state.nextRunAt), start + 1000);
+
+        // Not due yet
+        assert.deepEqual(await queue.tick(), []);
+
+        clock.now = start + 1000;
+        await queue.tick();
+        await queue.drain();
+        state = await queue.getJob(job.id);
+        assert.equal(Date.parse(state.nextRunAt), start + 1000 + 2000);
+
+        clock.now = start + 3000;
+        await queue.tick();
+        await queue.drain();
+        state = await queue.getJob(job.id);
+        assert.equal(state.status, 'failed');
+        assert.equal(state.attempts, 3);
+    });
+
+    test('claims no more jobs than the concurrency limit', async () => {
+        let release;
+        const blocked = new Promise(resolve => { release = resolve; });
+        const queue = createQueue(() => blocked, { concurrency: 2 });
+        for (const summonerName of ['One', 'Two', 'Three']) {
+            await queue.enqueue({ ...VRAEL, summonerName });
+        }
+
+        assert.equal((await queue.tick()).length, 2);
+        assert.equal((await queue.tick()).length, 0);
+        release();
+        await queue.drain();
+
+        assert.deepEqual((await queue.listJobs()).map(job => job.status), ['queued', 'succeeded', 'succeeded']);
+    });
+
+    test('overlapping ticks stay within the concurrency limit', async () => {
+        let release;
+        const blocked = new Promise(resolve => { release = resolve; });
+        const queue = createQueue(() => blocked, { concurrency: 2 });
+        for (const summonerName of ['One', 'Two', 'Three', 'Four']) {
+            await queue.enqueue({ ...VRAEL, summonerName });
+        }
+
+        // The second tick starts while the first is between its SELECT and its claims
+        const first = queue.tick();
+        await queue.getJob(1);
+        const second = queue.tick();
+        assert.deepEqual((await Promise.all([first, second])).map(jobs => jobs.length), [2, 0]);
+        assert.equal(queue.running.size, 2);
+        release();
+        await queue.drain();
+    });
+
+    test('a failed status update is logged, not thrown', async () => {
+        // The job's row can't be updated once the table is gone
+        const queue = createQueue(() => new Promise((resolve, reject) => db.run('DROP TABLE refresh_jobs', err => err ? reject(err) : resolve(null))));
+        await queue.enqueue(VRAEL);
+
+        assert.equal((await queue.tick()).length, 1);
+        await queue.drain();
+        assert.equal(queue.running.size, 0);
+    });
+
+    test('re-queues jobs interrupted by a restart', async () => {
+        const queue = createQueue(async () => null);
+        const { job } = await queue.enqueue(VRAEL);
+        await new Promise(resolve => db.run("UPDATE refresh_jobs SET status = 'running' WHERE id = ?", [job.id], resolve));
+
+        assert.equal(await queue.recoverInterrupted(), 1);
+        assert.equal((await queue.getJob(job.id)).status, 'queued');
+        assert.deepEqual((await queue.listJobs({ status: 'queued' })).map(queued => queued.id), [job.id]);
+    });
+});
+
+describe('ConcurrencyLimiter', () => {
+    test('runs at most the limit per key', async () => {
+        const limiter = new ConcurrencyLimiter({ opgg: 2 }, 1);
+        const running = { opgg: 0, mobalytics: 0 };
+        const peak = { opgg: 0, mobalytics: 0 };
+        const task = key => async () => {
+            running[key]++;
+            peak[key] = Math.max(peak[key], running[key]);
+            await new Promise(resolve => setImmediate(resolve));
+            running[key]--;
+        };
+
+        await Promise.all([
+            ...[1, 2, 3, 4, 5].map(() => limiter.run('opgg', task('opgg'))),
+            ...[1, 2, 3].map(() => limiter.run('mobalytics', task('mobalytics')))
+        ]);
+
+        assert.deepEqual(peak, { opgg: 2, mobalytics: 1 });
+        assert.deepEqual(limiter.getStatus().opgg, { active: 0, waiting: 0, limit: 2 });
+    });
+
+    test('parses per-source limits', () => {
+        assert.deepEqual(parseConcurrencyLimits('OPGG:2, mobalytics:1, bad:0'), { opgg: 2, mobalytics: 1 });
+        assert.deepEqual(parseConcurrencyLimits(undefined), {});
+    });
+});
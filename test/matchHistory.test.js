@@ -0,0 +1,84 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MatchHistoryPanel = require('../js/matchHistory');
+
+const historyRow = {
+    match_id: 'NA1_101', game_creation: 1000, game_duration: 1830, queue_id: 420,
+    champion_name: 'Ahri', win: 1, kills: 8, deaths: 2, assists: 10, kda_ratio: 9,
+    cs_per_minute: 7.4, total_minions_killed: 226, gold_earned: 12850, vision_score: 24,
+    damage_dealt: 28400, damage_taken: 15200, kill_participation: 0.62,
+    first_blood: 0, first_tower: 1, double_kills: 2, triple_kills: 1, quadra_kills: 0,
+    penta_kills: 0, largest_killing_spree: 5
+};
+
+describe('MatchHistoryPanel', () => {
+    test('maps stored history rows to match fields', () => {
+        const match = MatchHistoryPanel.fromHistoryRow(historyRow);
+        assert.equal(match.matchId, 'NA1_101');
+        assert.equal(match.win, true);
+        assert.equal(match.firstTower, true);
+        assert.equal(match.goldEarned, 12850);
+    });
+
+    test('filters and pages response matches locally without a backend', () => {
+        const panel = Object.assign(Object.create(MatchHistoryPanel.prototype), {
+            pageSize: 2,
+            page: 1,
+            queue: '420',
+            localMatches: [420, 450, 420, 420, 440].map((queueId, index) => ({ matchId: `NA1_${index}`, queueId, win: index % 2 === 0 }))
+        });
+
+        const { matches, total, summary } = panel.localPage();
+        assert.deepEqual(matches.map(match => match.matchId), ['NA1_3']);
+        assert.equal(total, 3);
+        assert.deepEqual([summary.wins, summary.losses], [2, 1]);
+    });
+
+    test('pages the response locally when the backend stored fewer of its matches', async () => {
+        const localMatches = [420, 420, 450].map((queueId, index) => ({ matchId: `NA1_${index}`, queueId, win: true }));
+        const storedPage = total => ({
+            matches: [{ matchId: 'NA1_9', queueId: 450, win: true }].slice(0, total),
+            total,
+            summary: MatchHistoryPanel.summarize([])
+        });
+        const shown = async (stored, queue = 'all') => {
+            let rendered;
+            const panel = Object.assign(Object.create(MatchHistoryPanel.prototype), {
+                pageSize: 10, page: 0, queue, puuid: 'puuid-vrael', localMatches,
+                fetchPage: async () => stored,
+                showLoading: () => {},
+                render: result => { rendered = result; }
+            });
+            await panel.refresh();
+            return rendered.matches.map(match => match.matchId);
+        };
+
+        assert.deepEqual(await shown(storedPage(0)), ['NA1_0', 'NA1_1', 'NA1_2']);
+        assert.deepEqual(await shown(storedPage(1)), ['NA1_0', 'NA1_1', 'NA1_2']);
+        assert.deepEqual(await shown(null), ['NA1_0', 'NA1_1', 'NA1_2']);
+        // The backend wins once it has at least as many games under the filter
+        assert.deepEqual(await shown(storedPage(1), '450'), ['NA1_9']);
+    });
+
+    test('summarizes wins, losses and averages', () => {
+        const summary = MatchHistoryPanel.summarize([
+            { win: true, kdaRatio: 4, csPerMinute: 8 },
+            { win: false, kdaRatio: 1, csPerMinute: null },
+            { win: true, kdaRatio: 1, csPerMinute: 6 }
+        ]);
+        assert.deepEqual(summary, { wins: 2, losses: 1, avgKDA: 2, avgCS: 7 });
+    });
+
+    test('lists only the stats a match has', () => {
+        const stats = Object.fromEntries(MatchHistoryPanel.detailStats(MatchHistoryPanel.fromHistoryRow(historyRow)));
+        assert.equal(stats['Queue'], 'Ranked Solo');
+        assert.equal(stats['Duration'], '30:30');
+        assert.equal(stats['Multi-kills'], '2 Double, 1 Triple');
+        assert.equal(stats['Kill Participation'], '62%');
+        assert.equal(stats['First Blood'], undefined);
+
+        const scraped = Object.fromEntries(MatchHistoryPanel.detailStats({ win: false, kills: 1, deaths: 4, assists: 2 }));
+        assert.deepEqual(Object.keys(scraped), ['Result', 'Queue', 'K / D / A']);
+    });
+});
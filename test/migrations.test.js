@@ -0,0 +1,91 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { MIGRATIONS, getSchemaVersion, runMigrations } = require('../lib/migrations');
+const { all, exec } = require('../lib/db');
+
+const columns = async (db, table) => (await all(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+const indexes = async (db, table) => (await all(db, `PRAGMA index_list(${table})`)).map(index => index.name);
+
+describe('runMigrations', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new sqlite3.Database(':memory:');
+    });
+
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    test('creates the schema on an empty database', async () => {
+        const result = await runMigrations(db);
+        assert.deepEqual(result, { from: 0, to: MIGRATIONS.length, applied: MIGRATIONS.map(migration => migration.version) });
+
+        assert.ok((await columns(db, 'match_participants')).includes('role'));
+        assert.ok((await indexes(db, 'matches')).includes('idx_matches_summoner'));
+        assert.ok((await indexes(db, 'matches')).includes('idx_matches_game_creation'));
+        const versions = await all(db, 'SELECT version, name FROM schema_version ORDER BY version');
+        assert.equal(versions.length, MIGRATIONS.length);
+    });
+
+    test('does nothing when the schema is current', async () => {
+        await runMigrations(db);
+        assert.deepEqual(await runMigrations(db), { from: MIGRATIONS.length, to: MIGRATIONS.length, applied: [] });
+    });
+
+    test('adopts a database created before the migration runner', async () => {
+        // Part of the old upgrades already ran; duplicate participant rows still exist, and
+        // one player has separate OP.GG and Mobalytics pseudo-PUUID rows
+        await exec(db, `
+            CREATE TABLE summoners (id INTEGER PRIMARY KEY AUTOINCREMENT, puuid TEXT UNIQUE NOT NULL, summoner_name TEXT NOT NULL,
+                tag_line TEXT NOT NULL, summoner_level INTEGER, profile_icon_id INTEGER, region TEXT NOT NULL,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, watched BOOLEAN DEFAULT 0);
+            CREATE TABLE match_participants (id INTEGER PRIMARY KEY AUTOINCREMENT, match_id TEXT NOT NULL,
+                summoner_puuid TEXT NOT NULL, kills INTEGER);
+            INSERT INTO summoners (puuid, summoner_name, tag_line, region, last_updated, watched) VALUES
+                ('opgg_Vrael_NA1_na1', 'Vrael', 'NA1', 'na1', '2026-01-01 10:00:00', 1),
+                ('mobalytics_vrael_na1_na1', 'vrael', 'na1', 'na1', '2026-01-02 10:00:00', 0);
+            INSERT INTO match_participants (match_id, summoner_puuid, kills) VALUES
+                ('NA1_1', 'opgg_Vrael_NA1_na1', 3), ('NA1_1', 'opgg_Vrael_NA1_na1', 3),
+                ('NA1_1', 'mobalytics_vrael_na1_na1', 3), ('NA1_2', 'mobalytics_vrael_na1_na1', 5);
+        `);
+
+        await runMigrations(db);
+        assert.ok((await columns(db, 'match_participants')).includes('role'));
+        assert.equal(await getSchemaVersion(db), MIGRATIONS.length);
+
+        // Merged into the most recently updated row, keeping the watched flag
+        assert.deepEqual(await all(db, 'SELECT puuid, watched, riot_id_key FROM summoners'),
+            [{ puuid: 'mobalytics_vrael_na1_na1', watched: 1, riot_id_key: 'vrael#na1@na1' }]);
+        assert.deepEqual(await all(db, 'SELECT match_id, summoner_puuid FROM match_participants ORDER BY match_id'), [
+            { match_id: 'NA1_1', summoner_puuid: 'mobalytics_vrael_na1_na1' },
+            { match_id: 'NA1_2', summoner_puuid: 'mobalytics_vrael_na1_na1' }
+        ]);
+        assert.deepEqual(await all(db, 'SELECT alias_puuid, puuid FROM summoner_aliases'),
+            [{ alias_puuid: 'opgg_Vrael_NA1_na1', puuid: 'mobalytics_vrael_na1_na1' }]);
+    });
+
+    test('rolls back a failed migration and keeps the previous version', async () => {
+        const migrations = [
+            MIGRATIONS[0],
+            { version: 2, name: 'broken', steps: ['CREATE TABLE extra (id INTEGER)', 'CREATE INDEX idx_missing ON nowhere (id)'] }
+        ];
+
+        await assert.rejects(runMigrations(db, migrations), error => {
+            assert.equal(error.migration, 2);
+            assert.match(error.message, /Migration 2 \(broken\) failed/);
+            return true;
+        });
+        assert.equal(await getSchemaVersion(db), 1);
+        assert.deepEqual(await all(db, "SELECT name FROM sqlite_master WHERE name = 'extra'"), []);
+    });
+
+    test('refuses a database from a newer server', async () => {
+        await runMigrations(db);
+        await assert.rejects(runMigrations(db, MIGRATIONS.slice(0, 1)), { code: 'SCHEMA_TOO_NEW' });
+    });
+
+    test('rejects gaps in the version numbers', async () => {
+        await assert.rejects(runMigrations(db, [{ ...MIGRATIONS[0], version: 2 }]), /expected 1/);
+    });
+});
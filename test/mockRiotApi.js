@@ -0,0 +1,207 @@
+/**
+ * LoL Coach App - Mock Riot API
+ * Serves account-v1, summoner-v4, league-v4, match-v5 and lol-status from the JSON fixtures in
+ * test/fixtures/riot so the Riot provider can run without a key or network.
+ *
+ * Faults are queued and consumed one per API request:
+ *   POST   /__mock/faults  { mode: '429' | '503' | '403' | 'timeout', count: 1, retryAfter: 1, delayMs: 30000 }
+ *   DELETE /__mock/faults  clears the queue
+ *   GET    /__mock/state   pending faults and the request log
+ *
+ * Run standalone with `npm run mock:riot` (MOCK_RIOT_PORT, MOCK_RIOT_FAULTS="429:2,timeout:1"),
+ * then start the backend with RIOT_API_BASE_URL=http://localhost:4010 RIOT_API_KEY=mock.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'riot');
+const FAULT_MODES = ['429', '503', '403', 'timeout'];
+
+function loadFixtures(dir = FIXTURE_DIR) {
+    const read = name => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+    return {
+        accounts: read('accounts'),
+        summoners: read('summoners'),
+        leagues: read('leagues'),
+        matches: read('matches')
+    };
+}
+
+// Riot error body format
+function sendRiotError(res, status, message) {
+    res.status(status).json({ status: { message, status_code: status } });
+}
+
+// "429:2,timeout:1" → [{ mode: '429', count: 2 }, { mode: 'timeout', count: 1 }]
+function parseFaultList(value) {
+    if (!value) return [];
+    return String(value).split(',').map(part => {
+        const [mode, count] = part.trim().split(':');
+        return { mode, count: parseInt(count) || 1 };
+    });
+}
+
+function createMockRiotApi(options = {}) {
+    const fixtures = options.fixtures || loadFixtures(options.fixtureDir);
+    const state = { faults: [], requests: [] };
+    const pendingTimers = new Set();
+
+    function addFault({ mode, count = 1, retryAfter = 1, delayMs = 30000 }) {
+        if (!FAULT_MODES.includes(String(mode))) {
+            throw new Error(`Unknown fault mode: ${mode}. Use one of: ${FAULT_MODES.join(', ')}`);
+        }
+        for (let i = 0; i < count; i++) {
+            state.faults.push({ mode: String(mode), retryAfter, delayMs });
+        }
+    }
+
+    function clearFaults() {
+        state.faults = [];
+    }
+
+    const app = express();
+    app.use(express.json());
+
+    // Fault control
+    app.get('/__mock/state', (req, res) => {
+        res.json(state);
+    });
+
+    app.post('/__mock/faults', (req, res) => {
+        try {
+            addFault(req.body || {});
+            res.json({ faults: state.faults });
+        } catch (error) {
+            res.status(400).json({ error: 'Invalid fault', message: error.message });
+        }
+    });
+
+    app.delete('/__mock/faults', (req, res) => {
+        clearFaults();
+        res.json({ faults: state.faults });
+    });
+
+    // Every API request is logged, needs a key and consumes the next queued fault
+    app.use((req, res, next) => {
+        state.requests.push({ method: req.method, path: req.originalUrl, key: req.get('X-Riot-Token') || null });
+
+        if (!req.get('X-Riot-Token')) {
+            return sendRiotError(res, 401, 'Unauthorized');
+        }
+
+        const fault = state.faults.shift();
+        if (!fault) return next();
+
+        switch (fault.mode) {
+            case '429':
+                res.set('Retry-After', String(fault.retryAfter));
+                return sendRiotError(res, 429, 'Rate limit exceeded');
+            case '503':
+                return sendRiotError(res, 503, 'Service unavailable');
+            case '403':
+                return sendRiotError(res, 403, 'Forbidden');
+            case 'timeout': {
+                const timer = setTimeout(() => {
+                    pendingTimers.delete(timer);
+                    if (!res.headersSent) sendRiotError(res, 504, 'Gateway timeout');
+                }, fault.delayMs);
+                pendingTimers.add(timer);
+                return;
+            }
+        }
+    });
+
+    // account-v1
+    app.get('/riot/account/v1/accounts/by-riot-id/:gameName/:tagLine', (req, res) => {
+        const account = fixtures.accounts.find(entry =>
+            entry.gameName.toLowerCase() === req.params.gameName.toLowerCase() &&
+            entry.tagLine.toLowerCase() === req.params.tagLine.toLowerCase()
+        );
+        if (!account) return sendRiotError(res, 404, 'Data not found - No results found for player with riot id');
+        res.json(account);
+    });
+
+    app.get('/riot/account/v1/accounts/by-puuid/:puuid', (req, res) => {
+        const account = fixtures.accounts.find(entry => entry.puuid === req.params.puuid);
+        if (!account) return sendRiotError(res, 404, 'Data not found - No account found');
+        res.json(account);
+    });
+
+    // summoner-v4
+    app.get('/lol/summoner/v4/summoners/by-puuid/:puuid', (req, res) => {
+        const summoner = fixtures.summoners[req.params.puuid];
+        if (!summoner) return sendRiotError(res, 404, 'Data not found - summoner not found');
+        res.json(summoner);
+    });
+
+    // league-v4
+    app.get('/lol/league/v4/entries/by-puuid/:puuid', (req, res) => {
+        res.json(fixtures.leagues[req.params.puuid] || []);
+    });
+
+    // match-v5: ids newest first, filtered like the real endpoint
+    app.get('/lol/match/v5/matches/by-puuid/:puuid/ids', (req, res) => {
+        const start = parseInt(req.query.start) || 0;
+        const count = parseInt(req.query.count) || 20;
+        const queue = req.query.queue ? parseInt(req.query.queue) : null;
+
+        const ids = Object.values(fixtures.matches)
+            .filter(match => match.metadata.participants.includes(req.params.puuid))
+            .filter(match => queue === null || match.info.queueId === queue)
+            .sort((a, b) => b.info.gameCreation - a.info.gameCreation)
+            .map(match => match.metadata.matchId);
+        res.json(ids.slice(start, start + count));
+    });
+
+    app.get('/lol/match/v5/matches/:matchId', (req, res) => {
+        const match = fixtures.matches[req.params.matchId];
+        if (!match) return sendRiotError(res, 404, 'Data not found - match file not found');
+        res.json(match);
+    });
+
+    // lol-status: the client checks a key here after a 403
+    app.get('/lol/status/v4/platform-data', (req, res) => {
+        res.json({ id: 'NA1', name: 'North America', locales: ['en_US'], maintenances: [], incidents: [] });
+    });
+
+    app.use((req, res) => sendRiotError(res, 404, 'Not found'));
+
+    // Start listening; port 0 picks a free port. Resolves with { server, baseUrl, close }.
+    function listen(port = 0) {
+        return new Promise(resolve => {
+            const server = app.listen(port, () => {
+                const baseUrl = `http://127.0.0.1:${server.address().port}`;
+                resolve({
+                    server,
+                    baseUrl,
+                    close: () => new Promise(done => {
+                        pendingTimers.forEach(timer => clearTimeout(timer));
+                        pendingTimers.clear();
+                        server.closeAllConnections();
+                        server.close(() => done());
+                    })
+                });
+            });
+        });
+    }
+
+    return { app, state, addFault, clearFaults, listen };
+}
+
+if (require.main === module) {
+    const mock = createMockRiotApi();
+    parseFaultList(process.env.MOCK_RIOT_FAULTS).forEach(fault => mock.addFault(fault));
+    mock.listen(parseInt(process.env.MOCK_RIOT_PORT) || 4010).then(({ baseUrl }) => {
+        console.log(`🧪 Mock Riot API running on ${baseUrl}`);
+        console.log(`   Start the backend with RIOT_API_BASE_URL=${baseUrl} RIOT_API_KEY=mock`);
+    });
+}
+
+module.exports = {
+    FAULT_MODES,
+    loadFixtures,
+    parseFaultList,
+    createMockRiotApi
+};
@@ -0,0 +1,119 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const { createMockRiotApi, parseFaultList } = require('./mockRiotApi');
+const { RiotApiClient } = require('../lib/riotApi');
+const { TokenBucketRateLimiter } = require('../lib/rateLimiter');
+
+const PUUID = 'mock-puuid-vrael';
+
+describe('Riot API client against the mock server', () => {
+    const mock = createMockRiotApi();
+    let running;
+    let sleeps;
+
+    // Real HTTP against the mock; backoff sleeps are recorded instead of waited
+    function createClient(options = {}) {
+        return new RiotApiClient({
+            apiKeys: 'mock-key',
+            baseUrl: running.baseUrl,
+            rateLimiter: new TokenBucketRateLimiter([{ limit: 100, intervalMs: 1000 }]),
+            timeoutMs: 500,
+            sleep: async ms => { sleeps.push(ms); },
+            ...options
+        });
+    }
+
+    before(async () => {
+        running = await mock.listen(0);
+    });
+
+    after(async () => {
+        await running.close();
+    });
+
+    beforeEach(() => {
+        mock.clearFaults();
+        mock.state.requests.length = 0;
+        sleeps = [];
+    });
+
+    test('serves a full profile from the fixtures', async () => {
+        const profile = await createClient().fetchPlayerProfile('vrael', 'na1', 'na1');
+
+        assert.equal(profile.summoner.puuid, PUUID);
+        assert.equal(profile.summoner.level, 287);
+        assert.deepEqual(profile.ranked.map(entry => entry.queueType), ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR']);
+        assert.deepEqual(profile.matches.map(match => match.matchId), ['NA1_4567890103', 'NA1_4567890102', 'NA1_4567890101']);
+        assert.equal(profile.matchDetails[0].info.participants.length, 10);
+    });
+
+    test('finds the Riot ID of a PUUID', async () => {
+        const account = await createClient().fetchAccountByPUUID(PUUID, 'na1');
+        assert.deepEqual([account.gameName, account.tagLine], ['Vrael', 'NA1']);
+    });
+
+    test('retries after a 429 using Retry-After', async () => {
+        mock.addFault({ mode: '429', count: 2, retryAfter: 2 });
+        const account = await createClient().fetchSummonerByRiotID('Vrael', 'NA1', 'na1');
+
+        assert.equal(account.puuid, PUUID);
+        assert.equal(mock.state.requests.length, 3);
+        assert.deepEqual(sleeps, [2000, 2000]);
+    });
+
+    test('backs off exponentially on 503', async () => {
+        mock.addFault({ mode: '503', count: 3 });
+        await createClient({ baseDelayMs: 100 }).fetchSummonerByPUUID(PUUID, 'na1');
+
+        assert.equal(sleeps.length, 3);
+        sleeps.forEach((ms, attempt) => {
+            assert.ok(ms >= 100 * 2 ** attempt && ms < 100 * 2 ** attempt + 100, `attempt ${attempt} waited ${ms}ms`);
+        });
+    });
+
+    test('retries requests that time out', async () => {
+        mock.addFault({ mode: 'timeout', delayMs: 5000 });
+        const ranked = await createClient({ timeoutMs: 200 }).fetchRankedStats(PUUID, 'na1');
+
+        assert.equal(ranked.length, 2);
+        assert.equal(mock.state.requests.length, 2);
+        assert.equal(sleeps.length, 1);
+    });
+
+    test('gives up after maxRetries', async () => {
+        mock.addFault({ mode: '503', count: 5 });
+        await assert.rejects(
+            createClient({ maxRetries: 2 }).fetchMatchHistory(PUUID, 'na1'),
+            error => error.response.status === 503
+        );
+        assert.equal(mock.state.requests.length, 3);
+    });
+
+    test('rotates keys when the mock rejects one', async () => {
+        // The request and the status check after it are both refused
+        mock.addFault({ mode: '403', count: 2 });
+        const client = createClient({ apiKeys: 'expired-key,fresh-key' });
+        await client.fetchMatchDetails('NA1_4567890101', 'na1');
+
+        assert.deepEqual(mock.state.requests.map(request => request.key), ['expired-key', 'expired-key', 'fresh-key']);
+        assert.equal(mock.state.requests[1].path, '/lol/status/v4/platform-data');
+        assert.equal(client.getStatus().expiredKeys.length, 1);
+    });
+
+    test('keeps a key the status endpoint still accepts after a 403', async () => {
+        mock.addFault({ mode: '403' });
+        const client = createClient({ apiKeys: 'good-key,spare-key' });
+        await assert.rejects(client.fetchMatchDetails('NA1_4567890101', 'na1'), error => error.response.status === 403);
+
+        assert.deepEqual(mock.state.requests.map(request => request.key), ['good-key', 'good-key']);
+        assert.equal(client.getStatus().expiredKeys.length, 0);
+    });
+
+    test('fault control endpoints validate the mode', async () => {
+        const response = await axios.post(`${running.baseUrl}/__mock/faults`, { mode: '418' }, { validateStatus: () => true });
+        assert.equal(response.status, 400);
+        assert.deepEqual(parseFaultList('429:2, timeout'), [{ mode: '429', count: 2 }, { mode: 'timeout', count: 1 }]);
+    });
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OP_SCORE_VERSION, calculateOPScore } = require('../lib/opScore');
+
+const soloQueue = { queueType: 'RANKED_SOLO_5x5', tier: 'GOLD', rank: 'II', leaguePoints: 45, wins: 30, losses: 20 };
+const matches = [
+    { kills: 5, deaths: 2, assists: 5, csPerMinute: 6 },
+    { kills: 2, deaths: 4, assists: 6, csPerMinute: 5 }
+];
+
+test('scores each component with its weight and cap', () => {
+    const result = calculateOPScore(matches, [soloQueue]);
+    const points = Object.fromEntries(result.components.map(component => [component.id, component.points]));
+
+    assert.equal(result.version, OP_SCORE_VERSION);
+    // 50 base + 0.6 × 30 + Gold 5 + KDA 3.5 × 8 capped at 25 + 5.5 CS/min × 2
+    assert.deepEqual(points, { winRate: 18, rank: 5, kda: 25, cs: 11 });
+    assert.equal(result.rawScore, 109);
+    assert.equal(result.score, 100);
+    assert.equal(result.components[0].detail, '60% over 50 solo queue games');
+    assert.equal(result.components[2].value, 3.5);
+});
+
+test('components without data add no points', () => {
+    const result = calculateOPScore([], [{ ...soloQueue, queueType: 'RANKED_FLEX_SR' }]);
+    assert.equal(result.score, 50);
+    assert.deepEqual(result.components.map(component => component.detail), ['No data', 'No data', 'No data', 'No data']);
+});
+
+test('low ranks can pull the score down', () => {
+    const result = calculateOPScore(
+        [{ kills: 0, deaths: 10, assists: 0, csPerMinute: 2 }],
+        [{ ...soloQueue, tier: 'IRON', wins: 1, losses: 9 }]
+    );
+    assert.equal(result.components.find(component => component.id === 'rank').points, -5);
+    assert.equal(result.rawScore, 50 + 3 - 5 + 0 + 4);
+});
+
+test('recent KDA uses kdaRatio and skips games without a KDA', () => {
+    const result = calculateOPScore([
+        { kdaRatio: 2, kills: 9, deaths: 1, assists: 9, csPerMinute: 6 },
+        { kdaRatio: null, kills: null, deaths: null, assists: null, csPerMinute: null },
+        { kills: 4, deaths: 2, assists: 4, csPerMinute: 8 }
+    ], [soloQueue]);
+    const kda = result.components.find(component => component.id === 'kda');
+    const cs = result.components.find(component => component.id === 'cs');
+
+    assert.equal(kda.value, 3);
+    assert.equal(kda.detail, '3.00 over 2 games');
+    assert.equal(cs.value, 7);
+    assert.equal(cs.detail, '7.0 CS/min over 2 games');
+});
@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PerformanceChart = require('../js/performanceChart');
+
+function match(gameCreation, win, kdaRatio, csPerMinute, extra = {}) {
+    return { matchId: `NA1_${gameCreation}`, gameCreation, championName: 'Ahri', win, kills: 5, deaths: 2, assists: 7, kdaRatio, csPerMinute, ...extra };
+}
+
+describe('PerformanceChart.buildSeries', () => {
+    // Newest first, as the API returns them
+    const matches = [
+        match(5000, true, 4, 7.5),
+        match(4000, false, 1.2, 6.1),
+        match(3000, true, 3, null),
+        match(2000, true, 6, 8.2, { invalid: true }),
+        match(1000, false, 0.5, 5.0)
+    ];
+
+    test('computes a rolling win rate in chronological order', () => {
+        const series = PerformanceChart.buildSeries('winrate', { matches }, 2);
+        assert.deepEqual(series.points.map(point => point.y), [0, 50, 50, 50]);
+        assert.deepEqual(series.points.map(point => point.win), [false, true, false, true]);
+        assert.equal(series.yMax, 100);
+    });
+
+    test('skips games without the metric', () => {
+        const series = PerformanceChart.buildSeries('cs', { matches });
+        assert.deepEqual(series.points.map(point => point.y), [5.0, 6.1, 7.5]);
+        assert.match(series.points[2].tooltip[0], /^Game 4: Ahri \(Victory\)/);
+    });
+
+    test('charts solo queue ladder points with LP changes in the tooltip', () => {
+        const rankedTimeline = [
+            { queueType: 'RANKED_FLEX_SR', snapshots: [{ ladderPoints: 880, tier: 'SILVER', rank: 'I', leaguePoints: 80 }] },
+            {
+                queueType: 'RANKED_SOLO_5x5',
+                snapshots: [
+                    { ladderPoints: 1580, tier: 'GOLD', rank: 'I', leaguePoints: 80, lpChange: null, change: null },
+                    { ladderPoints: 1600, tier: 'PLATINUM', rank: 'IV', leaguePoints: 0, lpChange: 20, gamesPlayed: 1, change: 'promotion' }
+                ]
+            }
+        ];
+        const series = PerformanceChart.buildSeries('lp', { matches, rankedTimeline });
+        assert.deepEqual(series.points.map(point => point.y), [1580, 1600]);
+        assert.deepEqual(series.points[1].tooltip.slice(0, 3), ['Platinum IV 0 LP', '+20 LP over 1 game', '⬆ Promoted']);
+    });
+
+    test('reports an empty series without data', () => {
+        const series = PerformanceChart.buildSeries('lp', { matches: [], rankedTimeline: [] });
+        assert.equal(series.points.length, 0);
+        assert.ok(series.emptyMessage);
+    });
+});
+
+test('formatLadderTick labels divisions and the apex ladder', () => {
+    assert.equal(PerformanceChart.formatLadderTick(0), 'I4');
+    assert.equal(PerformanceChart.formatLadderTick(1400), 'G2');
+    assert.equal(PerformanceChart.formatLadderTick(2950), 'M 150');
+});
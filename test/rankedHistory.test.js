@@ -0,0 +1,73 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ladderPoints, isSameRankedSnapshot, sqliteTimestampToIso, buildRankedTimeline } = require('../lib/rankedHistory');
+
+function row(id, lastUpdated, tier, rank, leaguePoints, wins, losses, queueType = 'RANKED_SOLO_5x5') {
+    return {
+        id, queue_type: queueType, tier, rank_division: rank, league_points: leaguePoints,
+        wins, losses, last_updated: lastUpdated, last_seen_at: null
+    };
+}
+
+describe('ladderPoints', () => {
+    test('places divisions 100 LP apart', () => {
+        assert.equal(ladderPoints('IRON', 'IV', 0), 0);
+        assert.equal(ladderPoints('GOLD', 'II', 45), 3 * 400 + 200 + 45);
+        assert.equal(ladderPoints('GOLD', 'I', 0) - ladderPoints('GOLD', 'II', 90), 10);
+    });
+
+    test('puts every apex tier on the Master ladder', () => {
+        assert.equal(ladderPoints('MASTER', null, 0), ladderPoints('DIAMOND', 'I', 100));
+        assert.equal(ladderPoints('GRANDMASTER', null, 350), ladderPoints('MASTER', null, 350));
+        assert.equal(ladderPoints('Unranked', null, 0), null);
+    });
+});
+
+describe('buildRankedTimeline', () => {
+    const rows = [
+        row(3, '2026-10-03 18:00:00', 'PLATINUM', 'IV', 0, 37, 29),
+        row(1, '2026-10-01 18:00:00', 'GOLD', 'I', 80, 34, 28),
+        row(2, '2026-10-02 18:00:00', 'GOLD', 'I', 98, 35, 28),
+        row(4, '2026-10-04 18:00:00', 'GOLD', 'I', 85, 37, 30),
+        row(5, '2026-10-02 12:00:00', 'SILVER', 'I', 80, 6, 5, 'RANKED_FLEX_SR')
+    ];
+    const [solo, flex] = buildRankedTimeline(rows);
+
+    test('orders snapshots and computes LP changes across promotions', () => {
+        assert.equal(solo.queueType, 'RANKED_SOLO_5x5');
+        assert.deepEqual(solo.snapshots.map(snapshot => snapshot.lpChange), [null, 18, 2, -15]);
+        assert.deepEqual(solo.snapshots.map(snapshot => snapshot.gamesPlayed), [null, 1, 3, 1]);
+        assert.deepEqual(solo.snapshots.map(snapshot => snapshot.change), [null, null, 'promotion', 'demotion']);
+        assert.equal(solo.netLpChange, 5);
+        assert.equal(solo.current.tier, 'GOLD');
+        assert.equal(solo.current.recordedAt, '2026-10-04T18:00:00.000Z');
+    });
+
+    test('keeps queues separate', () => {
+        assert.equal(flex.queueType, 'RANKED_FLEX_SR');
+        assert.equal(flex.snapshots.length, 1);
+        assert.equal(flex.netLpChange, 0);
+    });
+
+    test('returns no queues without rows', () => {
+        assert.deepEqual(buildRankedTimeline([]), []);
+    });
+});
+
+describe('isSameRankedSnapshot', () => {
+    const stored = row(1, '2026-10-01 18:00:00', 'GOLD', 'II', 45, 34, 28);
+
+    test('matches an unchanged canonical entry', () => {
+        assert.equal(isSameRankedSnapshot(stored, { tier: 'GOLD', rank: 'II', leaguePoints: 45, wins: 34, losses: 28 }), true);
+    });
+
+    test('detects LP and record changes', () => {
+        assert.equal(isSameRankedSnapshot(stored, { tier: 'GOLD', rank: 'II', leaguePoints: 63, wins: 35, losses: 28 }), false);
+    });
+});
+
+test('sqliteTimestampToIso treats SQLite timestamps as UTC', () => {
+    assert.equal(sqliteTimestampToIso('2026-10-01 20:15:00'), '2026-10-01T20:15:00.000Z');
+    assert.equal(sqliteTimestampToIso(null), null);
+});
@@ -0,0 +1,66 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TokenBucketRateLimiter, parseRateLimits } = require('../lib/rateLimiter');
+
+// Limiter on a fake clock; sleeping advances the clock instead of waiting
+function createLimiter(limits) {
+    const clock = { now: 0, slept: [] };
+    const limiter = new TokenBucketRateLimiter(limits, {
+        marginMs: 0,
+        now: () => clock.now,
+        sleep: async ms => {
+            clock.slept.push(ms);
+            clock.now += ms;
+        }
+    });
+    return { limiter, clock };
+}
+
+describe('TokenBucketRateLimiter', () => {
+    test('allows a full window then waits for it to close', () => {
+        const { limiter, clock } = createLimiter([{ limit: 3, intervalMs: 1000 }]);
+        assert.deepEqual([1, 2, 3].map(() => limiter.tryAcquire('americas')), [0, 0, 0]);
+
+        clock.now = 400;
+        assert.equal(limiter.tryAcquire('americas'), 600);
+
+        clock.now = 1000;
+        assert.equal(limiter.tryAcquire('americas'), 0);
+    });
+
+    test('honors the longer window after the short one refills', async () => {
+        const { limiter, clock } = createLimiter([
+            { limit: 2, intervalMs: 1000 },
+            { limit: 3, intervalMs: 120000 }
+        ]);
+        for (let i = 0; i < 4; i++) {
+            await limiter.acquire('europe');
+        }
+
+        assert.deepEqual(clock.slept, [1000, 119000]);
+        assert.equal(clock.now, 120000);
+    });
+
+    test('keeps separate buckets per routing value', () => {
+        const { limiter } = createLimiter([{ limit: 1, intervalMs: 1000 }]);
+        assert.equal(limiter.tryAcquire('americas'), 0);
+        assert.equal(limiter.tryAcquire('asia'), 0);
+        assert.ok(limiter.tryAcquire('americas') > 0);
+        assert.deepEqual(limiter.getStatus().asia, [{ limit: 1, intervalMs: 1000, remaining: 0 }]);
+    });
+});
+
+describe('parseRateLimits', () => {
+    test('parses requests:seconds pairs', () => {
+        assert.deepEqual(parseRateLimits('20:1, 100:120'), [
+            { limit: 20, intervalMs: 1000 },
+            { limit: 100, intervalMs: 120000 }
+        ]);
+    });
+
+    test('rejects malformed values', () => {
+        assert.equal(parseRateLimits('20'), null);
+        assert.equal(parseRateLimits(''), null);
+    });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REGIONS, REGION_IDS, getRegion, normalizeRegion, regionSlug, riotCluster, riotMatchCluster } = require('../lib/regions');
+const { RIOT_BASE_URLS, REGIONAL_ENDPOINTS, getRegionalCluster, getMatchCluster } = require('../lib/riotApi');
+
+test('accepts platform IDs and site slugs in any case', () => {
+    assert.equal(normalizeRegion('NA1'), 'na1');
+    assert.equal(normalizeRegion('eune'), 'eun1');
+    assert.equal(normalizeRegion(' LAS '), 'la2');
+    assert.equal(getRegion('oce').label, 'Oceania');
+    assert.equal(normalizeRegion('xx1'), null);
+    assert.equal(normalizeRegion(''), null);
+});
+
+test('maps each region to every provider slug and a Riot cluster', () => {
+    for (const region of REGIONS) {
+        assert.deepEqual(Object.keys(region.slugs).sort(), ['league_of_graphs', 'mobalytics', 'opgg'], region.id);
+        assert.ok(['americas', 'europe', 'asia'].includes(region.cluster), region.id);
+        assert.ok(['americas', 'europe', 'asia', 'sea'].includes(region.matchCluster), region.id);
+    }
+    assert.equal(regionSlug('na1', 'opgg'), 'na');
+    assert.equal(regionSlug('la1', 'mobalytics'), 'lan');
+    assert.equal(riotCluster('kr'), 'asia');
+    assert.equal(riotCluster('tr1'), 'europe');
+});
+
+test('Oceania matches route through sea, its accounts through americas', () => {
+    assert.equal(riotCluster('oc1'), 'americas');
+    assert.equal(riotMatchCluster('oce'), 'sea');
+    assert.equal(riotMatchCluster('na1'), 'americas');
+    assert.equal(riotMatchCluster('kr'), 'asia');
+    assert.equal(getMatchCluster('oc1'), 'sea');
+    assert.equal(getRegionalCluster('oc1'), 'americas');
+    assert.equal(RIOT_BASE_URLS.sea, 'https://sea.api.riotgames.com');
+});
+
+test('unknown regions are an error, not a URL', () => {
+    assert.throws(() => regionSlug('moon1', 'opgg'), { code: 'UNKNOWN_REGION' });
+    assert.equal(riotCluster('moon1'), null);
+    assert.equal(riotMatchCluster('moon1'), null);
+});
+
+test('the Riot API client serves the same regions', () => {
+    assert.deepEqual(Object.keys(REGIONAL_ENDPOINTS), REGION_IDS);
+    assert.equal(REGIONAL_ENDPOINTS.euw1, 'https://euw1.api.riotgames.com');
+    assert.equal(getRegionalCluster('eun1'), 'europe');
+});
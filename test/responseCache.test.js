@@ -0,0 +1,68 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ResponseCache } = require('../lib/responseCache');
+
+function createCache(options = {}) {
+    const clock = { now: 0 };
+    const cache = new ResponseCache({ ttlMs: 1000, staleMs: 5000, now: () => clock.now, ...options });
+    return { cache, clock };
+}
+
+describe('ResponseCache', () => {
+    test('keys are case-insensitive and include the variant', () => {
+        assert.equal(ResponseCache.key('Vrael', 'NA1', 'NA1'), 'na1:vrael#na1');
+        assert.equal(ResponseCache.key('Vrael', 'NA1', 'na1', 'merge|opgg'), 'na1:vrael#na1|merge|opgg');
+    });
+
+    test('entries go from fresh to stale to expired', () => {
+        const { cache, clock } = createCache();
+        cache.set('k', { level: 287 });
+
+        clock.now = 1000;
+        assert.equal(cache.get('k').state, 'fresh');
+        clock.now = 1001;
+        assert.deepEqual(cache.get('k'), { state: 'stale', value: { level: 287 }, cachedAt: 0, ageMs: 1001 });
+        clock.now = 6001;
+        assert.deepEqual(cache.get('k'), { state: 'miss' });
+        assert.equal(cache.entries.size, 0);
+    });
+
+    test('concurrent refreshes share one loader call', async () => {
+        const { cache } = createCache();
+        let calls = 0;
+        const loader = async () => {
+            calls++;
+            return { value: { calls }, cacheable: true };
+        };
+
+        const results = await Promise.all([cache.refresh('k', loader), cache.refresh('k', loader)]);
+        assert.equal(calls, 1);
+        assert.deepEqual(results, [{ calls: 1 }, { calls: 1 }]);
+        assert.equal(cache.isRefreshing('k'), false);
+        assert.equal(cache.get('k').state, 'fresh');
+    });
+
+    test('failed or uncacheable refreshes keep the stale entry', async () => {
+        const { cache, clock } = createCache();
+        cache.set('k', 'old');
+        clock.now = 2000;
+
+        assert.equal(await cache.refresh('k', async () => ({ value: 'unavailable', cacheable: false })), 'unavailable');
+        await assert.rejects(cache.refresh('k', async () => { throw new Error('scrape failed'); }));
+        assert.deepEqual(cache.get('k'), { state: 'stale', value: 'old', cachedAt: 0, ageMs: 2000 });
+    });
+
+    test('evicts the oldest entries past maxEntries', () => {
+        const { cache } = createCache({ maxEntries: 2 });
+        ['a', 'b', 'c'].forEach(key => cache.set(key, key));
+        assert.deepEqual([...cache.entries.keys()], ['b', 'c']);
+    });
+
+    test('a TTL of 0 disables caching', () => {
+        const { cache } = createCache({ ttlMs: 0 });
+        cache.set('k', 'value');
+        assert.equal(cache.get('k').state, 'miss');
+        assert.equal(cache.getStats().enabled, false);
+    });
+});
@@ -0,0 +1,124 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RiotApiClient } = require('../lib/riotApi');
+const { TokenBucketRateLimiter } = require('../lib/rateLimiter');
+
+const PUUID = 'puuid-vrael';
+
+const RESPONSES = {
+    '/lol/status/v4/platform-data': { id: 'NA1', name: 'North America', maintenances: [], incidents: [] },
+    '/riot/account/v1/accounts/by-riot-id/Vrael/NA1': { puuid: PUUID, gameName: 'Vrael', tagLine: 'NA1' },
+    [`/lol/summoner/v4/summoners/by-puuid/${PUUID}`]: { puuid: PUUID, summonerLevel: 287, profileIconId: 4568 },
+    [`/lol/league/v4/entries/by-puuid/${PUUID}`]: [
+        { queueType: 'RANKED_SOLO_5x5', tier: 'GOLD', rank: 'II', leaguePoints: 45, wins: 34, losses: 28, hotStreak: false }
+    ],
+    [`/lol/match/v5/matches/by-puuid/${PUUID}/ids?start=0&count=20`]: ['NA1_4567890101'],
+    '/lol/match/v5/matches/NA1_4567890101': {
+        metadata: { matchId: 'NA1_4567890101' },
+        info: {
+            gameCreation: 1759349700000, gameDuration: 1800, queueId: 420,
+            participants: [
+                { puuid: 'someone-else', championName: 'Thresh', win: true, kills: 1, deaths: 4, assists: 20, totalMinionsKilled: 30 },
+                { puuid: PUUID, championName: 'Jinx', win: true, kills: 8, deaths: 2, assists: 6, totalMinionsKilled: 222 }
+            ]
+        }
+    }
+};
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+// Fake axios: throws the queued `failures` first, then answers from RESPONSES
+function createClient({ apiKeys = 'key-1', failures = [] } = {}) {
+    const requests = [];
+    const sleeps = [];
+    const httpClient = {
+        get: async (url, config) => {
+            requests.push({ url, key: config.headers['X-Riot-Token'] });
+            if (failures.length > 0) throw failures.shift();
+            const path = url.replace(/^https:\/\/[^/]+/, '');
+            if (!(path in RESPONSES)) throw httpError(404);
+            return { status: 200, data: RESPONSES[path] };
+        }
+    };
+    const client = new RiotApiClient({
+        apiKeys,
+        httpClient,
+        rateLimiter: new TokenBucketRateLimiter([{ limit: 100, intervalMs: 1000 }]),
+        sleep: async ms => { sleeps.push(ms); }
+    });
+    return { client, requests, sleeps };
+}
+
+describe('RiotApiClient', () => {
+    test('builds a canonical profile and keeps the raw match payloads', async () => {
+        const { client } = createClient();
+        const profile = await client.fetchPlayerProfile('Vrael', 'NA1', 'na1');
+
+        assert.deepEqual(profile.summoner, {
+            name: 'Vrael', tagLine: 'NA1', region: 'na1', level: 287, profileIconId: 4568, puuid: PUUID
+        });
+        assert.equal(profile.ranked[0].tier, 'GOLD');
+        assert.equal(profile.matches.length, 1);
+        assert.equal(profile.matches[0].matchId, 'NA1_4567890101');
+        assert.equal(profile.matches[0].championName, 'Jinx');
+        assert.equal(profile.matches[0].csPerMinute, 7.4);
+        assert.deepEqual(profile.statistics, { winRate: 1, avgKDA: 7, avgCS: 7.4, totalGames: 1 });
+        assert.equal(profile.matchDetails[0].info.participants.length, 2);
+    });
+
+    test('rotates to the next key when one is rejected', async () => {
+        const { client, requests } = createClient({ apiKeys: 'key-1, key-2', failures: [httpError(401)] });
+        await client.fetchSummonerByRiotID('Vrael', 'NA1', 'na1');
+
+        assert.deepEqual(requests.map(request => request.key), ['key-1', 'key-2']);
+        const status = client.getStatus();
+        assert.equal(status.state, 'ok');
+        assert.deepEqual(status.expiredKeys.map(({ key, status }) => ({ key, status })), [{ key: 1, status: 401 }]);
+    });
+
+    test('retires a key on 403 only when the status endpoint refuses it too', async () => {
+        const { client, requests } = createClient({ apiKeys: 'key-1, key-2', failures: [httpError(403), httpError(403)] });
+        await client.fetchSummonerByRiotID('Vrael', 'NA1', 'na1');
+
+        assert.deepEqual(requests.map(request => request.key), ['key-1', 'key-1', 'key-2']);
+        assert.match(requests[1].url, /\/lol\/status\/v4\/platform-data$/);
+        assert.deepEqual(client.getStatus().expiredKeys.map(({ key, status }) => ({ key, status })), [{ key: 1, status: 403 }]);
+    });
+
+    test('surfaces a 403 for one endpoint without rotating keys', async () => {
+        const { client, requests } = createClient({ apiKeys: 'key-1, key-2', failures: [httpError(403)] });
+        await assert.rejects(client.fetchSummonerByRiotID('Vrael', 'NA1', 'na1'), error => error.response.status === 403);
+
+        assert.deepEqual(requests.map(request => request.key), ['key-1', 'key-1']);
+        assert.equal(client.getStatus().expiredKeys.length, 0);
+    });
+
+    test('reports key_expired once every key is rejected', async () => {
+        const { client } = createClient({ failures: [httpError(401)] });
+        await assert.rejects(client.fetchSummonerByRiotID('Vrael', 'NA1', 'na1'), { code: 'RIOT_KEY_EXPIRED' });
+        assert.equal(client.getStatus().state, 'key_expired');
+    });
+
+    test('waits for Retry-After on 429 and backs off on server errors', async () => {
+        const { client, requests, sleeps } = createClient({
+            failures: [httpError(429, { 'retry-after': '3' }), httpError(503)]
+        });
+        const account = await client.fetchSummonerByRiotID('Vrael', 'NA1', 'na1');
+
+        assert.equal(account.puuid, PUUID);
+        assert.equal(requests.length, 3);
+        assert.equal(sleeps[0], 3000);
+        assert.ok(sleeps[1] >= 2000 && sleeps[1] < 3000);
+    });
+
+    test('does not retry not-found players', async () => {
+        const { client, requests } = createClient();
+        await assert.rejects(client.fetchSummonerByRiotID('Nobody', 'NA1', 'na1'), error => error.response.status === 404);
+        assert.equal(requests.length, 1);
+    });
+});
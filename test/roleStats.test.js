@@ -0,0 +1,53 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { summarizeByRole, primaryRole, findOffRoleGap } = require('../lib/roleStats');
+
+function games(role, wins, losses, kdaRatio = 3, csPerMinute = 7) {
+    return [
+        ...Array.from({ length: wins }, () => ({ role, win: true, kdaRatio, csPerMinute })),
+        ...Array.from({ length: losses }, () => ({ role, win: false, kdaRatio, csPerMinute }))
+    ];
+}
+
+describe('summarizeByRole', () => {
+    test('groups known roles, most played first', () => {
+        const roles = summarizeByRole([
+            ...games('MIDDLE', 4, 2),
+            ...games('support', 1, 2, 4, 1.2),
+            ...games(null, 1, 0),
+            { role: 'TOP', win: true, invalid: true }
+        ]);
+
+        assert.deepEqual(roles.map(stats => [stats.role, stats.label, stats.games, stats.wins]), [
+            ['MIDDLE', 'Mid', 6, 4],
+            ['UTILITY', 'Support', 3, 1]
+        ]);
+        assert.equal(roles[0].share, 0.6);
+        assert.equal(roles[1].avgCS, 1.2);
+    });
+
+    test('reports no roles for matches without lane info', () => {
+        assert.deepEqual(summarizeByRole(games(null, 2, 1)), []);
+    });
+});
+
+describe('primaryRole', () => {
+    test('needs half of the games in one role', () => {
+        assert.equal(primaryRole(summarizeByRole([...games('MIDDLE', 3, 3), ...games('TOP', 2, 2)])), 'MIDDLE');
+        assert.equal(primaryRole(summarizeByRole([...games('MIDDLE', 2, 2), ...games('TOP', 2, 2), ...games('JUNGLE', 1, 1)])), null);
+    });
+});
+
+describe('findOffRoleGap', () => {
+    test('finds an off-role with a much lower win rate', () => {
+        const gap = findOffRoleGap(summarizeByRole([...games('MIDDLE', 6, 2), ...games('UTILITY', 1, 3), ...games('TOP', 2, 1)]));
+        assert.equal(gap.main.role, 'MIDDLE');
+        assert.equal(gap.offRole.role, 'UTILITY');
+    });
+
+    test('ignores small samples and small gaps', () => {
+        assert.equal(findOffRoleGap(summarizeByRole([...games('MIDDLE', 6, 2), ...games('UTILITY', 0, 2)])), null);
+        assert.equal(findOffRoleGap(summarizeByRole([...games('MIDDLE', 5, 3), ...games('UTILITY', 2, 2)])), null);
+    });
+});
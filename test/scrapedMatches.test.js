@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { buildMatchId, normalizeScrapedMatch, normalizeScrapedMatches } = require('../lib/scrapedMatches');
+const { parseOPGG, parseMobalytics, parseLeagueOfGraphs } = require('../lib/scrapers');
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+const context = { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1', url: 'https://example.test/profile' };
+
+describe('buildMatchId', () => {
+    test('uses the Riot match-v5 format when the page exposes a game id', () => {
+        assert.equal(buildMatchId('4567890101', null, 'Jinx', 'na1'), 'NA1_4567890101');
+    });
+
+    test('hashes start time and champion when there is no game id', () => {
+        const id = buildMatchId(null, 1759349700000, 'Ahri', 'na1');
+        assert.match(id, /^NA1_SCRAPED_[0-9a-f]{16}$/);
+        assert.equal(buildMatchId(null, 1759349700000, 'Ahri', 'na1'), id);
+        assert.notEqual(buildMatchId(null, 1759349700000, 'Syndra', 'na1'), id);
+    });
+
+    test('returns null when nothing stable is available', () => {
+        assert.equal(buildMatchId(null, null, 'Ahri', 'na1'), null);
+    });
+});
+
+describe('normalizeScrapedMatches', () => {
+    test('normalizes OP.GG matches and skips those without a stable id', () => {
+        const matches = normalizeScrapedMatches(parseOPGG(loadFixture('opgg_summoner.html'), context).matches, 'na1');
+        assert.equal(matches.length, 2);
+        assert.deepEqual(matches[0], {
+            matchId: 'NA1_4567890101',
+            gameCreation: Date.parse('2026-10-01T20:15:00.000Z'),
+            gameDuration: 1694,
+            queueId: 420,
+            championName: 'Jinx',
+            role: 'BOTTOM',
+            win: true,
+            kills: 8,
+            deaths: 2,
+            assists: 6,
+            kdaRatio: 7,
+            csPerMinute: 7.4,
+            totalMinionsKilled: 209
+        });
+    });
+
+    test('derives CS per minute for Mobalytics matches from total CS', () => {
+        const matches = normalizeScrapedMatches(parseMobalytics(loadFixture('mobalytics_profile.html'), context).matches, 'na1');
+        assert.equal(matches.length, 1);
+        assert.equal(matches[0].matchId, 'NA1_4567890201');
+        assert.equal(matches[0].totalMinionsKilled, 200);
+        assert.equal(matches[0].csPerMinute, 8);
+    });
+
+    test('parses League of Graphs KDA text', () => {
+        const matches = normalizeScrapedMatches(parseLeagueOfGraphs(loadFixture('leagueofgraphs_summoner.html'), context).matches, 'na1');
+        assert.deepEqual(matches.map(({ matchId, kills, deaths, assists, win }) => ({ matchId, kills, deaths, assists, win })), [
+            { matchId: 'NA1_4567890301', kills: 9, deaths: 3, assists: 12, win: true },
+            { matchId: 'NA1_4567890300', kills: 4, deaths: 6, assists: 5, win: false }
+        ]);
+    });
+
+    test('drops duplicate matches within one payload', () => {
+        const match = { game_id: '1234567', champion_name: 'Jinx', win: true, kills: 1, deaths: 1, assists: 1 };
+        assert.equal(normalizeScrapedMatches([match, { ...match }], 'euw1').length, 1);
+    });
+
+    test('returns null for a match without id or start time', () => {
+        assert.equal(normalizeScrapedMatch({ champion: 'Ahri', kills: 1 }, 'na1'), null);
+    });
+});
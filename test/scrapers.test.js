@@ -0,0 +1,161 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    buildOPGGUrl, parseOPGG,
+    buildMobalyticsUrl, parseMobalytics,
+    buildLeagueOfGraphsUrl, parseLeagueOfGraphs
+} = require('../lib/scrapers');
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+const context = { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1', url: 'https://example.test/profile' };
+const VRAEL_PUUID = 'PtYgjmUhBel31iEl2hpChYgCfrL1spNxnyVmihA_2O76UMFxFkM_R5Kjp1vRt-1fjORS_6ilI8ihN5';
+
+describe('OP.GG parser', () => {
+    const data = parseOPGG(loadFixture('opgg_summoner.html'), context);
+
+    test('builds the profile URL', () => {
+        assert.equal(buildOPGGUrl('vrÆl', 'NA1', 'na1'), 'https://op.gg/lol/summoners/na/vr%C3%86l-NA1');
+    });
+
+    test('extracts summoner level', () => {
+        assert.equal(data.summoner.level, 287);
+        assert.equal(data.sourceUrl, context.url);
+    });
+
+    test('extracts the profile PUUID, not a match participant\'s', () => {
+        assert.equal(data.summoner.puuid, VRAEL_PUUID);
+        assert.equal(parseOPGG(loadFixture('opgg_summoner.html'), { ...context, summonerName: 'Teammate' }).summoner.puuid,
+            'KXSc7Tvo_hBKqFYY_kv5ZJr3J1TWDtkwtDDb-xHKas1VOqg6YYZYn9ZhyiA4uoRgnatmUdjAWtGSU8');
+    });
+
+    test('extracts ranked entry', () => {
+        assert.deepEqual(data.ranked, [{
+            queueType: 'RANKED_SOLO_5x5',
+            tier: 'Gold',
+            rank: 'II',
+            leaguePoints: 45,
+            wins: 34,
+            losses: 28
+        }]);
+    });
+
+    test('extracts match history', () => {
+        assert.deepEqual(data.matches, [
+            {
+                game_id: '4567890101', game_creation: Date.parse('2026-10-01T20:15:00.000Z'), game_duration: 1694, queue_id: 420,
+                champion_name: 'Jinx', role: 'ADC', win: true, kills: 8, deaths: 2, assists: 6, cs_per_minute: 7.4
+            },
+            {
+                game_id: '4567890100', game_creation: Date.parse('2026-10-01T19:30:00.000Z'), game_duration: 1865, queue_id: 440,
+                champion_name: 'Jinx', role: 'ADC', win: false, kills: 3, deaths: 7, assists: 4, cs_per_minute: 6.1
+            },
+            {
+                game_id: null, game_creation: null, game_duration: null, queue_id: null,
+                champion_name: 'Caitlyn', role: null, win: true, kills: 11, deaths: 3, assists: 9, cs_per_minute: 8.2
+            }
+        ]);
+    });
+
+    test('computes statistics from matches', () => {
+        assert.equal(data.statistics.winRate, 2 / 3);
+        assert.equal(data.statistics.avgKDA.toFixed(3), '4.889');
+        assert.equal(data.statistics.avgCS.toFixed(2), '7.23');
+    });
+
+    test('returns empty result for unrelated markup', () => {
+        const empty = parseOPGG('<html><body><p>Maintenance</p></body></html>', context);
+        assert.equal(empty.summoner.level, 0);
+        assert.deepEqual(empty.ranked, []);
+        assert.deepEqual(empty.matches, []);
+    });
+});
+
+describe('Mobalytics parser', () => {
+    const data = parseMobalytics(loadFixture('mobalytics_profile.html'), context);
+
+    test('extracts the PUUID from the profile header', () => {
+        assert.equal(data.summoner.puuid, VRAEL_PUUID);
+    });
+
+    test('builds the lowercase profile URL', () => {
+        assert.equal(buildMobalyticsUrl('vrÆl', 'Vrael', 'na1'), 'https://mobalytics.gg/lol/profile/na/vr%C3%A6l-vrael/');
+    });
+
+    test('extracts ranked entry with season record', () => {
+        assert.deepEqual(data.ranked, [{
+            queueType: 'RANKED_SOLO_5x5',
+            tier: 'Platinum',
+            rank: 'IV',
+            leaguePoints: 62,
+            wins: 41,
+            losses: 37
+        }]);
+    });
+
+    test('extracts match history from page data only', () => {
+        assert.deepEqual(data.matches, [
+            {
+                gameId: '4567890201', gameCreation: 1759349700000, queueId: 420,
+                champion: 'Ahri', role: 'MID', win: true, kills: 7, deaths: 1, assists: 9, csPerMinute: 8, cs: 200, duration: 1500
+            },
+            {
+                gameId: null, gameCreation: null, queueId: null,
+                champion: 'Syndra', role: null, win: false, kills: 2, deaths: 5, assists: 3, csPerMinute: 6, cs: null, duration: null
+            }
+        ]);
+    });
+
+    test('computes statistics from matches', () => {
+        assert.deepEqual(data.statistics, { winRate: 0.5, avgKDA: 3.5, avgCS: 7 });
+        assert.deepEqual(data.insights, ['Good KDA ratio - keep it up!']);
+    });
+});
+
+describe('League of Graphs parser', () => {
+    const data = parseLeagueOfGraphs(loadFixture('leagueofgraphs_summoner.html'), context);
+
+    test('builds the profile URL', () => {
+        assert.equal(buildLeagueOfGraphsUrl('Vrael', 'NA1', 'na1'), 'https://www.leagueofgraphs.com/summoner/na/Vrael-NA1');
+        assert.equal(buildLeagueOfGraphsUrl('Vrael', 'LAS', 'la2'), 'https://www.leagueofgraphs.com/summoner/las/Vrael-LAS');
+    });
+
+    test('extracts summoner level', () => {
+        assert.equal(data.summoner.level, 312);
+        assert.equal(data.summoner.puuid, null);
+    });
+
+    test('extracts ranked entry', () => {
+        assert.deepEqual(data.ranked, [{
+            queueType: 'RANKED_SOLO_5x5',
+            tier: 'Diamond',
+            rank: 'IV',
+            leaguePoints: 12,
+            wins: 55,
+            losses: 45
+        }]);
+    });
+
+    test('extracts match history', () => {
+        assert.deepEqual(data.matches, [
+            {
+                gameId: '4567890301', gameCreation: Date.parse('2026-10-02T18:00:00.000Z'), gameDuration: 1865, queueId: 420,
+                championName: 'Lee Sin', role: 'Jungler', kda: '9 / 3 / 12', win: true
+            },
+            {
+                gameId: '4567890300', gameCreation: null, gameDuration: 1120, queueId: 450,
+                championName: 'Vi', role: null, kda: '4 / 6 / 5', win: false
+            }
+        ]);
+    });
+
+    test('computes statistics from season record', () => {
+        assert.deepEqual(data.statistics, { totalGames: 100, winRate: 0.55, avgKDA: 0, avgCS: 0 });
+        assert.equal(data.leagueOfGraphsSpecific.kdaText, '6.2 / 4.1 / 7.9');
+    });
+});
@@ -0,0 +1,106 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeSourceResults } = require('../lib/sourceMerger');
+
+const opgg = {
+    summoner: { name: 'Vrael', tagLine: 'NA1', region: 'na1', level: 287 },
+    ranked: [{ queue: 'RANKED_SOLO_5x5', tier: 'Gold', rank: 'II', leaguePoints: 45, wins: 0, losses: 0 }],
+    matches: [],
+    statistics: { winRate: 0, avgKDA: 0, avgCS: 0 },
+    sourceUrl: 'https://op.gg/lol/summoners/na1/Vrael-NA1'
+};
+
+const mobalytics = {
+    summoner: { name: 'Vrael', tagLine: 'NA1', region: 'na1', level: 0 },
+    ranked: [{ queue: 'RANKED_SOLO_5x5', tier: 'Gold', rank: 'I', leaguePoints: 80, wins: 41, losses: 37 }],
+    matches: [],
+    statistics: { winRate: 50, avgKDA: '3.50', avgCS: '105.0' }
+};
+
+const leagueOfGraphs = {
+    summoner: { name: 'Vrael', tagLine: 'NA1', region: 'na1', level: 312 },
+    ranked: [],
+    matches: [{ championName: 'Vi', kda: '4 / 6 / 5', win: false }],
+    statistics: { totalGames: 100, winRate: 0.55, avgKDA: 0, avgCS: 0 }
+};
+
+describe('mergeSourceResults', () => {
+    const merged = mergeSourceResults([
+        { source: 'opgg', data: opgg },
+        { source: 'mobalytics', data: mobalytics },
+        { source: 'league_of_graphs', data: leagueOfGraphs }
+    ]);
+
+    test('takes each field from the highest priority source that has it', () => {
+        assert.equal(merged.data.summoner.level, 287);
+        assert.deepEqual(merged.data.ranked, [{
+            queueType: 'RANKED_SOLO_5x5',
+            tier: 'Gold',
+            rank: 'II',
+            leaguePoints: 45,
+            wins: 41,
+            losses: 37
+        }]);
+        assert.deepEqual(merged.data.matches, leagueOfGraphs.matches);
+        assert.equal(merged.data.sourceUrl, opgg.sourceUrl);
+    });
+
+    test('normalizes statistics reported as strings or percentages', () => {
+        assert.deepEqual(merged.data.statistics, { winRate: 0.5, avgKDA: 3.5, avgCS: 105, totalGames: 100 });
+    });
+
+    test('records provenance per field', () => {
+        assert.equal(merged.provenance['summoner.level'], 'opgg');
+        assert.equal(merged.provenance['ranked.RANKED_SOLO_5x5.tier'], 'opgg');
+        assert.equal(merged.provenance['ranked.RANKED_SOLO_5x5.wins'], 'mobalytics');
+        assert.equal(merged.provenance.matches, 'league_of_graphs');
+        assert.equal(merged.provenance['statistics.totalGames'], 'league_of_graphs');
+        assert.deepEqual(merged.sources, ['opgg', 'mobalytics', 'league_of_graphs']);
+    });
+
+    test('reports contradicting values without reporting differing statistics', () => {
+        assert.deepEqual(merged.conflicts.map(conflict => conflict.field), [
+            'summoner.level',
+            'ranked.RANKED_SOLO_5x5.rank',
+            'ranked.RANKED_SOLO_5x5.leaguePoints'
+        ]);
+        assert.deepEqual(merged.conflicts[1], {
+            field: 'ranked.RANKED_SOLO_5x5.rank',
+            chosen: 'opgg',
+            values: { opgg: 'II', mobalytics: 'I' }
+        });
+    });
+
+    test('drops queues where no source found a tier', () => {
+        const result = mergeSourceResults([
+            { source: 'league_of_graphs', data: { ...leagueOfGraphs, ranked: [{ queueType: 'RANKED_SOLO_5x5', tier: 'Unranked' }] } }
+        ]);
+        assert.deepEqual(result.data.ranked, []);
+    });
+
+    test('keeps the Riot API PUUID over higher priority sources', () => {
+        const riotPuuid = 'PtYgjmUhBel31iEl2hpChYgCfrL1spNxnyVmihA_2O76UMFxFkM_R5Kjp1vRt-1fjORS_6ilI8ihN5';
+        const scrapedPuuid = 'KXSc7Tvo_hBKqFYY_kv5ZJr3J1TWDtkwtDDb-xHKas1VOqg6YYZYn9ZhyiA4uoRgnatmUdjAWtGSU8';
+        const withPuuid = (data, puuid) => ({ ...data, summoner: { ...data.summoner, puuid } });
+
+        const result = mergeSourceResults([
+            { source: 'opgg', data: withPuuid(opgg, 'opgg_Vrael_NA1_na1') },
+            { source: 'mobalytics', data: withPuuid(mobalytics, scrapedPuuid) },
+            { source: 'riot_api', data: withPuuid(leagueOfGraphs, riotPuuid) }
+        ]);
+        assert.equal(result.data.summoner.puuid, riotPuuid);
+        assert.equal(result.provenance['summoner.puuid'], 'riot_api');
+
+        // Without the Riot API, a real PUUID from any page beats a pseudo one
+        const scraped = mergeSourceResults([
+            { source: 'opgg', data: withPuuid(opgg, 'opgg_Vrael_NA1_na1') },
+            { source: 'mobalytics', data: withPuuid(mobalytics, scrapedPuuid) }
+        ]);
+        assert.equal(scraped.data.summoner.puuid, scrapedPuuid);
+    });
+
+    test('requires at least one result', () => {
+        assert.throws(() => mergeSourceResults([]), /No source results/);
+    });
+});
@@ -0,0 +1,75 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findStreaks, compareAfterLosses, splitSessions, sessionTrend, analyzeStreaks } = require('../lib/streaks');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 4, 1, 18);
+
+// Back-to-back 30 minute games from `start`, one per result character ("W"/"L")
+function session(results, start = START, kdas = []) {
+    return [...results].map((result, index) => ({
+        gameCreation: start + index * 35 * 60 * 1000,
+        gameDuration: 30 * 60,
+        win: result === 'W',
+        kdaRatio: kdas[index] ?? (result === 'W' ? 4 : 2)
+    }));
+}
+
+describe('findStreaks', () => {
+    test('reports the current streak and the longest of each kind', () => {
+        const streaks = findStreaks(session('WWWLWLLLL'));
+        assert.deepEqual(streaks.current, { result: 'loss', length: 4 });
+        assert.equal(streaks.longestWin, 3);
+        assert.equal(streaks.longestLoss, 4);
+    });
+
+    test('has no current streak without games', () => {
+        assert.equal(findStreaks([]).current, null);
+    });
+});
+
+describe('compareAfterLosses', () => {
+    test('compares games after two straight losses with the rest', () => {
+        // Games 4, 5, 6 and 10 follow two or more losses: L, L, W, W
+        const result = compareAfterLosses(session('WLLLLWWLLW', START, [4, 4, 4, 1, 1, 2, 4, 4, 4, 2]));
+        assert.equal(result.games, 4);
+        assert.equal(result.winRate, 0.5);
+        assert.equal(result.avgKDA, 1.5);
+        assert.equal(result.baselineWinRate, 2 / 6);
+        assert.equal(result.baselineKDA, 4);
+    });
+
+    test('needs games in both groups', () => {
+        assert.equal(compareAfterLosses(session('WWLWW')), null);
+    });
+});
+
+describe('sessions', () => {
+    test('splits on breaks longer than an hour', () => {
+        const games = [...session('WWL'), ...session('LW', START + 5 * HOUR)];
+        assert.deepEqual(splitSessions(games).map(games => games.length), [3, 2]);
+    });
+
+    test('measures the KDA decline over a session', () => {
+        const trend = sessionTrend(session('WWWLLL', START, [6, 5, 4, 2, 2, 2]));
+        assert.equal(trend.games, 6);
+        assert.equal(trend.halfGames, 3);
+        assert.equal(trend.earlyKDA, 5);
+        assert.equal(trend.lateKDA, 2);
+        assert.equal(trend.decline, 0.6);
+        assert.equal(Math.round(trend.hours * 100) / 100, 3.42);
+        assert.equal(sessionTrend(session('WLW')), null);
+    });
+});
+
+test('analyzeStreaks sorts games and finds the latest declining session', () => {
+    const evening = session('WWLLL', START + 24 * HOUR, [5, 5, 3, 2, 1]);
+    const steady = session('WLWL', START + 48 * HOUR, [3, 3, 3, 3]);
+    const analysis = analyzeStreaks([...steady, ...evening].reverse());
+
+    assert.deepEqual(analysis.streaks.current, { result: 'loss', length: 1 });
+    assert.equal(analysis.decliningSession.start, evening[0].gameCreation);
+    assert.equal(analysis.decliningSession.lateKDA, 1.5);
+    assert.equal(analyzeStreaks(steady).decliningSession, null);
+});
@@ -0,0 +1,88 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRiotId, parseProfileUrl, parseSummonerQuery } = require('../lib/summonerQuery');
+
+const PUUID = 'PtYgjmUhBel31iEl2hpChYgCfrL1spNxnyVmihA_2O76UMFxFkM_R5Kjp1vRt-1fjORS_6ilI8ihN5';
+
+test('splits a Riot ID at the last #', () => {
+    assert.deepEqual(parseRiotId(' Vrael#NA1 '), { summonerName: 'Vrael', tagLine: 'NA1' });
+    assert.deepEqual(parseRiotId('Hide on bush#KR1'), { summonerName: 'Hide on bush', tagLine: 'KR1' });
+    assert.equal(parseRiotId('Vrael'), null);
+    assert.equal(parseRiotId('#NA1'), null);
+    assert.equal(parseRiotId('Vrael#'), null);
+});
+
+describe('parseProfileUrl', () => {
+    test('reads OP.GG URLs, old and new', () => {
+        const expected = { site: 'opgg', summonerName: 'Vrael', tagLine: 'NA1', region: 'na1' };
+        assert.deepEqual(parseProfileUrl('https://op.gg/lol/summoners/na/Vrael-NA1'), expected);
+        assert.deepEqual(parseProfileUrl('https://www.op.gg/summoners/na/Vrael-NA1/champions'), expected);
+        assert.deepEqual(parseProfileUrl('op.gg/lol/summoners/na/Vrael%23NA1'), expected);
+    });
+
+    test('reads Mobalytics and League of Graphs URLs', () => {
+        assert.deepEqual(parseProfileUrl('https://mobalytics.gg/lol/profile/euw/hide%20on%20bush-kr1/overview'),
+            { site: 'mobalytics', summonerName: 'hide on bush', tagLine: 'kr1', region: 'euw1' });
+        assert.deepEqual(parseProfileUrl('https://www.leagueofgraphs.com/summoner/lan/V%C3%86L-LAN'),
+            { site: 'league_of_graphs', summonerName: 'VÆL', tagLine: 'LAN', region: 'la1' });
+        assert.deepEqual(parseProfileUrl('https://www.leagueofgraphs.com/fr/summoner/oce/Vrael-OCE'),
+            { site: 'league_of_graphs', summonerName: 'Vrael', tagLine: 'OCE', region: 'oc1' });
+    });
+
+    test('leaves out unknown regions and rejects other pages', () => {
+        assert.equal(parseProfileUrl('https://op.gg/lol/summoners/xx/Vrael-NA1').region, null);
+        assert.equal(parseProfileUrl('https://op.gg/lol/champions/ahri'), null);
+        assert.equal(parseProfileUrl('https://example.com/summoners/na/Vrael-NA1'), null);
+        assert.equal(parseProfileUrl('https://op.gg/lol/summoners/na/Vrael'), null);
+    });
+});
+
+describe('parseSummonerQuery', () => {
+    const messages = body => parseSummonerQuery(body).errors.map(error => error.message);
+
+    test('keeps the separate fields working', () => {
+        assert.deepEqual(parseSummonerQuery({ summonerName: ' Vrael ', tagLine: '#NA1', region: 'na1' }),
+            { target: { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1' }, errors: [] });
+        assert.deepEqual(parseSummonerQuery({ summonerName: 'Vrael' }).errors, [
+            { field: 'tagLine', location: 'body', message: 'tagLine is required' },
+            { field: 'region', location: 'body', message: 'region is required' }
+        ]);
+    });
+
+    test('applies the Riot ID rules to every field', () => {
+        assert.deepEqual(messages({ summonerName: 'Vr', tagLine: 'NA1234', region: 'na1' }),
+            ['summonerName must be 3-16 characters', 'tagLine must be 3-5 characters']);
+        assert.deepEqual(messages({ summonerName: '<script>', tagLine: 'N-A', region: 'na1' }),
+            ['summonerName may only contain letters, numbers, spaces, _ and .', 'tagLine may only contain letters and numbers']);
+        assert.deepEqual(messages({ summonerName: 'VRÆL', tagLine: 'NA1', region: 'na1' }), []);
+    });
+
+    test('normalizes the region and rejects unknown ones', () => {
+        assert.equal(parseSummonerQuery({ summonerName: 'Vrael', tagLine: 'EUW', region: 'EUW' }).target.region, 'euw1');
+        assert.match(messages({ summonerName: 'Vrael', tagLine: 'NA1', region: 'moon1' })[0], /^region must be one of: na1, euw1, /);
+    });
+
+    test('accepts a PUUID, in its own field or as the query', () => {
+        assert.deepEqual(parseSummonerQuery({ puuid: PUUID }), { target: { puuid: PUUID, region: null }, errors: [] });
+        assert.deepEqual(parseSummonerQuery({ query: PUUID, region: 'na1' }), { target: { puuid: PUUID, region: 'na1' }, errors: [] });
+        assert.deepEqual(messages({ puuid: ' ' }), ['puuid is required']);
+        assert.deepEqual(messages({ puuid: "x' OR 1=1" }), ['puuid is not a valid PUUID']);
+    });
+
+    test('a Riot ID query takes the region from the request', () => {
+        assert.deepEqual(parseSummonerQuery({ query: 'Vrael#NA1', region: 'NA1' }).target,
+            { summonerName: 'Vrael', tagLine: 'NA1', region: 'na1' });
+        assert.deepEqual(messages({ query: 'Vrael#NA1' }), ['region is required']);
+        assert.deepEqual(messages({ query: 'Vrael', region: 'na1' }), ['query must be "Name#TAG", a PUUID or a profile URL']);
+        assert.deepEqual(messages({ query: 'Vr#NA1', region: 'na1' }), ['query game name must be 3-16 characters']);
+    });
+
+    test('a profile URL brings its own region', () => {
+        assert.deepEqual(parseSummonerQuery({ query: 'https://op.gg/lol/summoners/euw/Vrael-EUW', region: 'na1' }),
+            { target: { summonerName: 'Vrael', tagLine: 'EUW', region: 'euw1' }, errors: [] });
+        assert.deepEqual(messages({ query: 'https://op.gg/lol/summoners/xx/Vrael-EUW' }), ['query has a region this server does not know']);
+        assert.deepEqual(messages({ query: 'https://example.com/profile/Vrael' }),
+            ['query is not an OP.GG, Mobalytics or League of Graphs profile URL']);
+    });
+});
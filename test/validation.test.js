@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rules, optional, checkFields, validate } = require('../lib/validation');
+
+describe('rules', () => {
+    test('Riot game names are 3-16 characters of letters, numbers and spaces', () => {
+        assert.deepEqual(rules.gameName('  Hide   on bush '), { value: 'Hide on bush' });
+        assert.deepEqual(rules.gameName('VRÆL'), { value: 'VRÆL' });
+        assert.deepEqual(rules.gameName('만두'), { error: 'must be 3-16 characters' });
+        assert.deepEqual(rules.gameName('a'.repeat(17)), { error: 'must be 3-16 characters' });
+        assert.match(rules.gameName('Robert"); DROP').error, /^may only contain/);
+        assert.deepEqual(rules.gameName(['Vrael']), { error: 'must be a string' });
+    });
+
+    test('tag lines are 3-5 letters or numbers, with an optional leading #', () => {
+        assert.deepEqual(rules.tagLine('#NA1'), { value: 'NA1' });
+        assert.deepEqual(rules.tagLine('NA'), { error: 'must be 3-5 characters' });
+        assert.deepEqual(rules.tagLine('NA 1'), { error: 'may only contain letters and numbers' });
+    });
+
+    test('regions come from the region list', () => {
+        assert.deepEqual(rules.region('EUW'), { value: 'euw1' });
+        assert.match(rules.region('moon').error, /^must be one of: na1, /);
+    });
+
+    test('PUUIDs allow real and pseudo ids only', () => {
+        assert.deepEqual(rules.puuid('opgg_Vrael_NA1_na1'), { value: 'opgg_Vrael_NA1_na1' });
+        assert.deepEqual(rules.puuid('a'.repeat(78)), { value: 'a'.repeat(78) });
+        assert.deepEqual(rules.puuid('../etc'), { error: 'is not a valid PUUID' });
+        assert.deepEqual(rules.puuid('a'.repeat(129)), { error: 'is not a valid PUUID' });
+    });
+
+    test('integers and booleans parse their string forms', () => {
+        const limit = rules.integer({ min: 1, max: 200 });
+        assert.deepEqual(limit('25'), { value: 25 });
+        assert.deepEqual(limit('2.5'), { error: 'must be a whole number' });
+        assert.deepEqual(limit('500'), { error: 'must be between 1 and 200' });
+        assert.deepEqual(rules.integer({ min: 1 })('0'), { error: 'must be at least 1' });
+        assert.deepEqual(rules.boolean('false'), { value: false });
+        assert.deepEqual(rules.boolean('yes'), { error: 'must be true or false' });
+    });
+});
+
+test('checkFields lists every invalid field and skips missing optional ones', () => {
+    const { values, errors } = checkFields({ summonerName: 'Vr', tagLine: ' ', mode: 'fast' }, {
+        summonerName: rules.gameName,
+        tagLine: rules.tagLine,
+        region: optional(rules.region),
+        mode: optional(rules.oneOf(['first', 'merge']))
+    }, 'body');
+
+    assert.deepEqual(values, {});
+    assert.deepEqual(errors, [
+        { field: 'summonerName', location: 'body', message: 'summonerName must be 3-16 characters' },
+        { field: 'tagLine', location: 'body', message: 'tagLine is required' },
+        { field: 'mode', location: 'body', message: 'mode must be one of: first, merge' }
+    ]);
+});
+
+describe('validate middleware', () => {
+    const middleware = validate({
+        params: { puuid: rules.puuid },
+        query: { limit: optional(rules.integer({ min: 1, max: 100 })) }
+    }, 'Invalid history query');
+
+    function call(req) {
+        const res = {
+            statusCode: 200,
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let nextCalled = false;
+        middleware(req, res, () => { nextCalled = true; });
+        return { res, nextCalled };
+    }
+
+    test('cleans valid input and calls the handler', () => {
+        const req = { params: { puuid: ' opgg_Vrael_NA1_na1 ' }, query: { limit: '20' } };
+        const { nextCalled } = call(req);
+        assert.ok(nextCalled);
+        assert.deepEqual(req, { params: { puuid: 'opgg_Vrael_NA1_na1' }, query: { limit: 20 } });
+    });
+
+    test('answers 400 with every invalid field', () => {
+        const { res, nextCalled } = call({ params: { puuid: 'a/b' }, query: { limit: '0' } });
+        assert.ok(!nextCalled);
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body, {
+            error: 'Invalid history query',
+            message: 'puuid is not a valid PUUID; limit must be between 1 and 100',
+            fields: [
+                { field: 'puuid', location: 'params', message: 'puuid is not a valid PUUID' },
+                { field: 'limit', location: 'query', message: 'limit must be between 1 and 100' }
+            ]
+        });
+    });
+});